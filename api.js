@@ -1,24 +1,31 @@
+const { createClient } = require('./api/client');
 
-const Discord = {
-
-    Auditlog: require('./api/discord/auditlog'),
-    Channels: require('./api/discord/channels'),
-    Guilds: require('./api/discord/guilds'),
-    Interactions: require('./api/discord/interactions'),
-    Oauth2: require('./api/discord/oauth2'),
-    Users: require('./api/discord/users'),
-
-};
+/**
+ * Default client, authenticates with `process.env.token`.
+ */
+const Discord = createClient();
 
 const Utils = {
 
     Https: require('./api/utils/https'),
     Aray: require('./api/utils/aray'),
     Timestamp: require('./api/utils/timestamp'),
+    Components: require('./api/utils/components'),
+    Embeds: require('./api/utils/embeds'),
+    Locales: require('./api/utils/locales'),
 
 };
 
+const { RequestError, DiscordAPIError, ValidationError, InteractionError } = require('./api/utils/errors');
+const { configure } = require('./api/utils/config');
+
 module.exports = {
     Discord,
     Utils,
+    createClient,
+    configure,
+    RequestError,
+    DiscordAPIError,
+    ValidationError,
+    InteractionError,
 };
\ No newline at end of file
@@ -0,0 +1,49 @@
+const Https = require('./utils/https');
+const { createCache } = require('./utils/cache');
+
+/**
+ * Creates a Discord client: the `Auditlog`, `Channels`, `Commands`, `Gateway`, `Guilds`, `Interactions`, `Oauth2`, `Reactions`
+ * and `Users` modules bound to one bot's credentials, with a rate limiter of their own.
+ * Any number of clients can live side by side in one process.
+ * 
+ * example:
+ * ```js
+ * const { createClient } = require('mapih');
+ * const bot = createClient({ token: await secrets.get('bot-token'), apiVersion: 10 });
+ * await bot.Channels.messageCreate({ channel_id: '00000000000000000', content: 'hello' });
+ * ```
+ * 
+ * @param {object} [options]
+ * @param {string} [options.token] bot token, falls back to `process.env.token` at request time.
+ * @param {number} [options.apiVersion] Discord API version to pin, defaults to `config.apiVersion`.
+ * @param {string} [options.baseUrl] url the API lives at, e.g. `http://localhost:8080/api`.
+ * @param {string} [options.protocol] `https:` or `http:`, see `configure()` for the rest of the target options.
+ * @param {object|boolean} [options.cache] ttls, size limits and store of the entity cache, `false` turns it off, see `createCache()`.
+ * @param {object} [options.reactions] `{ store }` or `{ file }` for the reaction subscriptions, by default a file per bot,
+ *   see `Reactions.defaultFile()`. Two clients of the same bot need a file or store each.
+ * @returns {object} { Auditlog, Channels, Commands, Gateway, Guilds, Interactions, Oauth2, Reactions, Users, https, cache }
+ */
+function createClient(options = {}) {
+  const https = Https.create(options);
+  const cache = createCache(options.cache);
+  const reactions = require('./discord/reactions');
+  // every bot keeps its reaction subscriptions in a file of its own, unless told otherwise
+  const Reactions = reactions(https, options.reactions ?? { file: reactions.defaultFile(options.token) });
+  return {
+    Auditlog: require('./discord/auditlog')(https),
+    Channels: require('./discord/channels')(https, Reactions),
+    Commands: require('./discord/commands')(https),
+    Gateway: require('./discord/gateway')(https),
+    Guilds: require('./discord/guilds')(https, cache),
+    Interactions: require('./discord/interactions')(https),
+    Oauth2: require('./discord/oauth2')(https),
+    Reactions,
+    Users: require('./discord/users')(https),
+    https,
+    cache,
+  };
+}
+
+module.exports = {
+  createClient,
+};
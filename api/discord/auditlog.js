@@ -1,9 +1,9 @@
-const https = require(`../utils/https`);
 /**
  * AUDIT LOGS
  * 
+ * @param {object} https request methods bound to a client, see `createClient()`.
  */
-module.exports = {
+module.exports = (https) => ({
     // Get Audit Logs
     /**
      * 
@@ -11,22 +11,12 @@ module.exports = {
      * @returns {Promise<object>} {...}
      */
     async getAuditLogs(params) {
-        try {
-            if (
-                (attempt = await https.get({
-                    url: encodeURI(`discord.com`),
-                    path: encodeURI(`/api/guilds/${params.guild_id}/audit-logs`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: '',
-                }))
-            ) return JSON.parse(attempt.body);
-            else return false;
-        } catch (e) {
-            console.log(e);
-        }
+        if (
+            (attempt = await https.get({
+                path: encodeURI(`/guilds/${params.guild_id}/audit-logs`),
+            }))
+        ) return attempt.data;
+        else return false;
     }, // End Get Audit Logs
 
-}; // End Module Exports
\ No newline at end of file
+}); // End Module Exports
\ No newline at end of file
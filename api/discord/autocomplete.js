@@ -0,0 +1,232 @@
+const { memoryStore } = require('../utils/cache');
+const { commandPath } = require('./router');
+
+/**
+ * AUTOCOMPLETE
+ * https://discord.com/developers/docs/interactions/application-commands#autocomplete
+ */
+
+// https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-choice-structure
+const LIMITS = {
+  choices: 25,
+  name: 100,
+  value: 100,
+};
+
+const normalize = (text) => String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+/**
+ * How well `text` matches what was typed, higher is better, `null` for no match:
+ * exact, then prefix, then word prefix, then substring (earlier is better), then the typed
+ * characters in order with as few gaps as possible.
+ *
+ * example:
+ * ```js
+ * score('gen', 'general'); // prefix
+ * score('gc', 'general chat'); // characters in order
+ * score('xyz', 'general'); // null
+ * ```
+ *
+ * @param {string} query typed value
+ * @param {string} text candidate name
+ * @returns {number|null}
+ */
+function score(query, text) {
+  const q = normalize(query).trim();
+  const t = normalize(text);
+  if (!q) return 0;
+  if (t === q) return 1000;
+  if (t.startsWith(q)) return 900 - Math.min(t.length - q.length, 99);
+  const word = t.search(new RegExp(`(^|[\\s_\\-/:.])${q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`));
+  if (word !== -1) return 700 - Math.min(word, 99);
+  const index = t.indexOf(q);
+  if (index !== -1) return 500 - Math.min(index, 99);
+
+  // subsequence: every typed character in order, fewer and shorter gaps rank higher
+  let gaps = 0;
+  let at = -1;
+  for (const char of q) {
+    if (char === ' ') continue;
+    const next = t.indexOf(char, at + 1);
+    if (next === -1) return null;
+    if (at !== -1 && next !== at + 1) gaps += 1 + Math.min(next - at - 1, 10) / 10;
+    at = next;
+  }
+  return Math.max(1, 300 - gaps * 20 - Math.min(t.length - q.length, 50));
+}
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1)}…` : text);
+
+/**
+ * Turns a candidate into a choice within Discord's limits. Strings are used as both name and value,
+ * names longer than 100 characters are cut with an ellipsis, string values are cut to 100.
+ *
+ * @param {string|number|object} candidate string, number or `{ name, value, name_localizations }`
+ * @returns {object} `{ name, value, name_localizations }`
+ */
+function choice(candidate) {
+  if (candidate === null || candidate === undefined) throw new TypeError(`A choice needs a candidate, got ${candidate}`);
+  const { name, value, name_localizations } = typeof candidate === 'object'
+    ? candidate
+    : { name: String(candidate), value: candidate };
+  const out = {
+    name: truncate(String(name), LIMITS.name),
+    value: typeof value === 'string' ? value.slice(0, LIMITS.value) : value ?? truncate(String(name), LIMITS.value),
+  };
+  if (name_localizations) {
+    out.name_localizations = Object.fromEntries(Object.entries(name_localizations)
+      .map(([locale, localized]) => [locale, truncate(String(localized), LIMITS.name)]));
+  }
+  return out;
+}
+
+/**
+ * Ranks candidates against what was typed and returns the best ones as choices.
+ * Ties keep the order of the candidates. With nothing typed yet the first ones are returned as they are.
+ * `null` and `undefined` candidates are left out.
+ *
+ * example:
+ * ```js
+ * rank('gen', ['random', 'general', 'off-topic', 'gaming-general']);
+ * // [{ name: 'general', value: 'general' }, { name: 'gaming-general', value: 'gaming-general' }]
+ * ```
+ *
+ * @param {string} query typed value
+ * @param {array} candidates strings, numbers or `{ name, value }`
+ * @param {object} [options]
+ * @param {number} [options.limit] most choices returned, at most 25
+ * @param {string} [options.locale] also match `name_localizations[locale]`
+ * @returns {array} choices
+ */
+function rank(query, candidates, options = {}) {
+  const limit = Math.min(options.limit ?? LIMITS.choices, LIMITS.choices);
+  const scored = [];
+  for (const candidate of candidates) {
+    if (candidate === null || candidate === undefined) continue;
+    const name = typeof candidate === 'object' ? candidate.name : String(candidate);
+    const localized = options.locale && typeof candidate === 'object' ? candidate.name_localizations?.[options.locale] : undefined;
+    const best = Math.max(score(query ?? '', name) ?? -1, localized ? score(query ?? '', localized) ?? -1 : -1);
+    if (best >= 0) scored.push({ candidate, score: best });
+  }
+  // Array#sort is stable, equal scores keep their order
+  scored.sort((a, b) => b.score - a.score);
+  return scored.slice(0, limit).map(({ candidate }) => choice(candidate));
+}
+
+/**
+ * Creates an autocomplete helper. Candidates come from an array or an async function; lists a function
+ * returns are cached per command and focused option (or `options.key`), so later keystrokes are
+ * answered from memory while the list is fresh and the response stays well within its deadline.
+ *
+ * example:
+ * ```js
+ * const suggest = api.Discord.Interactions.autocomplete({ ttl: 5 * 60 * 1000 });
+ * router.autocomplete('tag', 'name', suggest.handler(async (interaction) => db.tags(interaction.guild_id), {
+ *   key: (interaction) => `tags:${interaction.guild_id}`,
+ * }));
+ * // or by hand
+ * await suggest.respond(interaction, ['red', 'green', 'blue']);
+ * ```
+ *
+ * @param {object} interactions `{ callback }` of the Interactions module
+ * @param {object} [options]
+ * @param {number} [options.ttl] ms a candidate list is cached, 60 seconds by default, 0 turns caching off
+ *   unless a call asks for a `ttl` of its own
+ * @param {number} [options.max] most candidate lists cached, 500 by default
+ * @param {object} [options.store] any `memoryStore()` compatible store
+ * @returns {object} helper
+ */
+function createAutocomplete(interactions, options = {}) {
+  const defaultTtl = options.ttl ?? 60 * 1000;
+  const store = options.store ?? memoryStore({ max: options.max ?? 500 });
+  const loading = new Map(); // key -> promise of the candidate list being fetched
+
+  // `command subcommand:option`, what a cached list is kept under unless `key` says otherwise
+  const defaultKey = (interaction) => {
+    const { path, options: current } = commandPath(interaction.data ?? {});
+    return `${path}:${current.find((option) => option.focused)?.name}`;
+  };
+
+  async function candidates(interaction, source, params) {
+    if (typeof source !== 'function') return source ?? [];
+    const ttl = params.ttl ?? defaultTtl;
+    if (!ttl) return await source(interaction) ?? [];
+    const key = (params.key ?? defaultKey)(interaction);
+    const cached = await store.get(key);
+    if (cached) return cached;
+    if (!loading.has(key)) {
+      loading.set(key, (async () => {
+        try {
+          const list = await source(interaction) ?? [];
+          await store.set(key, list, ttl);
+          return list;
+        } finally {
+          loading.delete(key);
+        }
+      })());
+    }
+    return loading.get(key);
+  }
+
+  const helper = {
+    /**
+     * The ranked choices for an autocomplete interaction.
+     *
+     * @param {object} interaction APPLICATION_COMMAND_AUTOCOMPLETE interaction
+     * @param {array|Function} source candidates, or `async (interaction) => candidates`
+     * @param {object} [params]
+     * @param {Function} [params.key] `(interaction) => string` cache key, command path and option name by default
+     * @param {number} [params.ttl] ms to cache this list, overrides the helper's `ttl` (0 included)
+     * @param {number} [params.limit] most choices, at most 25
+     * @returns {Promise<array>} choices
+     */
+    async choices(interaction, source, params = {}) {
+      const { options: current } = commandPath(interaction.data ?? {});
+      const focused = current.find((option) => option.focused);
+      return rank(focused?.value ?? '', await candidates(interaction, source, params), {
+        limit: params.limit,
+        locale: interaction.locale,
+      });
+    },
+
+    /**
+     * Ranks the candidates and answers the interaction with them.
+     *
+     * @param {object} interaction
+     * @param {array|Function} source
+     * @param {object} [params] see `choices()`
+     * @returns {Promise<object>}
+     */
+    async respond(interaction, source, params = {}) {
+      return interactions.callback.autocomplete_reply(interaction, await helper.choices(interaction, source, params));
+    },
+
+    /**
+     * A router handler answering with the ranked candidates.
+     *
+     * @param {array|Function} source
+     * @param {object} [params] see `choices()`
+     * @returns {Function} `(interaction, ctx) => Promise`
+     */
+    handler: (source, params = {}) => async (interaction, ctx) => ctx.autocomplete(await helper.choices(interaction, source, params)),
+
+    /**
+     * Drops cached candidate lists, all of them or those whose key starts with `prefix`.
+     *
+     * @param {string} [prefix]
+     */
+    async clear(prefix) {
+      await store.clear(prefix);
+    },
+  };
+
+  return helper;
+}
+
+module.exports = {
+  createAutocomplete,
+  rank,
+  score,
+  choice,
+  LIMITS,
+};
@@ -1,6 +1,17 @@
-const https = require(`../utils/https`);
+// 2015-01-01T00:00:00.000Z, the first second of snowflake time.
+const DISCORD_EPOCH = 1420070400000n;
 
-module.exports = {
+// A message id, or the id a message sent at a Date would have.
+const snowflake = (value) => (value instanceof Date ? String((BigInt(value.getTime()) - DISCORD_EPOCH) << 22n) : value);
+
+// When a message was sent, ms timestamp read from its id.
+const created = (message) => Number((BigInt(message.id) >> 22n) + DISCORD_EPOCH);
+
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ * @param {object} [reactions] the client's reaction subscriptions, see `Reactions`.
+ */
+module.exports = (https, reactions) => ({
     // Create Channel Message
     /**
      * Creates a message in the specified channel.
@@ -13,63 +24,215 @@ module.exports = {
      * })
      * ```
      * 
+     * Files are uploaded as multipart/form-data, each one a path, Buffer, stream or `{ name, data, description }` object:
+     * ```js
+     * await messageCreate({
+     *   channel_id: '00000000000000000',
+     *   content: `todays logs`,
+     *   files: ['./logs/error.log', { name: 'chart.png', data: buffer }],
+     * })
+     * ```
+     * 
      * @param {object} params Object of inputs.
      * @returns {Promise<object>} {...}
      */
     async messageCreate(params) {
-        try {
-            if (
-                (attempt = await https.post({
-                    url: encodeURI(`discord.com`),
-                    path: encodeURI(`/api/channels/${params.channel_id}/messages`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        content: params.content,
-                        tts: params.tts,
-                        embeds: params.embeds ?? params.embed,
-                        allowed_mentions: params.allowed_mentions,
-                        message_reference: params.message_reference,
-                        components: params.components,
-                        sticker_ids: params.sticker_ids,
-                        files: params.files,
-                        payload_json: params.payload_json,
-                        attachments: params.attachments,
-                        flags: params.flags,
-                    }),
-                }))
-            ) return JSON.parse(attempt.body);
-            else return false;
-        } catch (e) {
-            console.log(e);
-        }
+        const form = await https.encode(params.payload_json ?? {
+            content: params.content,
+            tts: params.tts,
+            embeds: params.embeds ?? params.embed,
+            allowed_mentions: params.allowed_mentions,
+            message_reference: params.message_reference,
+            components: params.components,
+            sticker_ids: params.sticker_ids,
+            attachments: params.attachments,
+            flags: params.flags,
+        }, params.files);
+        if (
+            (attempt = await https.post({
+                path: encodeURI(`/channels/${params.channel_id}/messages`),
+                headers: form.headers,
+                body: form.body,
+            }))
+        ) return attempt.data;
+        else return false;
     }, // End Create Channel Message
 
     // Get All Channel Messages
     /**
+     * Returns up to 100 messages, newest first. Only one of `before`, `after` and `around` applies,
+     * see `messageHistory()` to walk past 100.
      * 
      * @param {snowflake} channel_id channel_id to retrieve messages from.
      * @param {number} limit the number of messages to retrieve.
+     * @param {snowflake} [before] messages before this message id.
+     * @param {snowflake} [after] messages after this message id.
+     * @param {snowflake} [around] messages around this message id.
      * @returns {Promise<object>} {...}
      */
     async getAllMessages(params) {
-        try {
-            return (
-                (attempt = await https.get({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}/messages?limit=${params.limit}`),
-                    headers: {
-                        'Authorization': `Bot ${process.env.token}`,
+        return (
+            (attempt = await https.get({
+                path: encodeURI(`/channels/${params.channel_id}/messages`),
+                query: { limit: params.limit, before: params.before, after: params.after, around: params.around },
+            }))
+        ) ? attempt.data : false;
+    }, // End Get All Channel Messages
+
+    // Channel Message History
+    /**
+     * Walks a channel's history in pages of 100, yielding one message at a time.
+     * 
+     * Goes back in time from `before` (or the newest message), forwards in time from `after`;
+     * `around` yields the single page around a message. Both ends take a message id or a Date.
+     * The walk ends at the end of the history, after `limit` messages, or once `until` says so:
+     * a Date stops at the first message past it, a function `(message) => boolean` at the first message it is true for.
+     * Pages are requested one after another through the client's rate limiter, so the walk slows down
+     * instead of running into 429s.
+     * 
+     * example:
+     * ```js
+     * for await (const message of messageHistory({ channel_id: '00000000000000000', until: new Date('2024-01-01') })) {
+     *   exported.push(message);
+     * }
+     * 
+     * // the next 500 messages after one, oldest first
+     * for await (const message of messageHistory({ channel_id, after: message_id, limit: 500 })) scan(message);
+     * ```
+     * 
+     * @param {object} params `{ channel_id, before, after, around, limit, until }`
+     * @returns {AsyncGenerator<object>} messages, newest first unless walking forwards from `after`
+     * 
+     * https://discord.com/developers/docs/resources/message#get-channel-messages
+     */
+    async *messageHistory(params) {
+        const limit = params.limit ?? Infinity;
+        const until = typeof params.until === 'function' || params.until === undefined || params.until === null
+            ? params.until
+            : new Date(params.until).getTime();
+        const around = params.around !== undefined ? snowflake(params.around) : undefined;
+        const forwards = params.after !== undefined && params.before === undefined;
+        let cursor = snowflake(forwards ? params.after : params.before);
+        let yielded = 0;
+
+        while (yielded < limit) {
+            const size = Math.min(100, limit - yielded);
+            if (
+                !(attempt = await https.get({
+                    path: encodeURI(`/channels/${params.channel_id}/messages`),
+                    query: {
+                        limit: size,
+                        before: around === undefined && !forwards ? cursor : undefined,
+                        after: around === undefined && forwards ? cursor : undefined,
+                        around,
                     },
-                    body: '',
                 }))
-            ) ? JSON.parse(attempt.body) : false;
-        } catch (e) {
-            console.log(e);
+            ) return;
+            const page = attempt.data;
+            // Discord sends newest first, walking forwards wants the oldest first
+            page.sort((a, b) => (BigInt(a.id) < BigInt(b.id) ? 1 : -1) * (forwards ? -1 : 1));
+
+            for (const message of page) {
+                if (typeof until === 'function' && until(message)) return;
+                if (typeof until === 'number' && (forwards ? created(message) > until : created(message) < until)) return;
+                yield message;
+                if (++yielded >= limit) return;
+            }
+            if (around !== undefined || page.length < size) return;
+            cursor = page[page.length - 1].id;
         }
-    }, // End Get All Channel Messages
+    }, // End Channel Message History
+
+    // Get Channel Message
+    /**
+     * Returns a single message.
+     * 
+     * example:
+     * ```js
+     * const message = await getMessage({ channel_id: '00000000000000000', message_id: '00000000000000000' });
+     * ```
+     * 
+     * @param {object} params `{ channel_id, message_id }`
+     * @returns {Promise<object>} the message
+     * 
+     * https://discord.com/developers/docs/resources/message#get-channel-message
+     */
+    async getMessage(params) {
+        return (
+            (attempt = await https.get({
+                path: encodeURI(`/channels/${params.channel_id}/messages/${params.message_id}`),
+            }))
+        ) ? attempt.data : false;
+    }, // End Get Channel Message
+
+    // Edit Channel Message
+    /**
+     * Edits a message, only the given fields change.
+     * 
+     * Discord drops every attachment missing from `attachments`, so when new `files` are uploaded
+     * without an `attachments` list the message's current attachments are looked up and kept.
+     * `keep_attachments: false` removes them instead; an explicit `attachments` list is sent as it is.
+     * 
+     * example:
+     * ```js
+     * await messageEdit({
+     *   channel_id: '00000000000000000',
+     *   message_id: '00000000000000000',
+     *   content: `updated logs`,
+     *   files: ['./logs/error.log'], // added next to the attachments already there
+     * })
+     * ```
+     * 
+     * @param {object} params `{ channel_id, message_id, content, embeds, flags, allowed_mentions, components, attachments, files, keep_attachments }`
+     * @returns {Promise<object>} the edited message
+     * 
+     * https://discord.com/developers/docs/resources/message#edit-message
+     */
+    async messageEdit(params) {
+        let attachments = params.attachments;
+        if (attachments === undefined && params.keep_attachments === false) attachments = [];
+        else if (attachments === undefined && params.files?.length) {
+            if (
+                !(attempt = await https.get({
+                    path: encodeURI(`/channels/${params.channel_id}/messages/${params.message_id}`),
+                }))
+            ) return false;
+            attachments = attempt.data.attachments.map((attachment) => ({ id: attachment.id }));
+        }
+        const form = await https.encode(params.payload_json ?? {
+            content: params.content,
+            embeds: params.embeds ?? params.embed,
+            flags: params.flags,
+            allowed_mentions: params.allowed_mentions,
+            components: params.components,
+            attachments,
+        }, params.files);
+        if (
+            (attempt = await https.patch({
+                path: encodeURI(`/channels/${params.channel_id}/messages/${params.message_id}`),
+                headers: form.headers,
+                body: form.body,
+            }))
+        ) return attempt.data;
+        else return false;
+    }, // End Edit Channel Message
+
+    // Crosspost Message
+    /**
+     * Publishes a message in an announcement channel to the channels following it.
+     * 
+     * @param {object} params `{ channel_id, message_id }`
+     * @returns {Promise<object>} the message
+     * 
+     * https://discord.com/developers/docs/resources/message#crosspost-message
+     */
+    async messageCrosspost(params) {
+        return (
+            (attempt = await https.post({
+                path: encodeURI(`/channels/${params.channel_id}/messages/${params.message_id}/crosspost`),
+            }))
+        ) ? attempt.data : false;
+    }, // End Crosspost Message
 
     // Delete Channel Message
     /**
@@ -78,22 +241,12 @@ module.exports = {
      * @returns 
      */
     async messageDelete(params) {
-        try {
-            return (
-                (attempt = await https.del({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}/messages/${params.message_id}`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-Audit-Log-Reason': `${params.reason}`,
-                        'Authorization': `Bot ${process.env.token}`,
-                    },
-                    body: '',
-                }))
-            ) ? attempt : false;
-        } catch (e) {
-            console.log(e);
-        }
+        return (
+            (attempt = await https.del({
+                path: encodeURI(`/channels/${params.channel_id}/messages/${params.message_id}`),
+                reason: params.reason,
+            }))
+        ) ? attempt : false;
     }, // End Delete Channel Message
 
     // Bulk Delete Channel Message
@@ -116,156 +269,161 @@ module.exports = {
      * https://discord.com/developers/docs/resources/channel#bulk-delete-messages
      */
     async messageBulkDelete(params) {
-        try {
-            return (
-                (attempt = await https.post({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}/messages/bulk-delete`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({ messages: params.messages }),
-                }))
-            ) ? attempt : false;
-        } catch (e) {
-            console.log(e);
-            return e;
-        }
+        return (
+            (attempt = await https.post({
+                path: encodeURI(`/channels/${params.channel_id}/messages/bulk-delete`),
+                body: { messages: params.messages },
+            }))
+        ) ? attempt : false;
     }, // End Bulk Delete Channel Message
 
+    // Get Channel Pins
+    /**
+     * Returns a page of the channel's pinned messages, newest pin first.
+     * 
+     * example:
+     * ```js
+     * const { items, has_more } = await getPinnedMessages({ channel_id: '00000000000000000', limit: 50 });
+     * const older = await getPinnedMessages({ channel_id: '00000000000000000', before: items.at(-1).pinned_at });
+     * ```
+     * 
+     * @param {object} params `{ channel_id, before, limit }`, `before` an ISO8601 pin timestamp, `limit` 1-50
+     * @returns {Promise<object>} `{ items: [{ pinned_at, message }], has_more }`
+     * 
+     * https://discord.com/developers/docs/resources/message#get-channel-pins
+     */
+    async getPinnedMessages(params) {
+        return (
+            (attempt = await https.get({
+                path: encodeURI(`/channels/${params.channel_id}/messages/pins`),
+                query: { before: params.before, limit: params.limit },
+            }))
+        ) ? attempt.data : false;
+    }, // End Get Channel Pins
+
+    // Pin Message
+    /**
+     * Pins a message, shows up in the audit log with `reason`.
+     * 
+     * @param {object} params `{ channel_id, message_id, reason }`
+     * @returns {Promise<boolean>} true once pinned
+     * 
+     * https://discord.com/developers/docs/resources/message#pin-message
+     */
+    async pinMessage(params) {
+        if (
+            (attempt = await https.put({
+                path: encodeURI(`/channels/${params.channel_id}/messages/pins/${params.message_id}`),
+                reason: params.reason,
+            }))
+        ) return attempt.statusCode == 204;
+        else return false;
+    }, // End Pin Message
+
+    // Unpin Message
+    /**
+     * Unpins a message, shows up in the audit log with `reason`.
+     * 
+     * @param {object} params `{ channel_id, message_id, reason }`
+     * @returns {Promise<boolean>} true once unpinned
+     * 
+     * https://discord.com/developers/docs/resources/message#unpin-message
+     */
+    async unpinMessage(params) {
+        if (
+            (attempt = await https.del({
+                path: encodeURI(`/channels/${params.channel_id}/messages/pins/${params.message_id}`),
+                reason: params.reason,
+            }))
+        ) return attempt.statusCode == 204;
+        else return false;
+    }, // End Unpin Message
+
     // Create Message Reaction
     async messageReact(params) {
-        try {
-            if (
-                (attempt = await https.put({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}/messages/${params.message_id}/reactions/${params.emoji}/@me`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: '',
-                }))
-            ) if (attempt.statusCode == 204) {
-                console.log('messageReact', attempt);
-                return true;
-            }
-                else {
-                    console.log('messageReact', attempt);
-                    return false;
-                }
-        } catch (e) {
-            console.log(e);
-        }
+        if (
+            (attempt = await https.put({
+                path: encodeURI(`/channels/${params.channel_id}/messages/${params.message_id}/reactions/${params.emoji}/@me`),
+            }))
+        ) return attempt.statusCode == 204;
+        else return false;
     }, // End Create Message Reaction
 
     // On Message Reaction
     /**
-     * This function is pretty much a note at this point.
-     * For use with the above "messageReact" function, it is meant to perform a user
-     * defined action on the specified reaction.
+     * Subscribes a handler to an emoji on a message, shorthand for `Reactions.subscribe()`.
+     * The handler fires on MESSAGE_REACTION_ADD/REMOVE once `Reactions.listen(gateway)` is running.
+     * 
+     * example:
+     * ```js
+     * Reactions.handler('suggestion', { add: upvote, remove: unvote });
+     * await onReactionAdd({
+     *   channel_id: suggestionChannel.id,
+     *   message_id: `${suggestmessage.id}`,
+     *   emoji: `⬇️`,
+     *   handler: 'suggestion',
+     * });
+     * ```
      * 
-     * -non-functional
-     * @param {*} params 
+     * Calls written before handlers existed (`{ channel_id, message_id, emoji }` alone) would save a subscription
+     * that never fires, they throw a `ValidationError` for the missing `handler` instead.
+     * 
+     * @param {object} params see `Reactions.subscribe()`
+     * @returns {Promise<object>} the subscription
      */
     async onReactionAdd(params) {
-        try {
-
-            // channel_id: suggestionChannel.id,
-            // message_id: `${suggestmessage.id}`,
-            // emoji: `⬇️`,
-            let write = `onReact{"${params.message_id}": "${params.emoji}"}`;
-            let filename;
-            try {
-                //await fs.writeFile(filename = process.cwd() + `/data/${process.env.uuid}/.evented`, write, { flag: 'a+' });
-            } catch (err) {
-                console.log(err);
-            }
-
-
-        } catch (e) {
-            console.log(e);
-        }
+        return reactions.subscribe(params);
     }, // End On Message Reaction
 
     // Modify Channel
     async modifyChannel(params) {
-        try {
-            if (
-                (attempt = await https.patch({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}`),
-                    headers: {
-                        'Authorization': `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        name: params.channel_name ?? null,//string
-                        type: params.type ?? null,//integer	the type of channel;
-                        position: params.position ?? null,//?integer
-                        topic: params.topic ?? null,//?string
-                        nsfw: params.nsfw ?? null,//?boolean
-                        rate_limit_per_user: params.rate_limit_per_user ?? null,//?integer
-                        bitrate: params.bitrate ?? null,//?integer
-                        user_limit: params.user_limit ?? null,//?integer
-                        permission_overwrites: params.permission_overwrites ?? null,//
-                        parent_id: params.parent_id ?? null,//?snowflake
-                        rtc_region: params.rtc_region ?? null,//?string
-                        video_quality_mode: params.video_quality_mode ?? null,//?integer
-                        default_auto_archive_duration: params.default_auto_archive_duration ?? null,//?integer
-                    }),
-                }))
-            ) { console.log('permsUpdate', attempt); return JSON.parse(attempt.body); }
-            else return false;
-        } catch (e) {
-            console.log(e);
-        }
+        if (
+            (attempt = await https.patch({
+                path: encodeURI(`/channels/${params.channel_id}`),
+                body: {
+                    name: params.channel_name ?? null,//string
+                    type: params.type ?? null,//integer	the type of channel;
+                    position: params.position ?? null,//?integer
+                    topic: params.topic ?? null,//?string
+                    nsfw: params.nsfw ?? null,//?boolean
+                    rate_limit_per_user: params.rate_limit_per_user ?? null,//?integer
+                    bitrate: params.bitrate ?? null,//?integer
+                    user_limit: params.user_limit ?? null,//?integer
+                    permission_overwrites: params.permission_overwrites ?? null,//
+                    parent_id: params.parent_id ?? null,//?snowflake
+                    rtc_region: params.rtc_region ?? null,//?string
+                    video_quality_mode: params.video_quality_mode ?? null,//?integer
+                    default_auto_archive_duration: params.default_auto_archive_duration ?? null,//?integer
+                },
+            }))
+        ) return attempt.data;
+        else return false;
     }, // End Modify Channel
 
     // Channel Permission Update
     async permissionsUpdate(params) {
-        try {
-            if (
-                (attempt = await https.patch({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}`),
-                    headers: {
-                        'Authorization': `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        overwrite_id: params.overwrite_id ?? null,
-                        type: params.type ?? null,
-                        allow: params.allow ?? null,
-                        deny: params.deny ?? null,
-                    }),
-                }))
-            ) { console.log('permsUpdate', attempt); return JSON.parse(attempt.body); }
-            else return false;
-        } catch (e) {
-            console.log(e);
-        }
+        if (
+            (attempt = await https.patch({
+                path: encodeURI(`/channels/${params.channel_id}`),
+                body: {
+                    overwrite_id: params.overwrite_id ?? null,
+                    type: params.type ?? null,
+                    allow: params.allow ?? null,
+                    deny: params.deny ?? null,
+                },
+            }))
+        ) return attempt.data;
+        else return false;
     }, // End Channel Permission Update
 
     // Channel typingCreate
     async typingCreate(params) {
-        try {
-            if (
-                (attempt = await https.post({
-                    url: encodeURI('discord.com'),
-                    path: encodeURI(`/api/channels/${params.channel_id}/typing`),
-                    headers: {
-                        'Authorization': `Bot ${process.env.token}`,
-                    },
-                    body: '',
-                }))
-            ) {
-                console.log('typingCreate', attempt);
-                //return JSON.parse(attempt.body);
-            }
-            else return false;
-        } catch (e) {
-            console.log(e);
-        }
+        if (
+            (attempt = await https.post({
+                path: encodeURI(`/channels/${params.channel_id}/typing`),
+            }))
+        ) return attempt.statusCode == 204;
+        else return false;
     }, // End Channel typingCreate
 
     // Create forum thread
@@ -295,28 +453,19 @@ module.exports = {
      * @returns {Promise} Promise Object
      */
     async forumThreadCreate(params) {
-        try {
-            if (
-                (attempt = await https.post({
-                    url: encodeURI(`discord.com`),
-                    path: encodeURI(`/api/channels/${params.channel_id}/threads`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        name: params.name,//string	1-100 character channel name
-                        auto_archive_duration: params.auto_archive_duration,//?*	integer	duration in minutes to automatically archive the thread after recent activity, can be set to: 60, 1440, 4320, 10080
-                        rate_limit_per_user: params.rate_limit_per_user,//?	?integer	amount of seconds a user has to wait before sending another message (0-21600)
-                        message: params.message,//	a forum thread message params object	contents of the first message in the forum thread
-                        applied_tags: params.applied_tags,//?	array of snowflakes	the IDs of the set of tags that have been applied to a thread in a GUILD_FORUM channel
-                    }),
-                }))
-            ) return JSON.parse(attempt.body);
-            else return false;
-        } catch (e) {
-            console.log(e);
-        }
+        if (
+            (attempt = await https.post({
+                path: encodeURI(`/channels/${params.channel_id}/threads`),
+                body: {
+                    name: params.name,//string	1-100 character channel name
+                    auto_archive_duration: params.auto_archive_duration,//?*	integer	duration in minutes to automatically archive the thread after recent activity, can be set to: 60, 1440, 4320, 10080
+                    rate_limit_per_user: params.rate_limit_per_user,//?	?integer	amount of seconds a user has to wait before sending another message (0-21600)
+                    message: params.message,//	a forum thread message params object	contents of the first message in the forum thread
+                    applied_tags: params.applied_tags,//?	array of snowflakes	the IDs of the set of tags that have been applied to a thread in a GUILD_FORUM channel
+                },
+            }))
+        ) return attempt.data;
+        else return false;
     }, // End Create forum thread
 
-}; // End Module Exports
\ No newline at end of file
+}); // End Module Exports
\ No newline at end of file
@@ -0,0 +1,448 @@
+const { ValidationError } = require('../utils/errors');
+const { LOCALES } = require('../utils/locales');
+
+/**
+ * APPLICATION COMMANDS
+ * https://discord.com/developers/docs/interactions/application-commands
+ */
+
+// Values Discord fills in when a command or option leaves them out, so leaving them out locally isn't a change.
+const COMMAND_DEFAULTS = {
+  type: 1,
+  description: '',
+  options: [],
+  default_member_permissions: null,
+  nsfw: false,
+  name_localizations: null,
+  description_localizations: null,
+};
+const OPTION_DEFAULTS = {
+  required: false,
+  autocomplete: false,
+  name_localizations: null,
+  description_localizations: null,
+};
+const CHOICE_DEFAULTS = {
+  name_localizations: null,
+};
+
+// Command fields sync compares and sends, everything else on a registered command (id, version, ...) is Discord's.
+const COMMAND_FIELDS = [
+  'name', 'type', 'description', 'options', 'default_member_permissions', 'dm_permission', 'nsfw',
+  'contexts', 'integration_types', 'name_localizations', 'description_localizations',
+];
+
+/**
+ * Brings a command or option into a comparable shape: defaults dropped, keys sorted, nested options included.
+ */
+function normalize(value, defaults = COMMAND_DEFAULTS) {
+  if (Array.isArray(value)) return value.map((item) => normalize(item, defaults));
+  if (!value || typeof value !== 'object') return value;
+  const out = {};
+  for (const key of Object.keys(value).sort()) {
+    let v = value[key];
+    if (v === undefined) continue;
+    if (key === 'options') v = normalize(v, OPTION_DEFAULTS);
+    else if (key === 'choices') v = normalize(v, CHOICE_DEFAULTS);
+    else if (key === 'default_member_permissions' && v !== null) v = String(v);
+    if (key in defaults && JSON.stringify(v) === JSON.stringify(defaults[key])) continue;
+    if (Array.isArray(v) && !v.length && key in defaults) continue;
+    out[key] = v;
+  }
+  return out;
+}
+
+/**
+ * The fields of a local definition that differ from the registered command.
+ * Fields Discord defaults are compared against their default when left out; `dm_permission`,
+ * `contexts` and `integration_types` only when the definition sets them.
+ *
+ * @param {object} local command definition
+ * @param {object} remote registered command
+ * @returns {array} names of the fields that differ
+ */
+function diff(local, remote) {
+  const a = normalize(pick(local));
+  const b = normalize(pick(remote));
+  return COMMAND_FIELDS.filter((field) => {
+    if (['dm_permission', 'contexts', 'integration_types'].includes(field) && local[field] === undefined) return false;
+    return JSON.stringify(a[field]) !== JSON.stringify(b[field]);
+  });
+}
+
+function pick(command) {
+  const out = {};
+  for (const field of COMMAND_FIELDS) if (command[field] !== undefined) out[field] = command[field];
+  return out;
+}
+
+// https://discord.com/developers/docs/interactions/application-commands#application-command-permissions-object-application-command-permission-type
+const PERMISSION_TYPES = {
+  ROLE: 1,
+  USER: 2,
+  CHANNEL: 3,
+};
+
+/**
+ * Permission overwrite builders, `allow.role(id)` or `deny.channel(id)` instead of `{ id, type, permission }`.
+ * `everyone(guild_id)` stands for the @everyone role, `allChannels(guild_id)` for every channel of the guild.
+ */
+const overwrites = (permission) => ({
+  role: (id) => ({ id, type: PERMISSION_TYPES.ROLE, permission }),
+  user: (id) => ({ id, type: PERMISSION_TYPES.USER, permission }),
+  channel: (id) => ({ id, type: PERMISSION_TYPES.CHANNEL, permission }),
+  everyone: (guild_id) => ({ id: guild_id, type: PERMISSION_TYPES.ROLE, permission }),
+  allChannels: (guild_id) => ({ id: String(BigInt(guild_id) - 1n), type: PERMISSION_TYPES.CHANNEL, permission }),
+});
+const allow = overwrites(true);
+const deny = overwrites(false);
+
+/**
+ * The Authorization header for an OAuth2 access token: a token object as returned by `Oauth2.getToken()`,
+ * a bare access token or a header value that already names its type.
+ */
+function bearer(token) {
+  if (!token) throw new TypeError('Editing command permissions needs a Bearer token with the applications.commands.permissions.update scope');
+  if (typeof token === 'object') return `${token.token_type ?? 'Bearer'} ${token.access_token}`;
+  return /^Bearer\s/i.test(token) ? token : `Bearer ${token}`;
+}
+
+/**
+ * Fills in `name_localizations` and `description_localizations` of commands, options and choices from a
+ * catalog (see `Utils.Locales`). Keys are `<command>.name`, `<command>.description`, `<command>.options.<option>.name`,
+ * and so on down nested options, `<command>.options.<option>.choices.<choice>` for choices, all under `prefix`.
+ * Localizations already in a definition win over the catalog's.
+ *
+ * example:
+ * ```js
+ * // fr.json: { "commands": { "ping": { "description": "Répond pong", "options": { "hidden": { "description": "Seulement pour toi" } } } } }
+ * const catalog = await api.Utils.Locales.loadCatalog('./locales');
+ * await api.Discord.Commands.sync(api.Discord.Commands.localize(definitions, catalog));
+ * ```
+ *
+ * @param {array} definitions command definitions
+ * @param {object} catalog `createCatalog()` / `loadCatalog()` catalog
+ * @param {string} [prefix] key prefix, `commands` by default
+ * @returns {array} localized copies of the definitions
+ */
+function localize(definitions, catalog, prefix = 'commands') {
+  const localized = (item, key, field, base) => {
+    const found = catalog.localizations(`${key}.${field}`);
+    // the base locale's text is the field itself
+    if (found) for (const [locale, text] of Object.entries(found)) if (text === base) delete found[locale];
+    const merged = { ...found, ...item[`${field}_localizations`] };
+    return Object.keys(merged).length ? merged : item[`${field}_localizations`];
+  };
+  const options = (list, key) => list?.map((option) => ({
+    ...option,
+    name_localizations: localized(option, `${key}.${option.name}`, 'name', option.name),
+    description_localizations: localized(option, `${key}.${option.name}`, 'description', option.description),
+    choices: option.choices?.map((choice) => {
+      const found = catalog.localizations(`${key}.${option.name}.choices.${choice.name}`);
+      const merged = { ...found, ...choice.name_localizations };
+      return { ...choice, name_localizations: Object.keys(merged).length ? merged : choice.name_localizations };
+    }),
+    options: options(option.options, `${key}.${option.name}.options`),
+  }));
+  return definitions.map((command) => ({
+    ...command,
+    name_localizations: localized(command, `${prefix}.${command.name}`, 'name', command.name),
+    description_localizations: localized(command, `${prefix}.${command.name}`, 'description', command.description),
+    options: options(command.options, `${prefix}.${command.name}.options`),
+  }));
+}
+
+/**
+ * Throws a `ValidationError` for localization keys Discord doesn't know, anywhere in a definition.
+ */
+function checkLocales(value, at) {
+  if (Array.isArray(value)) return value.forEach((item, i) => checkLocales(item, `${at}.${item?.name ?? i}`));
+  if (!value || typeof value !== 'object') return undefined;
+  for (const [key, v] of Object.entries(value)) {
+    if (/_localizations$/.test(key) && v) {
+      for (const locale of Object.keys(v))
+        if (!LOCALES.includes(locale)) throw new ValidationError(`${locale} is not a Discord locale`, { path: `${at}.${key}` });
+    } else if (key === 'options' || key === 'choices') checkLocales(v, `${at}.${key}`);
+  }
+  return undefined;
+}
+
+// Command names are unique per type, so the pair identifies a command.
+const identity = (command) => `${command.type ?? 1}:${command.name}`;
+
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ */
+module.exports = (https) => {
+  let application = null;
+
+  /**
+   * The application id, from `params.application_id` or looked up once for the bot.
+   */
+  async function applicationId(params = {}) {
+    if (params.application_id) return params.application_id;
+    application = application ?? https.get({ path: '/oauth2/applications/@me' }).then((res) => res.data.id);
+    try {
+      return await application;
+    } catch (e) {
+      application = null;
+      throw e;
+    }
+  }
+
+  async function base(params = {}) {
+    const id = await applicationId(params);
+    return params.guild_id ? `/applications/${id}/guilds/${params.guild_id}/commands` : `/applications/${id}/commands`;
+  }
+
+  const commands = {
+    // Get Application Commands
+    /**
+     * Returns the registered commands, global ones or a guild's with `guild_id`.
+     *
+     * example:
+     * ```js
+     * const globals = await api.Discord.Commands.getCommands();
+     * const guild = await api.Discord.Commands.getCommands({ guild_id: '00000000000000000', with_localizations: true });
+     * ```
+     *
+     * @param {object} [params] `{ guild_id, application_id, with_localizations }`
+     * @returns {Promise<array>} `[{...}]`
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#get-global-application-commands
+     */
+    async getCommands(params = {}) {
+      return (await https.get({
+        path: await base(params),
+        query: { with_localizations: params.with_localizations },
+      })).data;
+    }, // End Get Application Commands
+
+    // Create Application Command
+    /**
+     * Creates a command, or replaces the command with the same name and type.
+     *
+     * example:
+     * ```js
+     * await api.Discord.Commands.createCommand({
+     *   guild_id: '00000000000000000',
+     *   command: { name: 'ping', description: 'Replies with pong' },
+     * });
+     * ```
+     *
+     * @param {object} params `{ command, guild_id, application_id }`
+     * @returns {Promise<object>} the command
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#create-global-application-command
+     */
+    async createCommand(params) {
+      return (await https.post({
+        path: await base(params),
+        body: params.command,
+      })).data;
+    }, // End Create Application Command
+
+    // Get Application Command
+    /**
+     * @param {object} params `{ command_id, guild_id, application_id }`
+     * @returns {Promise<object>} the command
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#get-global-application-command
+     */
+    async getCommand(params) {
+      return (await https.get({
+        path: `${await base(params)}/${params.command_id}`,
+      })).data;
+    }, // End Get Application Command
+
+    // Edit Application Command
+    /**
+     * Edits the given fields of a command.
+     *
+     * @param {object} params `{ command_id, command, guild_id, application_id }`
+     * @returns {Promise<object>} the command
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#edit-global-application-command
+     */
+    async editCommand(params) {
+      return (await https.patch({
+        path: `${await base(params)}/${params.command_id}`,
+        body: params.command,
+      })).data;
+    }, // End Edit Application Command
+
+    // Delete Application Command
+    /**
+     * @param {object} params `{ command_id, guild_id, application_id }`
+     * @returns {Promise<boolean>} true once deleted
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#delete-global-application-command
+     */
+    async deleteCommand(params) {
+      return (await https.del({
+        path: `${await base(params)}/${params.command_id}`,
+      })).statusCode == 204;
+    }, // End Delete Application Command
+
+    // Bulk Overwrite Application Commands
+    /**
+     * Replaces every registered command with the given ones, commands left out are deleted.
+     *
+     * @param {object} params `{ commands, guild_id, application_id }`
+     * @returns {Promise<array>} the registered commands
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#bulk-overwrite-global-application-commands
+     */
+    async bulkOverwrite(params) {
+      return (await https.put({
+        path: await base(params),
+        body: params.commands,
+      })).data;
+    }, // End Bulk Overwrite Application Commands
+
+    // Get Guild Application Command Permissions
+    /**
+     * Returns the permission overwrites of every command of the application in a guild that has any.
+     *
+     * @param {object} params `{ guild_id, application_id }`
+     * @returns {Promise<array>} `[{ id, application_id, guild_id, permissions: [{ id, type, permission }] }]`
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#get-guild-application-command-permissions
+     */
+    async getGuildCommandPermissions(params) {
+      return (await https.get({
+        path: `/applications/${await applicationId(params)}/guilds/${params.guild_id}/commands/permissions`,
+      })).data;
+    }, // End Get Guild Application Command Permissions
+
+    // Get Application Command Permissions
+    /**
+     * Returns the permission overwrites of one command in a guild. With the application id as `command_id`
+     * these are the overwrites for all commands of the application.
+     *
+     * @param {object} params `{ guild_id, command_id, application_id }`
+     * @returns {Promise<object>} `{ id, application_id, guild_id, permissions: [{ id, type, permission }] }`
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#get-application-command-permissions
+     */
+    async getCommandPermissions(params) {
+      return (await https.get({
+        path: `/applications/${await applicationId(params)}/guilds/${params.guild_id}/commands/${params.command_id}/permissions`,
+      })).data;
+    }, // End Get Application Command Permissions
+
+    // Edit Application Command Permissions
+    /**
+     * Replaces the permission overwrites of a command in a guild, at most 100. Discord only takes this
+     * with the OAuth2 token of a member who can manage the guild and its roles, not the bot token.
+     * With the application id as `command_id` the overwrites apply to all commands of the application.
+     *
+     * example:
+     * ```js
+     * const { allow, deny } = api.Discord.Commands;
+     * await api.Discord.Commands.editCommandPermissions({
+     *   guild_id,
+     *   command_id,
+     *   token: bearerToken, // from Oauth2.getToken(), or the access token alone
+     *   permissions: [deny.everyone(guild_id), allow.role(moderator_role_id), deny.channel(lobby_channel_id)],
+     * });
+     * ```
+     *
+     * @param {object} params
+     * @param {snowflake} params.guild_id
+     * @param {snowflake} params.command_id command id, or the application id for all commands
+     * @param {array} params.permissions `[{ id, type, permission }]`, see `allow` and `deny`
+     * @param {string|object} params.token OAuth2 access token or token object with the `applications.commands.permissions.update` scope
+     * @param {snowflake} [params.application_id] looked up when omitted
+     * @returns {Promise<object>} `{ id, application_id, guild_id, permissions }`
+     *
+     * https://discord.com/developers/docs/interactions/application-commands#edit-application-command-permissions
+     */
+    async editCommandPermissions(params) {
+      const auth = bearer(params.token);
+      return (await https.put({
+        path: `/applications/${await applicationId(params)}/guilds/${params.guild_id}/commands/${params.command_id}/permissions`,
+        auth,
+        body: { permissions: params.permissions },
+      })).data;
+    }, // End Edit Application Command Permissions
+
+    // Sync Application Commands
+    /**
+     * Brings the registered commands in line with local definitions, touching only what changed:
+     * new definitions are created, changed ones edited and registered commands without a definition deleted.
+     * With `dryRun` nothing is sent, the report says what would happen. Localization keys are checked
+     * against Discord's locales first, see `localize()` to fill them from a catalog.
+     *
+     * example:
+     * ```js
+     * const report = await api.Discord.Commands.sync([
+     *   { name: 'ping', description: 'Replies with pong' },
+     *   { name: 'ban', description: 'Bans a member', default_member_permissions: '4', options: [
+     *     { type: 6, name: 'user', description: 'Member to ban', required: true },
+     *   ] },
+     * ], { guild_id: '00000000000000000', dryRun: true });
+     * // { dryRun: true, created: ['ban'], updated: [{ name: 'ping', changes: ['description'] }], deleted: ['old'], unchanged: [] }
+     * ```
+     *
+     * @param {array} definitions local command definitions
+     * @param {object} [options]
+     * @param {snowflake} [options.guild_id] sync a guild's commands instead of the global ones
+     * @param {snowflake} [options.application_id] looked up when omitted
+     * @param {boolean} [options.dryRun] only report
+     * @param {boolean} [options.delete] delete registered commands without a definition, true by default
+     * @returns {Promise<object>} `{ dryRun, created, updated: [{ name, changes }], deleted, unchanged }`
+     */
+    async sync(definitions, options = {}) {
+      const seen = new Set();
+      for (const definition of definitions) {
+        if (seen.has(identity(definition))) throw new Error(`Command ${definition.name} is defined twice`);
+        seen.add(identity(definition));
+        checkLocales(definition, definition.name);
+      }
+
+      const registered = await commands.getCommands({ ...options, with_localizations: true });
+      const byIdentity = new Map(registered.map((command) => [identity(command), command]));
+      const report = { dryRun: Boolean(options.dryRun), created: [], updated: [], deleted: [], unchanged: [] };
+      const operations = [];
+
+      for (const definition of definitions) {
+        const remote = byIdentity.get(identity(definition));
+        byIdentity.delete(identity(definition));
+        if (!remote) {
+          report.created.push(definition.name);
+          operations.push(() => commands.createCommand({ ...options, command: pick(definition) }));
+          continue;
+        }
+        const changes = diff(definition, remote);
+        if (!changes.length) {
+          report.unchanged.push(definition.name);
+          continue;
+        }
+        report.updated.push({ name: definition.name, changes });
+        // a field dropped from the definition goes back to Discord's default
+        const command = pick(definition);
+        for (const field of changes) if (command[field] === undefined) command[field] = COMMAND_DEFAULTS[field] ?? null;
+        operations.push(() => commands.editCommand({ ...options, command_id: remote.id, command }));
+      }
+
+      if (options.delete !== false) {
+        for (const remote of byIdentity.values()) {
+          report.deleted.push(remote.name);
+          operations.push(() => commands.deleteCommand({ ...options, command_id: remote.id }));
+        }
+      }
+
+      if (!report.dryRun) for (const operation of operations) await operation();
+      return report;
+    }, // End Sync Application Commands
+
+    diff,
+    localize,
+    allow,
+    deny,
+    PERMISSION_TYPES,
+  };
+
+  return commands;
+};
@@ -0,0 +1,277 @@
+const { InteractionError } = require('../utils/errors');
+
+/**
+ * INTERACTION CONTEXT
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#responding-to-an-interaction
+ */
+
+// https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object-interaction-type
+const MESSAGE_COMPONENT = 3;
+const APPLICATION_COMMAND_AUTOCOMPLETE = 4;
+
+// An interaction has to be acknowledged within 3 seconds, its token then lasts 15 minutes.
+const RESPONSE_DEADLINE = 3 * 1000;
+const TOKEN_LIFETIME = 15 * 60 * 1000;
+const AUTO_DEFER = 2500;
+
+// Callback types an HTTP handler can answer with, and what they leave the interaction as.
+const RESPONSE_STATES = { 4: 'replied', 5: 'deferred', 6: 'deferred', 7: 'replied', 8: 'replied', 9: 'replied' };
+// The two ways to defer: a "thinking..." response to reply in (5), or a component's message to update (6).
+const DEFER_KINDS = { 5: 'reply', 6: 'update' };
+
+// What a deferred response is edited to when the handler fails, see `options.errorReply`.
+const ERROR_REPLY = { content: 'Something went wrong, please try again.' };
+
+/**
+ * Wraps an interaction with the `Interactions.callback` and `followup` methods and keeps track of
+ * how it was answered, so handlers don't have to.
+ *
+ * - Unless the handler answered by then, the interaction is deferred when `autoDefer` ms have passed:
+ *   `defer` for commands and modals, `component_defer` for components.
+ * - `reply()` on a deferred interaction edits the deferred response, on an answered one it sends a followup.
+ *   A component deferred with `deferUpdate()` has no response of its own, `reply()` sends a followup there.
+ * - `update()` on a deferred component edits the message.
+ * - When the handler fails after a defer, `end()` edits the "thinking..." response to `errorReply`.
+ * - With a `catalog` (see `Utils.Locales`), `ctx.t(key, vars)` translates for the user's locale, falling back
+ *   to the guild's, and responses given as `{ key, vars }` get their `content` translated.
+ * - Answering for the first time after 3 seconds, and anything after the token's 15 minutes,
+ *   throws an `InteractionError` instead of Discord's "Unknown interaction"/"Invalid Webhook Token".
+ *
+ * example:
+ * ```js
+ * const ctx = api.Discord.Interactions.context(interaction, { autoDefer: 2000, ephemeral: true });
+ * const report = await buildSlowReport(); // takes 5 seconds, the interaction gets deferred meanwhile
+ * await ctx.reply({ content: report }); // edits the deferred response
+ * ctx.end();
+ * ```
+ *
+ * @param {object} interactions `{ callback, followup }` of the Interactions module
+ * @param {object} interaction
+ * @param {object} [options]
+ * @param {number|false} [options.autoDefer] ms after which to defer, 2500 by default, false turns it off
+ * @param {boolean} [options.ephemeral] make the automatic defer ephemeral
+ * @param {number} [options.received] when the interaction came in, ms timestamp, now by default
+ * @param {Function} [options.onError] `(error)` called when the automatic defer fails
+ * @param {object} [options.catalog] translation catalog for `ctx.t()` and `{ key, vars }` responses
+ * @param {object|boolean} [options.errorReply] what a deferred response becomes when the handler fails,
+ *   `{ content }` or `{ key, vars }`, `false` deletes it instead
+ * @returns {object} context
+ */
+function createContext(interactions, interaction, options = {}) {
+  const { callback, followup } = interactions;
+  const received = options.received ?? Date.now();
+  const state = {
+    status: null, // null, 'deferred' or 'replied'
+    defer: null, // 'reply' or 'update', how the interaction was deferred
+    pending: null, // acknowledgement in flight
+    timer: null,
+  };
+
+  // `{ key, vars, ...input }` -> `{ content, ...input }` in the interaction's locale
+  const text = (input) => {
+    if (!options.catalog || input?.key === undefined) return input;
+    const { key, vars, ...rest } = input;
+    return { ...rest, content: options.catalog.t(interaction, key, vars) };
+  };
+
+  const fail = (message, code) => {
+    throw new InteractionError(message, { code, interaction_id: interaction.id });
+  };
+  const checkToken = () => {
+    if (Date.now() - received >= TOKEN_LIFETIME)
+      fail('The interaction token expired 15 minutes after the interaction came in, it can no longer be responded to', 'TOKEN_EXPIRED');
+  };
+
+  /**
+   * Sends the initial response, once: concurrent calls wait for it and see the new state.
+   */
+  async function acknowledge(status, send, defer = null) {
+    if (Date.now() - received >= RESPONSE_DEADLINE)
+      fail('The interaction was not acknowledged within 3 seconds, defer it (or turn autoDefer on) for slow handlers', 'NOT_ACKNOWLEDGED');
+    clearTimeout(state.timer);
+    const pending = send();
+    state.pending = pending;
+    try {
+      const result = await pending;
+      state.status = status;
+      state.defer = defer;
+      return result;
+    } finally {
+      if (state.pending === pending) state.pending = null;
+    }
+  }
+
+  // waits until no acknowledgement is in flight, failed ones included. Only awaited while one is,
+  // otherwise the state check and a new acknowledgement have to happen in the same tick.
+  const settled = async () => {
+    while (state.pending) await state.pending.catch(() => {});
+  };
+
+  const ctx = {
+    /**
+     * Replies, or edits the response of a deferred interaction, or follows up on an answered one.
+     */
+    async reply(input) {
+      input = text(input);
+      if (state.pending) await settled();
+      if (!state.status) return acknowledge('replied', () => callback.reply(interaction, input));
+      checkToken();
+      if (state.status === 'deferred' && state.defer === 'reply') {
+        state.status = 'replied';
+        return callback.edit_original(interaction, input);
+      }
+      return followup.create(interaction, input);
+    },
+
+    /**
+     * Defers, does nothing if the interaction is already acknowledged.
+     */
+    async defer(input) {
+      if (state.pending) await settled();
+      if (state.status) return undefined;
+      return acknowledge('deferred', () => callback.defer(interaction, input), 'reply');
+    },
+
+    async deferUpdate(input) {
+      if (state.pending) await settled();
+      if (state.status) return undefined;
+      return acknowledge('deferred', () => callback.component_defer(interaction, input), 'update');
+    },
+
+    /**
+     * Updates the component's message, editing it once the interaction is acknowledged.
+     */
+    async update(input) {
+      input = text(input);
+      if (state.pending) await settled();
+      if (!state.status) return acknowledge('replied', () => callback.component_update(interaction, input));
+      checkToken();
+      return callback.edit_original(interaction, input);
+    },
+
+    async autocomplete(choices) {
+      if (state.pending) await settled();
+      if (state.status) fail('Autocomplete interactions take a single response', 'ALREADY_ACKNOWLEDGED');
+      return acknowledge('replied', () => callback.autocomplete_reply(interaction, choices));
+    },
+
+    /**
+     * Opens a modal, which has to be the first response.
+     */
+    async modal(input) {
+      if (state.pending) await settled();
+      if (state.status) fail('A modal has to be the first response to an interaction', 'ALREADY_ACKNOWLEDGED');
+      return acknowledge('replied', () => callback.modal_reply(interaction, input));
+    },
+
+    async editReply(input) {
+      input = text(input);
+      if (state.pending) await settled();
+      checkToken();
+      if (state.status === 'deferred') state.status = 'replied';
+      return callback.edit_original(interaction, input);
+    },
+
+    async deleteReply() {
+      if (state.pending) await settled();
+      checkToken();
+      return callback.delete_original(interaction);
+    },
+
+    async followup(input) {
+      input = text(input);
+      if (state.pending) await settled();
+      checkToken();
+      return followup.create(interaction, input);
+    },
+
+    /**
+     * Translates a catalog key for the interaction's locale, then the guild's, then the catalog's fallback.
+     *
+     * @param {string} key
+     * @param {object} [vars] values for `{name}` placeholders
+     * @returns {string}
+     */
+    t(key, vars) {
+      if (!options.catalog) throw new TypeError('ctx.t() needs a catalog, pass one in the context or router options');
+      return options.catalog.t(interaction, key, vars);
+    },
+
+    /**
+     * Stops the automatic defer. A returned interaction response (`{ type, data }`) meant for the
+     * HTTP endpoint is passed through while the interaction is unanswered; once it was deferred,
+     * its message goes out as a reply or update instead and `undefined` is returned.
+     * With the `error` a handler failed with, a deferred "thinking..." response is resolved with
+     * `errorReply` rather than left up for good.
+     *
+     * @param {*} [result] what the handler returned
+     * @param {*} [error] what the handler threw
+     * @returns {Promise<*>} what to hand back to the interactions endpoint
+     */
+    async end(result, error) {
+      clearTimeout(state.timer);
+      if (state.pending) await settled();
+      if (error !== undefined) {
+        if (state.status !== 'deferred' || state.defer !== 'reply') return undefined;
+        state.status = 'replied';
+        checkToken();
+        if (options.errorReply === false) await callback.delete_original(interaction);
+        else await callback.edit_original(interaction, text(options.errorReply ?? ERROR_REPLY));
+        return undefined;
+      }
+      if (typeof result?.type !== 'number' || !RESPONSE_STATES[result.type]) return result;
+      if (!state.status) {
+        state.status = RESPONSE_STATES[result.type];
+        state.defer = DEFER_KINDS[result.type] ?? null;
+        return result;
+      }
+      if (result.data && result.type === 7) await ctx.update(result.data);
+      else if (result.data && result.type === 4) {
+        const flags = result.data.flags;
+        await ctx.reply({ ...result.data, ephemeral: Boolean(flags & (1 << 6)) });
+      }
+      return undefined;
+    },
+  };
+
+  Object.defineProperties(ctx, Object.getOwnPropertyDescriptors({
+    get acknowledged() {
+      return state.status !== null;
+    },
+    get deferred() {
+      return state.status === 'deferred';
+    },
+    get replied() {
+      return state.status === 'replied';
+    },
+    /**
+     * ms timestamp the interaction token stops working at.
+     */
+    get expiresAt() {
+      return received + TOKEN_LIFETIME;
+    },
+    get expired() {
+      return Date.now() >= received + TOKEN_LIFETIME;
+    },
+  }));
+
+  const autoDefer = options.autoDefer ?? AUTO_DEFER;
+  if (autoDefer !== false && interaction.type !== APPLICATION_COMMAND_AUTOCOMPLETE) {
+    state.timer = setTimeout(() => {
+      if (state.status || state.pending) return;
+      const defer = interaction.type === MESSAGE_COMPONENT
+        ? ctx.deferUpdate()
+        : ctx.defer({ ephemeral: options.ephemeral });
+      defer.catch((e) => options.onError?.(e));
+    }, Math.max(0, autoDefer - (Date.now() - received)));
+    state.timer.unref?.();
+  }
+
+  return ctx;
+}
+
+module.exports = {
+  createContext,
+  RESPONSE_DEADLINE,
+  TOKEN_LIFETIME,
+};
@@ -0,0 +1,220 @@
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+/**
+ * INTERACTIONS ENDPOINT
+ * https://discord.com/developers/docs/interactions/overview#setting-up-an-endpoint
+ */
+
+// DER prefix that turns a raw 32 byte Ed25519 public key into an SPKI key node's crypto can load.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+const PING = 1;
+const PONG = { type: 1 };
+
+/**
+ * Loads the application's public key, as shown in the developer portal (hex).
+ *
+ * @param {string|Buffer|KeyObject} publicKey
+ * @returns {KeyObject}
+ */
+function publicKeyObject(publicKey) {
+  if (publicKey instanceof crypto.KeyObject) return publicKey;
+  const raw = Buffer.isBuffer(publicKey) ? publicKey : Buffer.from(String(publicKey), 'hex');
+  if (raw.length !== 32) throw new TypeError('publicKey must be the 32 byte Ed25519 key of the application, hex encoded');
+  return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+}
+
+/**
+ * Checks the `X-Signature-Ed25519` and `X-Signature-Timestamp` of an interaction request.
+ *
+ * example:
+ * ```js
+ * const ok = verify({
+ *   publicKey: process.env.public_key,
+ *   signature: req.headers['x-signature-ed25519'],
+ *   timestamp: req.headers['x-signature-timestamp'],
+ *   body: rawBody,
+ * });
+ * ```
+ *
+ * @param {object} params
+ * @param {string|Buffer|KeyObject} params.publicKey application public key
+ * @param {string} params.signature `X-Signature-Ed25519` header, hex
+ * @param {string} params.timestamp `X-Signature-Timestamp` header, unix seconds
+ * @param {string|Buffer} params.body raw request body, exactly as received
+ * @param {number} [params.maxAge] seconds a timestamp may be off from now, 300 by default, 0 turns the check off
+ * @returns {boolean}
+ */
+function verify(params) {
+  const { signature, timestamp, body } = params;
+  if (typeof signature !== 'string' || typeof timestamp !== 'string' || body === undefined) return false;
+  if (!/^[0-9a-f]{128}$/i.test(signature)) return false;
+
+  const maxAge = params.maxAge ?? 300;
+  const seconds = Number(timestamp);
+  if (!Number.isFinite(seconds)) return false;
+  if (maxAge && Math.abs(Date.now() / 1000 - seconds) > maxAge) return false;
+
+  try {
+    return crypto.verify(
+      null,
+      Buffer.concat([Buffer.from(timestamp), Buffer.isBuffer(body) ? body : Buffer.from(body)]),
+      publicKeyObject(params.publicKey),
+      Buffer.from(signature, 'hex'),
+    );
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reads the raw request body. Middleware stacks that already read it have to keep it
+ * as `req.rawBody`, e.g. `express.json({ verify: (req, res, buf) => req.rawBody = buf })`.
+ */
+function rawBody(req, limit) {
+  if (req.rawBody !== undefined) return Promise.resolve(Buffer.from(req.rawBody));
+  if (Buffer.isBuffer(req.body) || typeof req.body === 'string') return Promise.resolve(Buffer.from(req.body));
+  if (req.readableEnded) return Promise.reject(Object.assign(new Error('The request body was read before the interaction handler, keep it as req.rawBody'), { status: 500 }));
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function respond(res, status, body) {
+  if (res.headersSent) return;
+  if (body === undefined) {
+    res.writeHead(status);
+    res.end();
+    return;
+  }
+  const json = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(json) });
+  res.end(json);
+}
+
+/**
+ * Creates a `node:http` request handler for the interactions endpoint url.
+ *
+ * Requests are verified against the application's public key and rejected with `401` when the
+ * signature is missing, invalid or the timestamp is stale. PINGs are answered with PONG, every other
+ * interaction goes to `handler`. An interaction response (`{ type, data }`) the handler returns is
+ * sent back as the response; a handler that answers through `Interactions.callback` instead
+ * leaves the request with an empty `202`.
+ *
+ * Works with `http.createServer()` as it is, and as `(req, res, next)` middleware: with `path` set,
+ * other urls are passed on to `next` (or answered `404` without one).
+ *
+ * example:
+ * ```js
+ * const onInteraction = api.Discord.Interactions.endpoint({
+ *   publicKey: process.env.public_key,
+ *   handler: async (interaction) => ({ type: 4, data: { content: `pong ${interaction.member.user.username}` } }),
+ * });
+ * http.createServer(onInteraction).listen(8080);
+ * // or
+ * app.post('/interactions', onInteraction);
+ * ```
+ *
+ * @param {object} options
+ * @param {string|Buffer|KeyObject} options.publicKey application public key, hex as shown in the developer portal
+ * @param {Function} options.handler `async (interaction, req) => response | undefined`
+ * @param {string} [options.path] only handle requests to this path
+ * @param {number} [options.maxAge] seconds a signature timestamp may be off from now, 300 by default
+ * @param {number} [options.limit] largest accepted body in bytes, 1 MiB by default
+ * @param {Function} [options.onError] `(error, req)` called when the handler throws, the request gets a `500`
+ * @returns {Function} `(req, res, next)`
+ */
+function createEndpoint(options = {}) {
+  const publicKey = publicKeyObject(options.publicKey);
+  if (typeof options.handler !== 'function') throw new TypeError('handler must be a function');
+  const limit = options.limit ?? 1024 * 1024;
+
+  return async (req, res, next) => {
+    if (options.path && new URL(req.url, 'http://localhost').pathname !== options.path) {
+      if (next) return next();
+      return respond(res, 404);
+    }
+    if (req.method !== 'POST') {
+      res.setHeader('Allow', 'POST');
+      return respond(res, 405);
+    }
+
+    let body;
+    try {
+      body = await rawBody(req, limit);
+    } catch (e) {
+      if (e.status !== 413) options.onError?.(e, req);
+      return respond(res, e.status ?? 400);
+    }
+
+    const valid = verify({
+      publicKey,
+      signature: req.headers['x-signature-ed25519'],
+      timestamp: req.headers['x-signature-timestamp'],
+      body,
+      maxAge: options.maxAge,
+    });
+    if (!valid) return respond(res, 401, { message: 'Invalid request signature' });
+
+    let interaction;
+    try {
+      interaction = JSON.parse(body.toString());
+    } catch (e) {
+      return respond(res, 400, { message: 'Invalid JSON' });
+    }
+
+    if (interaction.type === PING) return respond(res, 200, PONG);
+
+    try {
+      const response = await options.handler(interaction, req);
+      // anything but an interaction response (e.g. the result of a callback request) gets the empty 202
+      if (typeof response?.type === 'number') respond(res, 200, response);
+      else respond(res, 202);
+    } catch (e) {
+      options.onError?.(e, req);
+      respond(res, 500);
+    }
+  };
+}
+
+/**
+ * Starts a standalone `node:http` server for the interactions endpoint.
+ *
+ * example:
+ * ```js
+ * const server = await api.Discord.Interactions.listen({ port: 8080, path: '/interactions', publicKey, handler });
+ * ```
+ *
+ * @param {object} options `createEndpoint()` options plus `port` and `host`
+ * @returns {Promise<http.Server>} the listening server
+ */
+function listen(options = {}) {
+  const server = http.createServer(createEndpoint(options));
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port ?? 8080, options.host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
+
+module.exports = {
+  verify,
+  createEndpoint,
+  listen,
+};
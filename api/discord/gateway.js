@@ -0,0 +1,696 @@
+const { EventEmitter } = require('node:events');
+const zlib = require('node:zlib');
+const crypto = require('node:crypto');
+const WebSocket = require('ws');
+const { Intents, socket_close } = require('../../enum');
+const { GatewayError } = require('../utils/errors');
+const etf = require('../utils/etf');
+const { createShardManager } = require('./sharding');
+
+/**
+ * GATEWAY
+ * https://discord.com/developers/docs/topics/gateway
+ */
+
+// https://discord.com/developers/docs/topics/opcodes-and-status-codes#gateway-gateway-opcodes
+const OPCODES = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  PRESENCE_UPDATE: 3,
+  VOICE_STATE_UPDATE: 4,
+  RESUME: 6,
+  RECONNECT: 7,
+  REQUEST_GUILD_MEMBERS: 8,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11,
+};
+
+// Close codes we can't recover from by reconnecting.
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4012, 4013, 4014];
+// Close codes that end the session, the next connection has to identify again.
+const SESSION_CLOSE_CODES = [4007, 4009];
+
+// Discord allows 120 gateway commands per 60 seconds, a few are kept back for heartbeats.
+const COMMAND_LIMIT = 115;
+const COMMAND_WINDOW = 60000;
+// How long a member request may go without a chunk before it is given up on.
+const MEMBERS_TIMEOUT = 60000;
+
+// Payload encodings, `encoding` query parameter -> codec. Unknown encodings fall back to json.
+const ENCODINGS = {
+  json: {
+    encode: (payload) => JSON.stringify(payload),
+    decode: (data) => JSON.parse(data.toString()),
+  },
+  etf: {
+    encode: (payload) => etf.pack(payload),
+    decode: (data) => etf.unpack(data),
+  },
+};
+
+// Every complete zlib-stream message ends with a sync flush.
+const ZLIB_SUFFIX = Buffer.from([0x00, 0x00, 0xff, 0xff]);
+
+/**
+ * Inflates a `zlib-stream` transport, one inflate context for the lifetime of a socket.
+ * Frames are buffered until one ends with the flush suffix, `onPayload` gets every inflated message.
+ */
+function createInflater(onPayload, onError) {
+  const inflate = zlib.createInflate({ chunkSize: 65535 });
+  let chunks = [];
+  let pending = [];
+
+  inflate.on('data', (chunk) => chunks.push(chunk));
+  inflate.on('error', onError);
+
+  return {
+    push(data) {
+      pending.push(data);
+      if (data.length < 4 || !data.subarray(-4).equals(ZLIB_SUFFIX)) return;
+      inflate.write(Buffer.concat(pending));
+      pending = [];
+      inflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+        const message = Buffer.concat(chunks);
+        chunks = [];
+        onPayload(message);
+      });
+    },
+    close() {
+      inflate.close();
+    },
+  };
+}
+
+/**
+ * Turns intent names into the bitfield sent with identify. Numbers are passed through.
+ *
+ * example:
+ * ```js
+ * intents('GUILDS', 'GUILD_MESSAGES', 'MESSAGE_CONTENT'); // 33281
+ * ```
+ *
+ * @param {...(string|number|array)} names names from `enum.Intents`, bitfields or arrays of either
+ * @returns {number} intents bitfield
+ */
+function intents(...names) {
+  return names.flat().reduce((bits, name) => {
+    if (typeof name === 'number') return bits | name;
+    if (Intents[name] === undefined) throw new TypeError(`Unknown intent ${name}`);
+    return bits | Intents[name];
+  }, 0);
+}
+
+/**
+ * Creates a gateway connection. Nothing happens until `connect()` is called.
+ *
+ * The connection identifies with the given intents, heartbeats with jitter, treats a missed
+ * heartbeat ACK as a zombie connection, and resumes with the session id and sequence whenever
+ * Discord lets it. The close code decides what happens next (see `enum.socket_close`): resume,
+ * identify from scratch, or give up (`4004`, `4010` - `4014`).
+ *
+ * Events:
+ * - `ready` (data) READY received, the session is established.
+ * - `resumed` the session was resumed, missed events have been replayed.
+ * - `dispatch` ({ t, d, s }) every dispatch, each one is also emitted under its own name, e.g. `MESSAGE_CREATE` (data).
+ * - `reconnecting` ({ code, reason, resume }) the socket closed and a new one is on its way.
+ * - `close` ({ code, reason }) the connection stopped for good.
+ * - `error` (GatewayError) fatal close, only emitted when listened to.
+ * - `debug` (message)
+ *
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ * @param {object} options
+ * @param {number|array} options.intents intents bitfield or names, see `intents()`.
+ * @param {array} [options.shard] `[shard_id, num_shards]`
+ * @param {object} [options.presence] initial presence, sent with identify.
+ * @param {number} [options.large_threshold] 50 - 250, members before offline members are left out of GUILD_CREATE.
+ * @param {string} [options.url] gateway url, fetched from `/gateway/bot` when omitted.
+ * @param {number} [options.version] gateway version, defaults to the client's API version.
+ * @param {string} [options.encoding] `json` (default) or `etf`, anything else falls back to `json`.
+ * @param {boolean|string} [options.compress] `true` or `'zlib-stream'` compresses the whole transport.
+ * @param {Function} [options.beforeIdentify] awaited before every identify, used to respect identify concurrency.
+ * @returns {EventEmitter} connection
+ */
+function createConnection(https, options = {}) {
+  const connection = new EventEmitter();
+  const shardId = options.shard?.[0] ?? 0;
+  const encoding = ENCODINGS[options.encoding] ? options.encoding : 'json';
+  const codec = ENCODINGS[encoding];
+  const compress = options.compress === true || options.compress === 'zlib-stream';
+
+  const state = {
+    status: 'idle', // idle, connecting, identifying, resuming, ready, reconnecting, closed
+    ws: null,
+    inflater: null,
+    url: options.url,
+    resumeUrl: null,
+    sessionId: null,
+    seq: null,
+    heartbeatInterval: null,
+    heartbeatTimer: null,
+    acked: true,
+    lastHeartbeat: 0,
+    ping: -1,
+    reconnectAttempts: 0,
+    reconnectTimer: null,
+    invalidSessionTimer: null,
+    commands: { remaining: COMMAND_LIMIT, reset: 0, queue: [], timer: null },
+    pending: null, // { resolve, reject } of connect()
+    presence: options.presence,
+    members: new Map(), // nonce -> pending Request Guild Members
+  };
+
+  const debug = (message) => connection.emit('debug', `[shard ${shardId}] ${message}`);
+
+  function version() {
+    return options.version ?? https.apiVersion ?? 10;
+  }
+
+  /**
+   * Writes a payload to the socket, gateway commands (everything but heartbeats)
+   * are queued so they stay within the gateway send limit.
+   */
+  function write(payload, priority = false) {
+    if (priority) return raw(payload);
+    state.commands.queue.push(payload);
+    flush();
+  }
+
+  function raw(payload) {
+    if (state.ws?.readyState !== WebSocket.OPEN) return false;
+    state.ws.send(codec.encode(payload));
+    return true;
+  }
+
+  function flush() {
+    const commands = state.commands;
+    const now = Date.now();
+    if (commands.reset <= now) {
+      commands.remaining = COMMAND_LIMIT;
+      commands.reset = now + COMMAND_WINDOW;
+    }
+    while (commands.queue.length && commands.remaining > 0 && state.ws?.readyState === WebSocket.OPEN) {
+      raw(commands.queue.shift());
+      commands.remaining--;
+    }
+    if (commands.queue.length && !commands.timer) {
+      commands.timer = setTimeout(() => {
+        commands.timer = null;
+        flush();
+      }, Math.max(commands.reset - Date.now(), 250));
+    }
+  }
+
+  function stopHeartbeat() {
+    clearTimeout(state.heartbeatTimer);
+    clearInterval(state.heartbeatTimer);
+    state.heartbeatTimer = null;
+  }
+
+  function startHeartbeat(interval) {
+    stopHeartbeat();
+    state.heartbeatInterval = interval;
+    state.acked = true;
+    // the first heartbeat goes out after interval * jitter, the rest every interval
+    state.heartbeatTimer = setTimeout(() => {
+      heartbeat();
+      state.heartbeatTimer = setInterval(heartbeat, interval);
+    }, Math.floor(interval * Math.random()));
+  }
+
+  function heartbeat(requested = false) {
+    if (!requested && !state.acked) {
+      debug('Heartbeat not acknowledged, zombie connection - reconnecting');
+      stopHeartbeat();
+      state.ws?.terminate();
+      return;
+    }
+    state.acked = false;
+    state.lastHeartbeat = Date.now();
+    raw({ op: OPCODES.HEARTBEAT, d: state.seq });
+  }
+
+  async function identify() {
+    state.status = 'identifying';
+    const socket = state.ws;
+    if (options.beforeIdentify) await options.beforeIdentify(shardId);
+    if (socket !== state.ws) return; // the socket went away while waiting
+    debug('Identifying');
+    raw({
+      op: OPCODES.IDENTIFY,
+      d: {
+        token: https.token,
+        intents: intents(options.intents ?? 0),
+        properties: { os: process.platform, browser: 'mapih', device: 'mapih' },
+        large_threshold: options.large_threshold,
+        shard: options.shard,
+        presence: state.presence,
+      },
+    });
+  }
+
+  function resume() {
+    state.status = 'resuming';
+    debug(`Resuming session ${state.sessionId} at sequence ${state.seq}`);
+    raw({
+      op: OPCODES.RESUME,
+      d: { token: https.token, session_id: state.sessionId, seq: state.seq },
+    });
+  }
+
+  function clearSession() {
+    state.sessionId = null;
+    state.resumeUrl = null;
+    state.seq = null;
+  }
+
+  function onMessage(data) {
+    let payload;
+    try {
+      payload = codec.decode(data);
+    } catch (e) {
+      return debug(`Could not decode payload: ${e.message}`);
+    }
+    if (payload.s !== null && payload.s !== undefined) state.seq = payload.s;
+
+    switch (payload.op) {
+      case OPCODES.HELLO:
+        startHeartbeat(payload.d.heartbeat_interval);
+        if (state.sessionId && state.seq !== null) resume();
+        else identify().catch((e) => {
+          fail(e);
+          state.ws?.close(1000);
+        });
+        break;
+
+      case OPCODES.HEARTBEAT:
+        heartbeat(true);
+        break;
+
+      case OPCODES.HEARTBEAT_ACK:
+        state.acked = true;
+        state.ping = Date.now() - state.lastHeartbeat;
+        break;
+
+      case OPCODES.RECONNECT:
+        debug('Reconnect requested');
+        state.ws?.close(4000, 'Reconnect requested');
+        break;
+
+      case OPCODES.INVALID_SESSION:
+        debug(`Invalid session, ${payload.d ? 'resumable' : 'not resumable'}`);
+        if (!payload.d) clearSession();
+        // Discord asks for a random 1 - 5 second wait before identifying again. The timer belongs to this
+        // socket: it is cleared once the socket closes, so it never closes the one that replaces it
+        clearTimeout(state.invalidSessionTimer);
+        state.invalidSessionTimer = setTimeout(() => {
+          state.invalidSessionTimer = null;
+          state.ws?.close(4000, 'Invalid session');
+        }, 1000 + Math.floor(Math.random() * 4000));
+        break;
+
+      case OPCODES.DISPATCH:
+        if (payload.t === 'READY') {
+          state.sessionId = payload.d.session_id;
+          state.resumeUrl = payload.d.resume_gateway_url;
+          state.status = 'ready';
+          state.reconnectAttempts = 0;
+          connection.emit('ready', payload.d);
+          state.pending?.resolve(connection);
+          state.pending = null;
+        }
+        if (payload.t === 'RESUMED') {
+          state.status = 'ready';
+          state.reconnectAttempts = 0;
+          connection.emit('resumed');
+        }
+        if (payload.t === 'GUILD_MEMBERS_CHUNK') onMembersChunk(payload.d);
+        connection.emit('dispatch', payload);
+        connection.emit(payload.t, payload.d);
+        break;
+    }
+  }
+
+  /**
+   * Collects the chunks of a Request Guild Members, resolves once the last one is in.
+   */
+  function onMembersChunk(chunk) {
+    const request = state.members.get(chunk.nonce);
+    if (!request) return;
+    request.members.push(...chunk.members);
+    if (chunk.presences) request.presences.push(...chunk.presences);
+    if (chunk.not_found) request.not_found.push(...chunk.not_found);
+    request.received++;
+    request.refresh();
+    if (request.received < chunk.chunk_count) return;
+    request.finish();
+    request.resolve({ guild_id: chunk.guild_id, members: request.members, presences: request.presences, not_found: request.not_found });
+  }
+
+  function rejectMembers(error) {
+    for (const request of [...state.members.values()]) {
+      request.finish();
+      request.reject(error);
+    }
+  }
+
+  function fail(error) {
+    state.status = 'closed';
+    if (connection.listenerCount('error')) connection.emit('error', error);
+    state.pending?.reject(error);
+    state.pending = null;
+    rejectMembers(error);
+  }
+
+  function onClose(code, reason) {
+    stopHeartbeat();
+    clearTimeout(state.invalidSessionTimer);
+    state.invalidSessionTimer = null;
+    state.ws = null;
+    state.inflater?.close();
+    state.inflater = null;
+    reason = reason?.toString() || socket_close[code] || 'Unknown close code';
+    debug(`Socket closed ${code}: ${reason}`);
+
+    if (state.status === 'closed') {
+      connection.emit('close', { code, reason });
+      return;
+    }
+
+    if (FATAL_CLOSE_CODES.includes(code)) {
+      fail(new GatewayError(`Gateway closed ${code}: ${socket_close[code] ?? reason}`, { code, shard: shardId }));
+      connection.emit('close', { code, reason });
+      return;
+    }
+
+    if (SESSION_CLOSE_CODES.includes(code)) clearSession();
+
+    // back off on repeated failures: 1s, 2s, 4s ... up to 30s
+    const delay = state.reconnectAttempts ? Math.min(30000, 1000 * 2 ** (state.reconnectAttempts - 1)) : 0;
+    state.reconnectAttempts++;
+    state.status = 'reconnecting';
+    connection.emit('reconnecting', { code, reason, resume: Boolean(state.sessionId) });
+    state.reconnectTimer = setTimeout(open, delay);
+  }
+
+  function open() {
+    const base = (state.sessionId && state.resumeUrl) ? state.resumeUrl : state.url;
+    const url = new URL(base);
+    url.searchParams.set('v', version());
+    url.searchParams.set('encoding', encoding);
+    if (compress) url.searchParams.set('compress', 'zlib-stream');
+    if (options.encoding && options.encoding !== encoding) debug(`Unknown encoding ${options.encoding}, using json`);
+
+    state.status = 'connecting';
+    debug(`Connecting to ${url}`);
+    const ws = new WebSocket(url);
+    state.ws = ws;
+    // a fresh inflate context for every socket, the stream can't be picked up on another one
+    const inflater = compress && createInflater(
+      (data) => ws === state.ws && onMessage(data),
+      (e) => {
+        debug(`Could not inflate payload: ${e.message}`);
+        ws.terminate();
+      },
+    );
+    state.inflater = inflater || null;
+    ws.on('message', (data) => {
+      if (ws !== state.ws) return;
+      if (inflater) inflater.push(data);
+      else onMessage(data);
+    });
+    ws.on('close', (code, reason) => ws === state.ws && onClose(code, reason));
+    ws.on('error', (e) => debug(`Socket error: ${e.message}`));
+  }
+
+  // defineProperties rather than Object.assign, which would read the getters once and copy their values
+  Object.defineProperties(connection, Object.getOwnPropertyDescriptors({
+    /**
+     * Opens the connection, resolves with the connection once READY arrives.
+     * Rejects with a `GatewayError` if the gateway closes with a fatal code first.
+     *
+     * @returns {Promise<EventEmitter>}
+     */
+    async connect() {
+      if (state.status !== 'idle' && state.status !== 'closed') return connection;
+      if (!state.url) {
+        const { data } = await https.get({ path: '/gateway/bot' });
+        state.url = data.url;
+      }
+      return new Promise((resolve, reject) => {
+        state.pending = { resolve, reject };
+        open();
+      });
+    },
+
+    /**
+     * Closes the connection for good, the session can't be resumed afterwards.
+     *
+     * @param {number} [code] close code, 1000 by default.
+     */
+    destroy(code = 1000) {
+      state.status = 'closed';
+      clearTimeout(state.reconnectTimer);
+      clearTimeout(state.invalidSessionTimer);
+      state.invalidSessionTimer = null;
+      clearTimeout(state.commands.timer);
+      state.commands.timer = null;
+      state.commands.queue = [];
+      stopHeartbeat();
+      if (state.ws) state.ws.close(code);
+      else connection.emit('close', { code, reason: socket_close[code] });
+      state.pending?.reject(new GatewayError('Connection destroyed', { code, shard: shardId }));
+      state.pending = null;
+      rejectMembers(new GatewayError('Connection destroyed', { code, shard: shardId }));
+    },
+
+    /**
+     * Sends a gateway command, e.g. `{ op: 3, d: presence }`. Commands are queued to respect the send limit.
+     *
+     * @param {object} payload `{ op, d }`
+     */
+    send(payload) {
+      write(payload);
+    },
+
+    /**
+     * Updates the bot's presence. The presence is kept and sent again with the next identify.
+     *
+     * example:
+     * ```js
+     * gateway.setPresence({ status: 'dnd', activities: [{ name: 'the logs', type: 3 }] });
+     * ```
+     *
+     * @param {object} presence
+     * @param {string} [presence.status] online, dnd, idle, invisible or offline
+     * @param {array} [presence.activities] activity objects `{ name, type, state, url }`
+     * @param {boolean} [presence.afk]
+     * @param {number} [presence.since] unix time in milliseconds the client went idle
+     *
+     * https://discord.com/developers/docs/topics/gateway-events#update-presence
+     */
+    setPresence(presence = {}) {
+      state.presence = {
+        since: presence.since ?? null,
+        activities: presence.activities ?? [],
+        status: presence.status ?? 'online',
+        afk: presence.afk ?? false,
+      };
+      write({ op: OPCODES.PRESENCE_UPDATE, d: state.presence });
+    },
+
+    /**
+     * Joins, moves between or leaves voice channels, `channel_id: null` leaves.
+     *
+     * example:
+     * ```js
+     * gateway.updateVoiceState({ guild_id, channel_id: '00000000000000000', self_deaf: true });
+     * ```
+     *
+     * @param {object} params
+     * @param {snowflake} params.guild_id
+     * @param {snowflake|null} params.channel_id channel to join, `null` to disconnect
+     * @param {boolean} [params.self_mute]
+     * @param {boolean} [params.self_deaf]
+     *
+     * https://discord.com/developers/docs/topics/gateway-events#update-voice-state
+     */
+    updateVoiceState(params) {
+      write({
+        op: OPCODES.VOICE_STATE_UPDATE,
+        d: {
+          guild_id: params.guild_id,
+          channel_id: params.channel_id ?? null,
+          self_mute: params.self_mute ?? false,
+          self_deaf: params.self_deaf ?? false,
+        },
+      });
+    },
+
+    /**
+     * Requests guild members over the gateway and resolves once every GUILD_MEMBERS_CHUNK has arrived.
+     * Without `query` or `user_ids` the whole member list is requested, which needs the GUILD_MEMBERS intent.
+     *
+     * example:
+     * ```js
+     * const { members } = await gateway.requestGuildMembers({ guild_id: '00000000000000000' });
+     * const { members: found, not_found } = await gateway.requestGuildMembers({ guild_id, user_ids: ['1', '2'] });
+     * ```
+     *
+     * @param {object} params
+     * @param {snowflake} params.guild_id
+     * @param {string} [params.query] username prefix, `''` for everyone
+     * @param {number} [params.limit] max members for a query, 0 for no limit
+     * @param {boolean} [params.presences] include presences, needs the GUILD_PRESENCES intent
+     * @param {array} [params.user_ids] specific users, up to 100
+     * @param {string} [params.nonce] up to 32 bytes, generated when omitted
+     * @param {number} [params.timeout] milliseconds to wait for the next chunk, 60 seconds by default
+     * @returns {Promise<object>} `{ guild_id, members, presences, not_found }`
+     *
+     * https://discord.com/developers/docs/topics/gateway-events#request-guild-members
+     */
+    requestGuildMembers(params) {
+      const nonce = params.nonce ?? crypto.randomBytes(16).toString('hex');
+      if (Buffer.byteLength(nonce) > 32) return Promise.reject(new RangeError('nonce can be at most 32 bytes'));
+      if (state.members.has(nonce)) return Promise.reject(new Error(`A member request with nonce ${nonce} is already pending`));
+
+      return new Promise((resolve, reject) => {
+        const request = { resolve, reject, members: [], presences: [], not_found: [], received: 0, timer: null };
+        request.refresh = () => {
+          clearTimeout(request.timer);
+          request.timer = setTimeout(() => {
+            request.finish();
+            reject(new GatewayError(`Request Guild Members ${nonce} timed out after ${request.received} chunk(s)`, { shard: shardId }));
+          }, params.timeout ?? MEMBERS_TIMEOUT);
+        };
+        request.finish = () => {
+          clearTimeout(request.timer);
+          state.members.delete(nonce);
+        };
+        state.members.set(nonce, request);
+        request.refresh();
+
+        const everyone = params.query === undefined && !params.user_ids;
+        write({
+          op: OPCODES.REQUEST_GUILD_MEMBERS,
+          d: {
+            guild_id: params.guild_id,
+            query: everyone ? '' : params.query,
+            limit: everyone ? 0 : params.limit ?? 0,
+            presences: params.presences,
+            user_ids: params.user_ids,
+            nonce,
+          },
+        });
+      });
+    },
+
+    /**
+     * Connection status: idle, connecting, identifying, resuming, ready, reconnecting or closed.
+     */
+    get status() {
+      return state.status;
+    },
+
+    /**
+     * Milliseconds between the last heartbeat and its ACK, -1 before the first one.
+     */
+    get ping() {
+      return state.ping;
+    },
+
+    get shard() {
+      return options.shard ?? [0, 1];
+    },
+
+    get sessionId() {
+      return state.sessionId;
+    },
+
+    get sequence() {
+      return state.seq;
+    },
+  }));
+
+  return connection;
+}
+
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ */
+module.exports = (https) => {
+  const gateway = {
+    /**
+     * Returns the gateway url.
+     *
+     * @returns {Promise<object>} `{ url }`
+     *
+     * https://discord.com/developers/docs/topics/gateway#get-gateway
+     */
+    async getGateway() {
+      return (await https.get({ path: '/gateway', auth: false })).data;
+    },
+
+    /**
+     * Returns the gateway url, recommended shard count and session start limits for the bot.
+     *
+     * @returns {Promise<object>} `{ url, shards, session_start_limit: { total, remaining, reset_after, max_concurrency } }`
+     *
+     * https://discord.com/developers/docs/topics/gateway#get-gateway-bot
+     */
+    async getGatewayBot() {
+      return (await https.get({ path: '/gateway/bot' })).data;
+    },
+
+    /**
+     * Creates a gateway connection without opening it, see `createConnection()` for options and events.
+     *
+     * @param {object} options connection options
+     * @returns {EventEmitter} connection
+     */
+    create(options) {
+      return createConnection(https, options);
+    },
+
+    /**
+     * Opens a gateway connection and resolves once it is READY.
+     *
+     * example:
+     * ```js
+     * const gateway = await api.Discord.Gateway.connect({
+     *   intents: ['GUILDS', 'GUILD_MESSAGES', 'MESSAGE_CONTENT'],
+     * });
+     * gateway.on('MESSAGE_CREATE', (message) => console.log(message.content));
+     * ```
+     *
+     * @param {object} options connection options, see `createConnection()`
+     * @returns {Promise<EventEmitter>} connection
+     */
+    connect(options) {
+      return createConnection(https, options).connect();
+    },
+
+    /**
+     * Creates a shard manager without spawning it, see `createShardManager()` for options and events.
+     *
+     * example:
+     * ```js
+     * const shards = api.Discord.Gateway.shards({ intents: ['GUILDS', 'GUILD_MESSAGES'] });
+     * shards.on('MESSAGE_CREATE', (message, shardId) => console.log(shardId, message.content));
+     * await shards.spawn();
+     * console.log(shards.status, shards.ping);
+     * ```
+     *
+     * @param {object} options shard manager options
+     * @returns {EventEmitter} manager
+     */
+    shards(options) {
+      return createShardManager(gateway, options);
+    },
+
+    intents,
+    OPCODES,
+  };
+  return gateway;
+};
@@ -1,375 +1,300 @@
-const https = require(`../utils/https`);
 const { userFlags, permissionNames } = require('../../enum');
+const { createCache } = require('../utils/cache');
+
+// Adds `permission_names` to every role.
+function withPermissionNames(roles) {
+  let flags = Object.entries(permissionNames);
+  roles.forEach((role) => {
+    if (role.permissions > 0) {
+      role.permission_names = [];
+      for (let p = 0; p < flags.length; p++) {
+        if (role.permissions & flags[p][1]) {
+          if (!role.permission_names.includes(flags[p][0]))
+            role.permission_names.push(flags[p][0]);
+        }
+      }
+    } else role.permission_names = '';
+  })
+  return roles;
+}
+
+// Adds the `badges` of the member's public flags to `member.user`.
+function withBadges(member) {
+  let badges = [];
+  let flags = Object.entries(userFlags);
+  if (member.user.public_flags) {
+    for (let a = 0; a < flags.length; a++) {
+      if (member.user.public_flags & flags[a][1]) {
+        badges.push(flags[a][0]); // add the flag to the badges array
+      }
+    }
+  }
+  member.user.badges = badges;
+  return member;
+}
+
 /**
  * https://discord.com/developers/docs/resources/guild#guild-resource
  */
-module.exports = {
+const guilds = (https, cache) => ({
 
   // Create Guild
   async create(params) {
-    try {
-      if (
-        (attempt = await https.post({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: JSON.stringify({
-            name: params.name, // string	name of the guild (2-100 characters)
-            icon: params.icon ?? null, // image data base64 128x128 image for the guild icon
-            verification_level: params.verification_level ?? null, // integer	verification level
-            default_message_notifications: params.default_message_notifications ?? null, // integer default message notification level
-            explicit_content_filter: params.explicit_content_filter ?? null, // integer explicit content filter level
-            roles: params.roles ?? null, // array of role objects new guild roles
-            channels: params.channels ?? null, // array of partial channel objects	new guild's channels
-            afk_channel_id: params.afk_channel_id ?? null, // snowflake	id for afk channel
-            afk_timeout: params.afk_timeout ?? null, // integer afk timeout in seconds
-            system_channel_id: params.system_channel_id ?? null, // snowflake the id of the channel where guild notices such as welcome messages and boost events are posted
-            system_channel_flags: params.system_channel_flags ?? null, // integer system channel flags
-          }),
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.post({
+        path: encodeURI(`/guilds`),
+        body: {
+          name: params.name, // string	name of the guild (2-100 characters)
+          icon: params.icon ?? null, // image data base64 128x128 image for the guild icon
+          verification_level: params.verification_level ?? null, // integer	verification level
+          default_message_notifications: params.default_message_notifications ?? null, // integer default message notification level
+          explicit_content_filter: params.explicit_content_filter ?? null, // integer explicit content filter level
+          roles: params.roles ?? null, // array of role objects new guild roles
+          channels: params.channels ?? null, // array of partial channel objects	new guild's channels
+          afk_channel_id: params.afk_channel_id ?? null, // snowflake	id for afk channel
+          afk_timeout: params.afk_timeout ?? null, // integer afk timeout in seconds
+          system_channel_id: params.system_channel_id ?? null, // snowflake the id of the channel where guild notices such as welcome messages and boost events are posted
+          system_channel_flags: params.system_channel_flags ?? null, // integer system channel flags
+        },
+      }))
+    )
+      return attempt.data;
+    else return false;
   }, // End Create Guild
 
   // Get Guild
+  /**
+   * Returns the guild, from the cache when it's there. `with_counts` and `force` always go to Discord.
+   * 
+   * example:
+   * ```js
+   * let guild = await api.Discord.Guilds.getGuild({ guild_id: `Guild ID`, force: true });
+   * ```
+   * @param {object} params `{ guild_id, with_counts, force }`
+   * @returns {Promise<object>} `{...}`
+   */
   async getGuild(params) {
-    try {
+    return cache.through('guilds', params.guild_id, async () => {
       if (
         (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: JSON.stringify({
-            with_counts: params.with_counts ?? null,
-          }),
+          path: encodeURI(`/guilds/${params.guild_id}`),
+          query: { with_counts: params.with_counts },
         }))
-      )
-        return JSON.parse(attempt.body);
+      ) {
+        if (attempt.data?.roles) await cache.set('roles', params.guild_id, attempt.data.roles);
+        return attempt.data;
+      }
       else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    }, params.force || params.with_counts);
   }, // End Get Guild
 
   // Guild Preview
   async previewGuild(params) {
-    try {
-      if (
-        (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/preview`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: '',
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.get({
+        path: encodeURI(`/guilds/${params.guild_id}/preview`),
+      }))
+    )
+      return attempt.data;
+    else return false;
   }, // end of previewGuild
 
   // Modify Guild
   async modifyGuild(params) {
-    try {
-      if (
-        (attempt = await https.patch({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: JSON.stringify({
-            name: params.name ?? null, // string	guild name
-            verification_level: params.verification_level ?? null, // ?integer	verification level
-            default_message_notifications: params.default_message_notifications ?? null, // ?integer	default message notification level
-            explicit_content_filter: params.explicit_content_filter ?? null, //	?integer	explicit content filter level
-            afk_channel_id: params.afk_channel_id ?? null, //	?snowflake	id for afk channel
-            afk_timeout: params.afk_timeout ?? null, //	integer	afk timeout in seconds
-            icon: params.icon ?? null, //	?image data	base64 1024x1024 png/jpeg/gif image for the guild icon (can be animated gif when the server has the ANIMATED_ICON feature)
-            owner_id: params.owner_id ?? null, //	snowflake	user id to transfer guild ownership to (must be owner)
-            splash: params.splash ?? null, //	?image data	base64 16:9 png/jpeg image for the guild splash (when the server has the INVITE_SPLASH feature)
-            discovery_splash: params.discovery_splash ?? null, //	?image data	base64 16:9 png/jpeg image for the guild discovery splash (when the server has the DISCOVERABLE feature)
-            banner: params.banner ?? null, //	?image data	base64 16:9 png/jpeg image for the guild banner (when the server has the BANNER feature; can be animated gif when the server has the ANIMATED_BANNER feature)
-            system_channel_id: params.system_channel_id ?? null, //	?snowflake	the id of the channel where guild notices such as welcome messages and boost events are posted
-            system_channel_flags: params.system_channel_flags ?? null, //	integer	system channel flags
-            rules_channel_id: params.rules_channel_id ?? null, //	?snowflake	the id of the channel where Community guilds display rules and/or guidelines
-            public_updates_channel_id: params.public_updates_channel_id ?? null, //	?snowflake	the id of the channel where admins and moderators of Community guilds receive notices from Discord
-            preferred_locale: params.preferred_locale ?? null, //	?string	the preferred locale of a Community guild used in server discovery and notices from Discord; defaults to "en-US"
-            features: params.features ?? null, //	array of guild feature strings	enabled guild features
-            description: params.description ?? null, //	?string	the description for the guild
-            premium_progress_bar_enabled: params.premium_progress_bar_enabled ?? null, //	boolean	whether the guild's boost progress bar should be enabled
-          }),
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
+    if (
+      (attempt = await https.patch({
+        path: encodeURI(`/guilds/${params.guild_id}`),
+        body: {
+          name: params.name ?? null, // string	guild name
+          verification_level: params.verification_level ?? null, // ?integer	verification level
+          default_message_notifications: params.default_message_notifications ?? null, // ?integer	default message notification level
+          explicit_content_filter: params.explicit_content_filter ?? null, //	?integer	explicit content filter level
+          afk_channel_id: params.afk_channel_id ?? null, //	?snowflake	id for afk channel
+          afk_timeout: params.afk_timeout ?? null, //	integer	afk timeout in seconds
+          icon: params.icon ?? null, //	?image data	base64 1024x1024 png/jpeg/gif image for the guild icon (can be animated gif when the server has the ANIMATED_ICON feature)
+          owner_id: params.owner_id ?? null, //	snowflake	user id to transfer guild ownership to (must be owner)
+          splash: params.splash ?? null, //	?image data	base64 16:9 png/jpeg image for the guild splash (when the server has the INVITE_SPLASH feature)
+          discovery_splash: params.discovery_splash ?? null, //	?image data	base64 16:9 png/jpeg image for the guild discovery splash (when the server has the DISCOVERABLE feature)
+          banner: params.banner ?? null, //	?image data	base64 16:9 png/jpeg image for the guild banner (when the server has the BANNER feature; can be animated gif when the server has the ANIMATED_BANNER feature)
+          system_channel_id: params.system_channel_id ?? null, //	?snowflake	the id of the channel where guild notices such as welcome messages and boost events are posted
+          system_channel_flags: params.system_channel_flags ?? null, //	integer	system channel flags
+          rules_channel_id: params.rules_channel_id ?? null, //	?snowflake	the id of the channel where Community guilds display rules and/or guidelines
+          public_updates_channel_id: params.public_updates_channel_id ?? null, //	?snowflake	the id of the channel where admins and moderators of Community guilds receive notices from Discord
+          preferred_locale: params.preferred_locale ?? null, //	?string	the preferred locale of a Community guild used in server discovery and notices from Discord; defaults to "en-US"
+          features: params.features ?? null, //	array of guild feature strings	enabled guild features
+          description: params.description ?? null, //	?string	the description for the guild
+          premium_progress_bar_enabled: params.premium_progress_bar_enabled ?? null, //	boolean	whether the guild's boost progress bar should be enabled
+        },
+      }))
+    ) {
+      await cache.set('guilds', params.guild_id, attempt.data);
+      return attempt.data;
     }
+    else return false;
   }, // end of modifyGuild
 
   // Delete Guild
   async deleteGuild(params) {
-    try {
-      if (
-        (attempt = await https.del({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: '',
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
+    if (
+      (attempt = await https.del({
+        path: encodeURI(`/guilds/${params.guild_id}`),
+      }))
+    ) {
+      await cache.apply('GUILD_DELETE', { id: params.guild_id });
+      return attempt.statusCode == 204;
     }
+    else return false;
   }, // end of deleteGuild
 
   // Get Guild Bans
   async getAllGuildBans(params) {
-    try {
-      if (
-        (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/bans?limit=${params.limit ?? 20}`),
-          headers: {
-            'Authorization': `Bot ${process.env.token}`,
-          },
-          body: '',
-        }))
-      ) return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.get({
+        path: encodeURI(`/guilds/${params.guild_id}/bans`),
+        query: { limit: params.limit ?? 20 },
+      }))
+    ) return attempt.data;
+    else return false;
   }, // End Get Guild Bans
 
   // Get Guild Ban
   async getGuildBan(params) {
-    try {
-      if (
-        (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/bans/${user_id}`),
-          headers: {
-            'Authorization': `Bot ${process.env.token}`,
-          },
-          body: '',
-        }))
-      ) return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.get({
+        path: encodeURI(`/guilds/${params.guild_id}/bans/${params.user_id}`),
+      }))
+    ) return attempt.data;
+    else return false;
   }, // End Get Guild Ban
 
   // Create Guild Ban
   async createGuildBan(params) {
-    try {
-      if (
-        (attempt = await https.put({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/bans/${params.user_id}`),
-          headers: {
-            'Authorization': `Bot ${process.env.token}`,
-            'X-Audit-Log-Reason': params.reason ?? null,
-          },
-          body: JSON.stringify({
-            delete_message_days: params.delete_message_days ?? null,
-            //reason: params.reason ?? null,
-          }),
-        }))
-      ) return attempt;
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.put({
+        path: encodeURI(`/guilds/${params.guild_id}/bans/${params.user_id}`),
+        reason: params.reason,
+        body: {
+          delete_message_days: params.delete_message_days ?? null,
+          //reason: params.reason ?? null,
+        },
+      }))
+    ) return attempt;
+    else return false;
   }, // End Create Guild Ban
 
   // Remove Guild Ban
   async removeGuildBan(params) {
-    try {
-      if (
-        (attempt = await https.del({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/bans/${params.user_id}`),
-          headers: {
-            'Authorization': `Bot ${process.env.token}`,
-            'X-Audit-Log-Reason': params.reason ?? null,
-          },
-          body: '',
-        }))
-      ) return attempt;
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.del({
+        path: encodeURI(`/guilds/${params.guild_id}/bans/${params.user_id}`),
+        reason: params.reason,
+      }))
+    ) return attempt;
+    else return false;
   }, // End Remove Guild Ban
 
   // Get Guild Roles
+  /**
+   * Returns the guild's roles with their `permission_names`, from the cache when it's there.
+   * 
+   * @param {object} params `{ guild_id, force }`
+   * @returns {Promise<array>} `[{...}]`
+   */
   async getGuildRoles(params) {
-    try {
+    const roles = await cache.through('roles', params.guild_id, async () => {
       if (
         (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/roles`),
-          headers: {
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: '',
+          path: encodeURI(`/guilds/${params.guild_id}/roles`),
         }))
-      ) {
-        let roles = JSON.parse(attempt.body);
-        let flags = Object.entries(permissionNames);
-        roles.forEach((role) => {
-          if (role.permissions > 0) {
-            role.permission_names = [];
-            for (let p = 0; p < flags.length; p++) {
-              if (role.permissions & flags[p][1]) {
-                if (!role.permission_names.includes(flags[p][0]))
-                  role.permission_names.push(flags[p][0]);
-              }
-            }
-          } else role.permission_names = '';
-        })
-        return roles;
-      }
+      ) return attempt.data;
       else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    }, params.force);
+    return roles ? withPermissionNames(roles) : false;
   }, // End Get Guild Roles
 
-};
+});
 
 // Guilds Channels
 // https://discord.com/developers/docs/resources/guild#get-guild-channels
-module.exports.channels = {
+const channels = (https, cache) => ({
 
   // Get Guild Channels
+  /**
+   * Returns the guild's channels, from the cache when it's there.
+   * 
+   * @param {object} params `{ guild_id, force }`
+   * @returns {Promise<array>} `[{...}]`
+   */
   async getChannels(params) {
-    try {
+    return cache.through('channels', params.guild_id, async () => {
       if (
         (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/channels`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: JSON.stringify({
-            with_counts: params.with_counts ?? null,
-          }),
+          path: encodeURI(`/guilds/${params.guild_id}/channels`),
         }))
       )
-        return JSON.parse(attempt.body);
+        return attempt.data;
       else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    }, params.force);
   }, // Get Guild Channels
 
   // Create Guild Channel
   async createChannel(params) {
-    try {
-      if (
-        (attempt = await https.post({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/channels`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: JSON.stringify({
-            name: params.name,
-            type: params.type,
-            topic: params.topic ?? null,
-            position: params.position ?? null,
-            permission_overwrites: params.permission_overwrites ?? null,
-            parent_id: params.parent_id ?? null,
-            nsfw: params.nsfw ?? null,
-          }),
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
+    if (
+      (attempt = await https.post({
+        path: encodeURI(`/guilds/${params.guild_id}/channels`),
+        body: {
+          name: params.name,
+          type: params.type,
+          topic: params.topic ?? null,
+          position: params.position ?? null,
+          permission_overwrites: params.permission_overwrites ?? null,
+          parent_id: params.parent_id ?? null,
+          nsfw: params.nsfw ?? null,
+        },
+      }))
+    ) {
+      await cache.patchList('channels', params.guild_id, attempt.data.id, attempt.data);
+      return attempt.data;
     }
+    else return false;
   }, // end createChannel
 
   // Modify Channel Position
   async modifyChannelPosition(params) {
-    try {
-      if (
-        (attempt = await https.patch({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/channels`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: JSON.stringify({
-            id: params.id, // snowflake	channel id
-            position: params.position, // ?integer	sorting position of the channel
-            lock_permissions: params.lock_permissions ?? null, // ?boolean	syncs the permission overwrites with the new parent, if moving to a new category
-            parent_id: params.parent_id ?? null, // ?snowflake the new parent ID for the channel that is moved
-          }),
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
+    if (
+      (attempt = await https.patch({
+        path: encodeURI(`/guilds/${params.guild_id}/channels`),
+        body: {
+          id: params.id, // snowflake	channel id
+          position: params.position, // ?integer	sorting position of the channel
+          lock_permissions: params.lock_permissions ?? null, // ?boolean	syncs the permission overwrites with the new parent, if moving to a new category
+          parent_id: params.parent_id ?? null, // ?snowflake the new parent ID for the channel that is moved
+        },
+      }))
+    ) {
+      await cache.delete('channels', params.guild_id); // every position may have moved
+      return attempt.data;
     }
+    else return false;
   }, // end modifyChannelPosition
 
   // List Active Threads
   async listActiveThreads(params) {
-    try {
-      if (
-        (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/threads/active`),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: '',
-        }))
-      )
-        return JSON.parse(attempt.body);
-      else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (attempt = await https.get({
+        path: encodeURI(`/guilds/${params.guild_id}/threads/active`),
+      }))
+    )
+      return attempt.data;
+    else return false;
   }, // end listActiveThreads
 
-}; // end of guilds.channels
+}); // end of guilds.channels
 
 
 // Guilds Members
 // https://discord.com/developers/docs/resources/guild#get-guild-member
-module.exports.members = {
+const members = (https, cache) => ({
 
   // Get Guild Members
   /**
@@ -387,41 +312,18 @@ module.exports.members = {
    * @returns {Promise<object>} `[{...}]`
    */
   async getAllMembers(params) {
-    try {
-      if (
-        (attempt = await https.get({
-          url: encodeURI('discord.com'),
-          path: encodeURI(
-            `/api/guilds/${params.guild_id}/members?limit=${params.limit ?? null}`
-          ),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: '',
-        }))
-      ) {
-        const payload = JSON.parse(attempt.body);
-
-        let flags = Object.entries(userFlags);
-
-        payload.forEach(member => {
-          let badges = [];
-          if (member.user.public_flags) {
-            for (let a = 0; a < flags.length; a++) {
-              if (member.user.public_flags & flags[a][1]) {
-                badges.push(flags[a][0]); // add the flag to the badges array
-              }
-            }
-          }
-          member.user.badges = badges;
-        })
-        return payload;
-      }
-      else return false;
-    } catch (e) {
-      console.log(e);
+    if (
+      (attempt = await https.get({
+        path: encodeURI(`/guilds/${params.guild_id}/members`),
+        query: { limit: params.limit },
+      }))
+    ) {
+      const payload = attempt.data;
+      for (const member of payload) await cache.set('members', `${params.guild_id}:${member.user.id}`, member);
+      payload.forEach(withBadges);
+      return payload;
     }
+    else return false;
   }, // end get_members
 
   /**
@@ -436,94 +338,69 @@ module.exports.members = {
    * ```
    * @param {string} guild_id Id of the guild containing the requested user. (must be a string)
    * @param {string} user_id Id of the user to retrieve. (must be a string)
+   * @param {boolean} force skip the cache and ask Discord.
    * @returns {Promise<object>} `{...}`
    */
   // Get Guild Member by user_id
   async getMember(params) {
-    try {
+    const member = await cache.through('members', `${params.guild_id}:${params.user_id}`, async () => {
       if (
         (attempt = await https.get({
-          url: encodeURI('discord.com'),
           path: encodeURI(
-            `/api/guilds/${params.guild_id}/members/${params.user_id}`
+            `/guilds/${params.guild_id}/members/${params.user_id}`
           ),
-          headers: {
-            'Content-Type': 'application/json',
-            Authorization: `Bot ${process.env.token}`,
-          },
-          body: '',
         }))
-      ) {
-        const payload = JSON.parse(attempt.body);
-        let badges = [];
-        let flags = Object.entries(userFlags);
-        if (payload.user.public_flags) {
-          for (let a = 0; a < flags.length; a++) {
-            if (payload.user.public_flags & flags[a][1]) {
-              badges.push(flags[a][0]); // add the flag to the badges array
-            }
-          }
-        }
-        payload.user.badges = badges;
-        return payload;
-      }
+      ) return attempt.data;
       else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    }, params.force);
+    return member ? withBadges(member) : false;
   }, // end get_member
 
   // Remove Guild Member
   async removeGuildMember(params) {
-    try {
-      console.log(params);
-      if (
-        (attempt = await https.del({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/members/${params.user_id}`),
-          headers: {
-            'Authorization': `Bot ${process.env.token}`,
-            'X-Audit-Log-Reason': params.reason ?? null,
-          },
-          body: '',
-        }))
-      ) return attempt;
-      else return false;
-    } catch (e) {
-      console.log(e);
+    if (
+      (attempt = await https.del({
+        path: encodeURI(`/guilds/${params.guild_id}/members/${params.user_id}`),
+        reason: params.reason,
+      }))
+    ) {
+      await cache.delete('members', `${params.guild_id}:${params.user_id}`);
+      return attempt;
     }
+    else return false;
   }, // End Remove Guild Member
 
   // Modify Guild Member
   async modifyGuildMember(params) {
-    try {
-      let seconds = new Date().getSeconds() + 1;
-      let timeOUT = new Date().getFullYear() + "-" + ("0" + (new Date().getMonth() + 1)).slice(-2) + "-" + ("0" + new Date().getDate()).slice(-2) + "T" + new Date().getHours() + ":" + ("0" + (new Date().getMinutes() + 1)).slice(-2) + ":" + ("0" + (seconds + params.communication_disabled_until_seconds)).slice(-2)
-      console.log('timeOUT', timeOUT);
-      console.log('seconds', seconds + 6);
-      if (
-        (attempt = await https.patch({
-          url: encodeURI('discord.com'),
-          path: encodeURI(`/api/guilds/${params.guild_id}/members/${params.user_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bot ${process.env.token}`,
-            'X-Audit-Log-Reason': params.reason ?? null,
-          },
-          body: JSON.stringify({
-            nick: params.nick ?? null,
-            role: params.role ?? null,
-            mute: params.mute ?? null,
-            deaf: params.deaf ?? null,
-            channel_id: params.channel_id ?? null,
-            communication_disabled_until: timeOUT//params.communication_disabled_until
-          })
-        }))
-      ) return attempt;
-      else return false;
-    } catch (e) {
-      console.log(e);
+    let seconds = new Date().getSeconds() + 1;
+    let timeOUT = new Date().getFullYear() + "-" + ("0" + (new Date().getMonth() + 1)).slice(-2) + "-" + ("0" + new Date().getDate()).slice(-2) + "T" + new Date().getHours() + ":" + ("0" + (new Date().getMinutes() + 1)).slice(-2) + ":" + ("0" + (seconds + params.communication_disabled_until_seconds)).slice(-2)
+    if (
+      (attempt = await https.patch({
+        path: encodeURI(`/guilds/${params.guild_id}/members/${params.user_id}`),
+        reason: params.reason,
+        body: {
+          nick: params.nick ?? null,
+          role: params.role ?? null,
+          mute: params.mute ?? null,
+          deaf: params.deaf ?? null,
+          channel_id: params.channel_id ?? null,
+          communication_disabled_until: timeOUT//params.communication_disabled_until
+        }
+      }))
+    ) {
+      await cache.delete('members', `${params.guild_id}:${params.user_id}`);
+      return attempt;
     }
+    else return false;
   }, // End Modify Guild Member
 
-}; // end of guilds.members
+}); // end of guilds.members
+
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ * @param {object} [cache] entity cache, see `createCache()`. Nothing is cached without one.
+ */
+module.exports = (https, cache = createCache(false)) => Object.assign(guilds(https, cache), {
+  channels: channels(https, cache),
+  members: members(https, cache),
+});
@@ -1,15 +1,22 @@
-const https = require(`../utils/https`);
 // https://discord.com/developers/docs/interactions/receiving-and-responding#interactions             
+const { verify, createEndpoint, listen } = require('./endpoint');
+const { createRouter } = require('./router');
+const { parseOptions, modalValues } = require('./options');
+const { createContext } = require('./context');
+const { createAutocomplete } = require('./autocomplete');
+
 /**
  * INTERACTION CALLBACKS  
  * https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
  */
-module.exports.callback = {
+const callback = (https) => ({
   /**
    * The `reply()` method is used to immediately respond and reply to an interaction.
    * 
    * Callback Type: `4`, -- `CHANNEL_MESSAGE_WITH_SOURCE`
    * 
+   * `input.files` are uploaded as attachments, see `Utils.Https.multipart()`.
+   * 
    * @param {object} interaction payload
    * @param {object} input parameters
    * @returns {Promise<object>} {...}
@@ -17,32 +24,27 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
    */
   async reply(interaction, input = {}) {
-    try {
-      return (
-        (cb_reply = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/interactions/${interaction.id}/${interaction.token}/callback`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            type: 4,
-            data: {
-              tts: input.tts,
-              content: input.content,
-              embeds: input.embeds ?? input.embed,
-              allowed_mentions: input.allowed_mentions,
-              flags: (input.ephemeral) ? (1 << 6) : 0,
-              components: input.components,
-              attachments: input.attachments,
-            },
-          }),
-        }))
-      ) ? cb_reply : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    const payload = {
+      type: 4,
+      data: {
+        tts: input.tts,
+        content: input.content,
+        embeds: input.embeds ?? input.embed,
+        allowed_mentions: input.allowed_mentions,
+        flags: (input.ephemeral) ? (1 << 6) : 0,
+        components: input.components,
+        attachments: input.attachments,
+      },
+    };
+    const form = await https.encode(payload, input.files, payload.data);
+    return (
+      (cb_reply = await https.post({
+        path: encodeURI(`/interactions/${interaction.id}/${interaction.token}/callback`),
+        auth: false,
+        headers: form.headers,
+        body: form.body,
+      }))
+    ) ? cb_reply : false;
   },
 
   /**
@@ -63,26 +65,18 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
    */
   async defer(interaction, input = {}) {
-    try {
-      return (
-        (cb_defer = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/interactions/${interaction.id}/${interaction.token}/callback`),
-          headers: {
-            'Content-Type': 'application/json',
+    return (
+      (cb_defer = await https.post({
+        path: encodeURI(`/interactions/${interaction.id}/${interaction.token}/callback`),
+        auth: false,
+        body: {
+          type: 5,
+          data: {
+            flags: (input.ephemeral) ? (1 << 6) : 0,
           },
-          body: JSON.stringify({
-            type: 5,
-            data: {
-              flags: (input.ephemeral) ? (1 << 6) : 0,
-            },
-          }),
-        }))
-      ) ? cb_defer : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+        },
+      }))
+    ) ? cb_defer : false;
   },
 
   /**
@@ -102,24 +96,16 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
    */
   async component_defer(interaction, input = {}) {
-    try {
-      return (
-        (cb_comp_defer = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/interactions/${interaction.id}/${interaction.token}/callback`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            type: 6,
-            data: { flags: (input.ephemeral) ? (1 << 6) : 0, },
-          }),
-        }))
-      ) ? cb_comp_defer : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (cb_comp_defer = await https.post({
+        path: encodeURI(`/interactions/${interaction.id}/${interaction.token}/callback`),
+        auth: false,
+        body: {
+          type: 6,
+          data: { flags: (input.ephemeral) ? (1 << 6) : 0, },
+        },
+      }))
+    ) ? cb_comp_defer : false;
   },
 
   /**
@@ -134,32 +120,24 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
    */
   async component_update(interaction, input = {}) {
-    try {
-      return (
-        (cb_comp_update = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/interactions/${interaction.id}/${interaction.token}/callback`),
-          headers: {
-            'Content-Type': 'application/json',
+    return (
+      (cb_comp_update = await https.post({
+        path: encodeURI(`/interactions/${interaction.id}/${interaction.token}/callback`),
+        auth: false,
+        body: {
+          type: 7,
+          data: {
+            tts: input.tts,
+            content: input.content,
+            embeds: input.embeds ?? input.embed,
+            allowed_mentions: input.allowed_mentions,
+            flags: (input.ephemeral) ? (1 << 6) : 0,
+            components: input.components,
+            attachments: input.attachments,
           },
-          body: JSON.stringify({
-            type: 7,
-            data: {
-              tts: input.tts,
-              content: input.content,
-              embeds: input.embeds ?? input.embed,
-              allowed_mentions: input.allowed_mentions,
-              flags: (input.ephemeral) ? (1 << 6) : 0,
-              components: input.components,
-              attachments: input.attachments,
-            },
-          }),
-        }))
-      ) ? cb_comp_update : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+        },
+      }))
+    ) ? cb_comp_update : false;
   },
 
   /**
@@ -174,26 +152,18 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
    */
   async autocomplete_reply(interaction, input = {}) {
-    try {
-      return (
-        (cb_auto_reply = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/interactions/${interaction.id}/${interaction.token}/callback`),
-          headers: {
-            'Content-Type': 'application/json',
+    return (
+      (cb_auto_reply = await https.post({
+        path: encodeURI(`/interactions/${interaction.id}/${interaction.token}/callback`),
+        auth: false,
+        body: {
+          type: 8,
+          data: {
+            choices: input,
           },
-          body: JSON.stringify({
-            type: 8,
-            data: {
-              choices: input,
-            },
-          }),
-        }))
-      ) ? cb_auto_reply : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+        },
+      }))
+    ) ? cb_auto_reply : false;
   },
 
   /**
@@ -208,28 +178,20 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type
    */
   async modal_reply(interaction, input = {}) {
-    try {
-      return (
-        (cb_modal_reply = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/interactions/${interaction.id}/${interaction.token}/callback`),
-          headers: {
-            'Content-Type': 'application/json',
+    return (
+      (cb_modal_reply = await https.post({
+        path: encodeURI(`/interactions/${interaction.id}/${interaction.token}/callback`),
+        auth: false,
+        body: {
+          type: 9,
+          data: {
+            custom_id: input.custom_id,
+            title: input.title,
+            components: input.components,
           },
-          body: JSON.stringify({
-            type: 9,
-            data: {
-              custom_id: input.custom_id,
-              title: input.title,
-              components: input.components,
-            },
-          }),
-        }))
-      ) ? cb_modal_reply : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+        },
+      }))
+    ) ? cb_modal_reply : false;
   },
 
   /**
@@ -241,21 +203,12 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#get-original-interaction-response
    */
   async get_original(interaction) {
-    try {
-      return (
-        (get_origin = await https.get({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: '',
-        }))
-      ) ? JSON.parse(get_origin.body.toString()) : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (get_origin = await https.get({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`),
+        auth: false,
+      }))
+    ) ? get_origin.data : false;
   },
 
   /**
@@ -268,28 +221,20 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#edit-original-interaction-response
    */
   async edit_original(interaction, input = {}) {
-    try {
-      return (
-        (edit_origin = await https.patch({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            tts: input.tts,
-            content: input.content,
-            embeds: input.embeds ?? input.embed,
-            allowed_mentions: input.allowed_mentions,
-            components: input.components,
-            attachments: input.attachments,
-          }),
-        }))
-      ) ? JSON.parse(edit_origin.body.toString()) : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (edit_origin = await https.patch({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`),
+        auth: false,
+        body: {
+          tts: input.tts,
+          content: input.content,
+          embeds: input.embeds ?? input.embed,
+          allowed_mentions: input.allowed_mentions,
+          components: input.components,
+          attachments: input.attachments,
+        },
+      }))
+    ) ? edit_origin.data : false;
   },
 
   /**
@@ -301,64 +246,48 @@ module.exports.callback = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#delete-original-interaction-response
    */
   async delete_original(interaction) {
-    try {
-      return (
-        (delete_origin = await https.del({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: '',
-        }))
-      ) ? delete_origin : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (delete_origin = await https.del({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`),
+        auth: false,
+      }))
+    ) ? delete_origin : false;
   },
-};
+});
 
 /**
  * INTERACTION FOLLOWUPS
  * https://discord.com/developers/docs/interactions/receiving-and-responding#followup-messages
  */
-module.exports.followup = {
+const followup = (https) => ({
   /**
    * The `create()` method is used to edit an initially deferred interaction, following up with a new response.
+   * `input.files` are uploaded as attachments, see `Utils.Https.multipart()`.
    * @param {object} interaction 
    * @param {object} input 
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#create-followup-message
    */
   async create(interaction, input = {}) {
-    try {
-      return (
-        (f_create = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            content: input.content,
-            //username: interaction.member.user.username,
-            username: input.username,
-            //avatar_url,
-            tts: input.tts,
-            embeds: input.embed ?? input.embeds,
-            allowed_mentions: input.allowed_mentions,
-            components: input.components,
-            //files[],
-            //payload_json,
-            attachments: input.attachments,
-            flags: (input.ephemeral) ? (1 << 6) : 0,
-          }),
-        }))
-      ) ? f_create : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    const form = await https.encode({
+      content: input.content,
+      //username: interaction.member.user.username,
+      username: input.username,
+      //avatar_url,
+      tts: input.tts,
+      embeds: input.embed ?? input.embeds,
+      allowed_mentions: input.allowed_mentions,
+      components: input.components,
+      attachments: input.attachments,
+      flags: (input.ephemeral) ? (1 << 6) : 0,
+    }, input.files);
+    return (
+      (f_create = await https.post({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}`),
+        auth: false,
+        headers: form.headers,
+        body: form.body,
+      }))
+    ) ? f_create : false;
   },
 
   /**
@@ -368,29 +297,21 @@ module.exports.followup = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#edit-followup-message
    */
   async edit(interaction, input = {}) {
-    try {
-      return (
-        (f_edit = await https.patch({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}/messages/${input.message_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            content: input.content,
-            embeds: input.embeds ?? input.embed,
-            allowed_mentions: input.allowed_mentions,
-            components: input.components,
-            //files[],
-            //payload_json,
-            attachments: input.attachments,
-          }),
-        }))
-      ) ? f_edit : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (f_edit = await https.patch({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}/messages/${input.message_id}`),
+        auth: false,
+        body: {
+          content: input.content,
+          embeds: input.embeds ?? input.embed,
+          allowed_mentions: input.allowed_mentions,
+          components: input.components,
+          //files[],
+          //payload_json,
+          attachments: input.attachments,
+        },
+      }))
+    ) ? f_edit : false;
   },
 
   /**
@@ -400,21 +321,12 @@ module.exports.followup = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#get-followup-message
    */
   async get(interaction, input = {}) {
-    try {
-      return (
-        (f_get = await https.get({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}/messages/${input.message_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: '',
-        }))
-      ) ? f_get : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (f_get = await https.get({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}/messages/${input.message_id}`),
+        auth: false,
+      }))
+    ) ? f_get : false;
   },
 
   /**
@@ -424,20 +336,49 @@ module.exports.followup = {
    * @url https://discord.com/developers/docs/interactions/receiving-and-responding#delete-followup-message
    */
   async del(interaction, input = {}) {
-    try {
-      return (
-        (f_delete_followup = await https.del({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/webhooks/${interaction.application_id}/${interaction.token}/messages/${input.message_id}`),
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: '',
-        }))
-      ) ? f_delete_followup : false;
-    } catch (e) {
-      console.log(e);
-      return e;
-    }
+    return (
+      (f_delete_followup = await https.del({
+        path: encodeURI(`/webhooks/${interaction.application_id}/${interaction.token}/messages/${input.message_id}`),
+        auth: false,
+      }))
+    ) ? f_delete_followup : false;
   },
+});
+
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ */
+module.exports = (https) => {
+  const interactions = {
+    callback: callback(https),
+    followup: followup(https),
+    endpoint: createEndpoint,
+    listen,
+    verify,
+    options: parseOptions,
+    modalValues,
+    /**
+     * Wraps an interaction to answer it through this module's callbacks, see `createContext()`.
+     *
+     * @param {object} interaction
+     * @param {object} [options] `{ autoDefer, ephemeral, received, onError, catalog, errorReply }`
+     * @returns {object} context
+     */
+    context: (interaction, options) => createContext(interactions, interaction, options),
+    /**
+     * Creates an autocomplete helper answering through this module's callbacks, see `createAutocomplete()`.
+     *
+     * @param {object} [options] `{ ttl, max, store }` of the candidate cache
+     * @returns {object} helper
+     */
+    autocomplete: (options) => createAutocomplete(interactions, options),
+    /**
+     * Creates an interaction router whose handlers reply through this module's callbacks, see `createRouter()`.
+     *
+     * @param {object} [options] `{ autoDefer, ephemeral, onError, catalog, errorReply }` for every interaction's context
+     * @returns {object} router
+     */
+    router: (options) => createRouter(interactions, options),
+  };
+  return interactions;
 };
@@ -1,12 +1,13 @@
-const https = require(`../utils/https`);
 /**
  * Discord Oauth2 implement. Created for the Autocode community
  * 
  * Discord API Resource: https://discord.com/developers/docs/topics/oauth2#oauth2 
  * 
  * RFC 6749: https://www.rfc-editor.org/rfc/rfc6749
+ * 
+ * @param {object} https request methods bound to a client, see `createClient()`.
  */
-module.exports = {
+module.exports = (https) => ({
   /**
    * Returns the user object of the requested account.
    * 
@@ -21,22 +22,14 @@ module.exports = {
    * https://discord.com/developers/docs/resources/user#get-current-user
    */
   async getCredentials(token) {
-    try {
-      if (
-        (res = await https.get({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/users/@me`),
-          headers: {
-            Authorization: `${token.token_type} ${token.access_token}`,
-          },
-          body: ``,
-        }))
-      ) {
-        return JSON.parse(res.body);
-      } else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (res = await https.get({
+        path: encodeURI(`/users/@me`),
+        auth: `${token.token_type} ${token.access_token}`,
+      }))
+    ) {
+      return res.data;
+    } else return false;
   },
   /**
    * Returns a bearer token object for the bot owner. Usually used for development and testing.
@@ -61,22 +54,18 @@ module.exports = {
    * https://discord.com/developers/docs/topics/oauth2#client-credentials-grant
    */
   async getClientCredentials(client_id, client_secret, scope) {
-    try {
-      if (
-        (res = await https.get({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/users/@me`),
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: `grant_type=client_credentials&client_id=${client_id}&client_secret=${client_secret}&scope=${scope}`,
-        }))
-      ) {
-        return JSON.parse(res.body);
-      } else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (res = await https.get({
+        path: encodeURI(`/users/@me`),
+        auth: false,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: `grant_type=client_credentials&client_id=${client_id}&client_secret=${client_secret}&scope=${scope}`,
+      }))
+    ) {
+      return res.data;
+    } else return false;
   },
   /**
    * Returns a bearer token object for the authorizing client.
@@ -103,24 +92,20 @@ module.exports = {
    * https://discord.com/developers/docs/topics/oauth2#authorization-code-grant
    */
   async getToken(client_id, client_secret, oauth2_redirect, code) {
-    try {
-      redirect = encodeURIComponent(oauth2_redirect);
-      if (
-        (oauth_ = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/oauth2/token`),
-          statusCode: 200,
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: `grant_type=authorization_code&client_id=${client_id}&client_secret=${client_secret}&redirect_uri=${redirect}&code=${code}`,
-        }))
-      ) {
-        return JSON.parse(oauth_.body);
-      } else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    redirect = encodeURIComponent(oauth2_redirect);
+    if (
+      (oauth_ = await https.post({
+        path: encodeURI(`/oauth2/token`),
+        auth: false,
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: `grant_type=authorization_code&client_id=${client_id}&client_secret=${client_secret}&redirect_uri=${redirect}&code=${code}`,
+      }))
+    ) {
+      return oauth_.data;
+    } else return false;
   }, //eo getToken
 
   /**
@@ -147,23 +132,19 @@ module.exports = {
   * https://discord.com/developers/docs/topics/oauth2#authorization-code-grant-refresh-token-exchange-example
   */
   async refreshToken(client_id, client_secret, refresh_token) {
-    try {
-      if (
-        (oauth_ = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/oauth2/token`),
-          statusCode: 200,
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: `grant_type=refresh_token&client_id=${client_id}&client_secret=${client_secret}&refresh_token=${refresh_token}`,
-        }))
-      ) {
-        return JSON.parse(oauth_.body);
-      } else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (oauth_ = await https.post({
+        path: encodeURI(`/oauth2/token`),
+        auth: false,
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: `grant_type=refresh_token&client_id=${client_id}&client_secret=${client_secret}&refresh_token=${refresh_token}`,
+      }))
+    ) {
+      return oauth_.data;
+    } else return false;
   }, //eo refreshToken
 
   /**
@@ -184,22 +165,18 @@ module.exports = {
    * As per RFC 7009: https://www.rfc-editor.org/rfc/rfc7009
   */
   async revokeToken(client_id, client_secret, token) {
-    try {
-      if (
-        (oauth_ = await https.post({
-          url: encodeURI(`discord.com`),
-          path: encodeURI(`/api/oauth2/token/revoke`),
-          statusCode: 200,
-          headers: {
-            'Content-Type': 'application/x-www-form-urlencoded',
-          },
-          body: `client_id=${client_id}&client_secret=${client_secret}&token=${token}`,
-        }))
-      ) {
-        return JSON.parse(oauth_.body);
-      } else return false;
-    } catch (e) {
-      console.log(e);
-    }
+    if (
+      (oauth_ = await https.post({
+        path: encodeURI(`/oauth2/token/revoke`),
+        auth: false,
+        statusCode: 200,
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        body: `client_id=${client_id}&client_secret=${client_secret}&token=${token}`,
+      }))
+    ) {
+      return oauth_.data;
+    } else return false;
   }, //eo revokeToken
-};
\ No newline at end of file
+});
\ No newline at end of file
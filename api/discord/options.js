@@ -0,0 +1,215 @@
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * INTERACTION OPTIONS
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object-application-command-data-structure
+ */
+
+// https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-type
+const OPTION_TYPES = {
+  SUB_COMMAND: 1,
+  SUB_COMMAND_GROUP: 2,
+  STRING: 3,
+  INTEGER: 4,
+  BOOLEAN: 5,
+  USER: 6,
+  CHANNEL: 7,
+  ROLE: 8,
+  MENTIONABLE: 9,
+  NUMBER: 10,
+  ATTACHMENT: 11,
+};
+const TYPE_NAMES = Object.fromEntries(Object.entries(OPTION_TYPES).map(([name, type]) => [type, name]));
+
+/**
+ * The submitted values of a modal by `custom_id`: a string for text inputs, an array for select menus.
+ * Finds components in action rows and labels alike.
+ *
+ * example:
+ * ```js
+ * modalValues(interaction); // { reason: 'spam', details: '' }
+ * ```
+ *
+ * @param {object} interaction MODAL_SUBMIT interaction
+ * @returns {object} `{ [custom_id]: value }`
+ */
+function modalValues(interaction) {
+  const values = {};
+  const walk = (components = []) => {
+    for (const component of components) {
+      if (component.component) walk([component.component]);
+      if (component.components) walk(component.components);
+      if (component.custom_id !== undefined && (component.value !== undefined || component.values !== undefined))
+        values[component.custom_id] = component.value ?? component.values;
+    }
+  };
+  walk(interaction.data?.components);
+  return values;
+}
+
+/**
+ * Turns an interaction into a flat, typed accessor for its options, whatever subcommand they are nested under.
+ * Users, members, roles, channels and attachments are looked up in `data.resolved`.
+ * Getters return `null` for options that weren't given and throw a `ValidationError` when
+ * `required` is set and the option is missing, or when the option has another type.
+ *
+ * example:
+ * ```js
+ * const options = api.Discord.Interactions.options(interaction);
+ * options.getSubcommand(); // 'add'
+ * options.getString('reason'); // 'spam' or null
+ * options.getInteger('days', true); // 7, throws if missing
+ * const { user, member } = options.getUser('target', true);
+ * options.getAttachment('proof')?.url;
+ *
+ * // modal submits
+ * options.getTextInput('reason', true);
+ * ```
+ *
+ * @param {object} interaction
+ * @returns {object} accessor
+ */
+function parseOptions(interaction) {
+  const data = interaction.data ?? {};
+  const resolved = data.resolved ?? {};
+
+  let group = null;
+  let subcommand = null;
+  let options = data.options ?? [];
+  const nestedGroup = options.find((option) => option.type === OPTION_TYPES.SUB_COMMAND_GROUP);
+  if (nestedGroup) {
+    group = nestedGroup.name;
+    options = nestedGroup.options ?? [];
+  }
+  const nestedSubcommand = options.find((option) => option.type === OPTION_TYPES.SUB_COMMAND);
+  if (nestedSubcommand) {
+    subcommand = nestedSubcommand.name;
+    options = nestedSubcommand.options ?? [];
+  }
+  const fields = modalValues(interaction);
+
+  function get(name, types, required) {
+    const option = options.find((o) => o.name === name);
+    if (!option) {
+      if (required) throw new ValidationError('is a required option', { path: name });
+      return null;
+    }
+    if (types && !types.includes(option.type)) {
+      const expected = types.map((type) => TYPE_NAMES[type]).join(' or ');
+      throw new ValidationError(`has type ${TYPE_NAMES[option.type]}, expected ${expected}`, { path: name });
+    }
+    return option;
+  }
+
+  const user = (id) => {
+    const member = resolved.members?.[id];
+    return { user: resolved.users?.[id] ?? member?.user ?? { id }, member: member ? { ...member, user: resolved.users?.[id] } : null };
+  };
+  const value = (name, type, required) => get(name, [type], required)?.value ?? null;
+
+  return {
+    /**
+     * The options of the innermost subcommand, `{ name: value }`.
+     */
+    values: Object.fromEntries(options.map((option) => [option.name, option.value])),
+
+    /**
+     * Modal values by `custom_id`, see `modalValues()`.
+     */
+    fields,
+
+    /**
+     * The raw option object, any type.
+     *
+     * @param {string} name
+     * @param {boolean} [required]
+     * @returns {object|null} `{ name, type, value, focused }`
+     */
+    get: (name, required = false) => get(name, null, required),
+
+    getString: (name, required = false) => value(name, OPTION_TYPES.STRING, required),
+    getInteger: (name, required = false) => value(name, OPTION_TYPES.INTEGER, required),
+    getNumber: (name, required = false) => value(name, OPTION_TYPES.NUMBER, required),
+    getBoolean: (name, required = false) => value(name, OPTION_TYPES.BOOLEAN, required),
+
+    /**
+     * @param {string} name
+     * @param {boolean} [required]
+     * @returns {object|null} `{ user, member }`, `member` is null outside guilds or for users that aren't members
+     */
+    getUser(name, required = false) {
+      const option = get(name, [OPTION_TYPES.USER], required);
+      return option ? user(option.value) : null;
+    },
+
+    getChannel(name, required = false) {
+      const option = get(name, [OPTION_TYPES.CHANNEL], required);
+      return option ? resolved.channels?.[option.value] ?? { id: option.value } : null;
+    },
+
+    getRole(name, required = false) {
+      const option = get(name, [OPTION_TYPES.ROLE], required);
+      return option ? resolved.roles?.[option.value] ?? { id: option.value } : null;
+    },
+
+    /**
+     * @returns {object|null} `{ role }` for a role, `{ user, member }` for a user
+     */
+    getMentionable(name, required = false) {
+      const option = get(name, [OPTION_TYPES.MENTIONABLE, OPTION_TYPES.USER, OPTION_TYPES.ROLE], required);
+      if (!option) return null;
+      if (resolved.roles?.[option.value]) return { role: resolved.roles[option.value] };
+      return user(option.value);
+    },
+
+    /**
+     * @returns {object|null} `{ id, filename, url, proxy_url, size, content_type, ... }`
+     */
+    getAttachment(name, required = false) {
+      const option = get(name, [OPTION_TYPES.ATTACHMENT], required);
+      return option ? resolved.attachments?.[option.value] ?? { id: option.value } : null;
+    },
+
+    /**
+     * @param {boolean} [required] throw when the command was used without a subcommand
+     * @returns {string|null}
+     */
+    getSubcommand(required = false) {
+      if (required && !subcommand) throw new ValidationError('was used without a subcommand', { path: data.name });
+      return subcommand;
+    },
+
+    getSubcommandGroup(required = false) {
+      if (required && !group) throw new ValidationError('was used without a subcommand group', { path: data.name });
+      return group;
+    },
+
+    /**
+     * The option being typed in an autocomplete interaction.
+     *
+     * @returns {object|null} `{ name, type, value }`
+     */
+    getFocused: () => options.find((option) => option.focused) ?? null,
+
+    /**
+     * The value of a modal text input (or the values of a modal select menu).
+     *
+     * @param {string} custom_id
+     * @param {boolean} [required] throw when the modal has no such input
+     * @returns {string|array|null}
+     */
+    getTextInput(custom_id, required = false) {
+      if (fields[custom_id] === undefined) {
+        if (required) throw new ValidationError('is not part of the submitted modal', { path: custom_id });
+        return null;
+      }
+      return fields[custom_id];
+    },
+  };
+}
+
+module.exports = {
+  parseOptions,
+  modalValues,
+  OPTION_TYPES,
+};
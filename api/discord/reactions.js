@@ -0,0 +1,325 @@
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const fs = require('fs/promises');
+const path = require('node:path');
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * REACTIONS
+ * https://discord.com/developers/docs/topics/gateway-events#message-reaction-add
+ */
+
+/**
+ * Turns any way of writing an emoji into the key subscriptions are stored under:
+ * the id for custom emoji, the character itself for unicode emoji.
+ *
+ * example:
+ * ```js
+ * emojiKey('⬇️'); // '⬇️'
+ * emojiKey('<:upvote:112233445566778899>'); // '112233445566778899'
+ * emojiKey('upvote:112233445566778899'); // '112233445566778899'
+ * emojiKey({ id: '112233445566778899', name: 'upvote' }); // '112233445566778899'
+ * ```
+ *
+ * @param {string|object} emoji unicode emoji, `<:name:id>`, `<a:name:id>`, `name:id` or an emoji object
+ * @returns {string}
+ */
+function emojiKey(emoji) {
+  if (emoji && typeof emoji === 'object') return String(emoji.id ?? emoji.name);
+  const custom = /^<?a?:?[\w~-]+:(\d+)>?$/.exec(String(emoji));
+  return custom ? custom[1] : String(emoji);
+}
+
+/**
+ * Turns an emoji into the form the reaction routes take: `name:id` for custom emoji, the character for unicode.
+ *
+ * @param {string|object} emoji see `emojiKey()`
+ * @returns {string}
+ */
+function emojiRoute(emoji) {
+  if (emoji && typeof emoji === 'object') return emoji.id ? `${emoji.name}:${emoji.id}` : emoji.name;
+  const custom = /^<?a?:?([\w~-]+):(\d+)>?$/.exec(String(emoji));
+  return custom ? `${custom[1]}:${custom[2]}` : String(emoji);
+}
+
+/**
+ * Where a client keeps its subscriptions by default: `data/<process.env.uuid>/.evented` without a token,
+ * `data/<process.env.uuid>/<bot id>.evented` with one, so clients of different bots never share a file.
+ *
+ * @param {string} [token] bot token of the client
+ * @returns {string} path of the file
+ */
+function defaultFile(token) {
+  let name = '';
+  if (token) {
+    // the first part of a bot token is the bot's id in base64, anything else goes by a hash of the token
+    const id = Buffer.from(token.split('.')[0], 'base64').toString();
+    name = /^\d+$/.test(id) ? id : crypto.createHash('sha256').update(token).digest('hex').slice(0, 16);
+  }
+  return path.join(process.cwd(), 'data', process.env.uuid ?? '', `${name}.evented`);
+}
+
+/**
+ * Keeps subscriptions in a JSON file, `data/<process.env.uuid>/.evented` by default.
+ *
+ * @param {string} [file] path of the file
+ * @returns {object} store `{ load(), save(subscriptions) }`
+ */
+function fileStore(file = defaultFile()) {
+  let writing = Promise.resolve();
+  return {
+    async load() {
+      try {
+        return JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+    },
+    save(subscriptions) {
+      // writes are chained and go through a temporary file, a crash never leaves half a file behind
+      const write = async () => {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(`${file}.tmp`, JSON.stringify(subscriptions, null, 2));
+        await fs.rename(`${file}.tmp`, file);
+      };
+      return (writing = writing.then(write, write));
+    },
+  };
+}
+
+/**
+ * Keeps subscriptions in memory only, they are gone after a restart.
+ *
+ * @returns {object} store `{ load(), save(subscriptions) }`
+ */
+function memoryStore() {
+  let saved = [];
+  return {
+    async load() {
+      return saved;
+    },
+    async save(subscriptions) {
+      saved = subscriptions;
+    },
+  };
+}
+
+/**
+ * Reaction subscriptions: `(message_id, emoji) -> handler` pairs that fire on
+ * MESSAGE_REACTION_ADD and MESSAGE_REACTION_REMOVE.
+ *
+ * Handlers are registered by name with `handler()` and subscriptions refer to that name, so the
+ * subscriptions can be persisted and picked up again after a restart, the code registering
+ * the handlers runs again anyway. The bot's own reactions are ignored.
+ *
+ * Events:
+ * - `error` (error, reaction, subscription) a handler threw, or the store failed to load (without a subscription),
+ *   only emitted when listened to.
+ *
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ * @param {object} [options]
+ * @param {object} [options.store] `{ load(), save(subscriptions) }`, a JSON file by default, see `fileStore()`.
+ * @param {string} [options.file] path of the default JSON file store.
+ * @returns {EventEmitter} reactions
+ */
+function createReactions(https, options = {}) {
+  const reactions = new EventEmitter();
+  const store = options.store ?? fileStore(options.file);
+  const handlers = new Map(); // name -> { add, remove }
+  const subscriptions = new Map(); // `${message_id}:${emoji key}` -> subscription
+  let loading = null;
+  let self = null; // the bot's user id, from READY
+
+  const key = (message_id, emoji) => `${message_id}:${emojiKey(emoji)}`;
+
+  // loads once; a failed load is forgotten so the next call tries again
+  function load() {
+    return (loading = loading ?? store.load().then((saved) => {
+      for (const subscription of saved ?? []) subscriptions.set(key(subscription.message_id, subscription.emoji), subscription);
+    }, (e) => {
+      loading = null;
+      throw e;
+    }));
+  }
+
+  function save() {
+    return store.save([...subscriptions.values()]);
+  }
+
+  async function dispatch(type, reaction) {
+    if (self && reaction.user_id === self) return;
+    await load();
+    const subscription = subscriptions.get(key(reaction.message_id, reaction.emoji));
+    if (!subscription) return;
+    const handler = handlers.get(subscription.handler)?.[type];
+    if (!handler) return;
+    try {
+      await handler({ ...reaction, type }, subscription);
+    } catch (e) {
+      if (reactions.listenerCount('error')) reactions.emit('error', e, reaction, subscription);
+    }
+  }
+
+  Object.assign(reactions, {
+    /**
+     * Registers a handler subscriptions can refer to by name.
+     * A function is called for added reactions only, `{ add, remove }` for either.
+     *
+     * example:
+     * ```js
+     * Reactions.handler('suggestion', {
+     *   add: (reaction, subscription) => votes.up(subscription.data.suggestion, reaction.user_id),
+     *   remove: (reaction, subscription) => votes.down(subscription.data.suggestion, reaction.user_id),
+     * });
+     * ```
+     *
+     * @param {string} name name subscriptions use
+     * @param {Function|object} handler `(reaction, subscription)` or `{ add, remove }`
+     * @returns {EventEmitter} reactions
+     */
+    handler(name, handler) {
+      handlers.set(name, typeof handler === 'function' ? { add: handler } : handler);
+      return reactions;
+    },
+
+    /**
+     * Subscribes a handler to one emoji on one message and saves the subscription.
+     * With `react: true` the bot adds the reaction itself, so users only have to click it.
+     * Throws a `ValidationError` without a `message_id`, an `emoji` or a handler name.
+     *
+     * example:
+     * ```js
+     * await Reactions.subscribe({
+     *   channel_id: suggestionChannel.id,
+     *   message_id: suggestion.id,
+     *   emoji: '<:upvote:112233445566778899>',
+     *   handler: 'suggestion',
+     *   data: { suggestion: 42 },
+     *   react: true,
+     * });
+     * ```
+     *
+     * @param {object} params
+     * @param {snowflake} params.message_id
+     * @param {string|object} params.emoji unicode emoji, `<:name:id>`, `name:id` or an emoji object
+     * @param {string} params.handler name of a handler, see `handler()`
+     * @param {snowflake} [params.channel_id] required with `react`
+     * @param {*} [params.data] anything JSON serializable, handed to the handler with the subscription
+     * @param {boolean} [params.react] add the bot's own reaction to the message
+     * @returns {Promise<object>} the subscription
+     */
+    async subscribe(params) {
+      for (const name of ['message_id', 'emoji', 'handler'])
+        if (params?.[name] === undefined || params[name] === null || params[name] === '') throw new ValidationError('is required', { path: name });
+      if (typeof params.handler !== 'string')
+        throw new ValidationError('must be the name of a handler registered with Reactions.handler()', { path: 'handler' });
+      if (params.react && !params.channel_id) throw new ValidationError('is required with react', { path: 'channel_id' });
+      await load();
+      const subscription = {
+        channel_id: params.channel_id,
+        message_id: params.message_id,
+        emoji: emojiRoute(params.emoji),
+        handler: params.handler,
+        data: params.data,
+      };
+      subscriptions.set(key(params.message_id, params.emoji), subscription);
+      await save();
+      if (params.react) {
+        await https.put({
+          path: `/channels/${params.channel_id}/messages/${params.message_id}/reactions/${encodeURIComponent(subscription.emoji)}/@me`,
+        });
+      }
+      return subscription;
+    },
+
+    /**
+     * Removes the subscription for one emoji on a message, or every subscription on the message without `emoji`.
+     *
+     * @param {object} params `{ message_id, emoji }`
+     * @returns {Promise<number>} number of subscriptions removed
+     */
+    async unsubscribe(params) {
+      await load();
+      let removed = 0;
+      for (const [k, subscription] of subscriptions) {
+        if (subscription.message_id !== params.message_id) continue;
+        if (params.emoji !== undefined && k !== key(params.message_id, params.emoji)) continue;
+        subscriptions.delete(k);
+        removed++;
+      }
+      if (removed) await save();
+      return removed;
+    },
+
+    /**
+     * Every saved subscription.
+     *
+     * @returns {Promise<array>}
+     */
+    async list() {
+      await load();
+      return [...subscriptions.values()];
+    },
+
+    /**
+     * Feeds reaction events from a gateway connection or shard manager into the subscriptions.
+     *
+     * example:
+     * ```js
+     * const gateway = Gateway.create({ intents: ['GUILDS', 'GUILD_MESSAGE_REACTIONS'] });
+     * Reactions.listen(gateway);
+     * await gateway.connect();
+     * ```
+     *
+     * @param {EventEmitter} gateway connection from `Gateway.create()` or manager from `Gateway.shards()`
+     * @returns {Function} stops listening
+     */
+    listen(gateway) {
+      const onReady = (data) => {
+        self = data.user?.id ?? self;
+      };
+      const fail = (reaction) => (e) => reactions.listenerCount('error') && reactions.emit('error', e, reaction);
+      const onAdd = (reaction) => dispatch('add', reaction).catch(fail(reaction));
+      const onRemove = (reaction) => dispatch('remove', reaction).catch(fail(reaction));
+      gateway.on('READY', onReady);
+      gateway.on('MESSAGE_REACTION_ADD', onAdd);
+      gateway.on('MESSAGE_REACTION_REMOVE', onRemove);
+      load().catch((e) => reactions.listenerCount('error') && reactions.emit('error', e));
+      return () => {
+        gateway.off('READY', onReady);
+        gateway.off('MESSAGE_REACTION_ADD', onAdd);
+        gateway.off('MESSAGE_REACTION_REMOVE', onRemove);
+      };
+    },
+  });
+
+  return reactions;
+}
+
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ * @param {object} [options] `{ store }` or `{ file }` of the client's subscriptions, see `createReactions()`
+ */
+module.exports = (https, options) => Object.assign(createReactions(https, options), {
+  /**
+   * Creates a separate set of subscriptions, e.g. with a store of its own.
+   *
+   * example:
+   * ```js
+   * const polls = api.Discord.Reactions.create({ store: redisStore });
+   * ```
+   *
+   * @param {object} [options] `{ store }` or `{ file }`, see `createReactions()`
+   * @returns {EventEmitter} reactions
+   */
+  create: (options) => createReactions(https, options),
+  fileStore,
+  memoryStore,
+  defaultFile,
+  emojiKey,
+  emojiRoute,
+});
+
+// what `createClient()` needs before there is an instance
+module.exports.defaultFile = defaultFile;
@@ -0,0 +1,284 @@
+const { parseOptions } = require('./options');
+const { createContext } = require('./context');
+
+/**
+ * INTERACTION ROUTER
+ * https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object-interaction-type
+ */
+
+// https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-object-interaction-type
+const TYPES = {
+  PING: 1,
+  APPLICATION_COMMAND: 2,
+  MESSAGE_COMPONENT: 3,
+  APPLICATION_COMMAND_AUTOCOMPLETE: 4,
+  MODAL_SUBMIT: 5,
+};
+
+// https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-type
+const SUB_COMMAND = 1;
+const SUB_COMMAND_GROUP = 2;
+
+/**
+ * Turns a `custom_id` pattern into a matcher. `{name}` captures a parameter, a RegExp is used as it is
+ * with its named groups as parameters.
+ *
+ * example:
+ * ```js
+ * pattern('vote:{id}:{choice}')('vote:42:yes'); // { id: '42', choice: 'yes' }
+ * pattern('vote:{id}:{choice}')('poll:42'); // null
+ * ```
+ *
+ * @param {string|RegExp} source
+ * @returns {Function} `(custom_id) => params | null`
+ */
+function pattern(source) {
+  const regex = source instanceof RegExp ? source : new RegExp(`^${
+    source.split(/(\{\w+\})/).map((part) => {
+      const name = /^\{(\w+)\}$/.exec(part);
+      return name ? `(?<${name[1]}>.+?)` : part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('')
+  }$`);
+  return (custom_id) => {
+    const match = regex.exec(custom_id ?? '');
+    return match ? { ...match.groups } : null;
+  };
+}
+
+/**
+ * The command path of an interaction, `name`, `name subcommand` or `name group subcommand`,
+ * with the options of the innermost level.
+ */
+function commandPath(data) {
+  const path = [data.name];
+  let options = data.options ?? [];
+  for (const type of [SUB_COMMAND_GROUP, SUB_COMMAND]) {
+    const nested = options.find((option) => option.type === type);
+    if (!nested) continue;
+    path.push(nested.name);
+    options = nested.options ?? [];
+  }
+  return { path: path.join(' '), options };
+}
+
+/**
+ * Creates an interaction router.
+ *
+ * Commands are matched by name and, more specific first, subcommand group and subcommand:
+ * a `config` route catches `/config set` unless `config set` has a route of its own.
+ * Components and modals are matched by `custom_id` pattern, autocomplete by command path and focused option.
+ * Handlers and middleware get `(interaction, ctx)`, where `ctx` carries the route parameters, `ctx.args`
+ * to read options and modal values (see `parseOptions()`) and the response methods of `createContext()`:
+ * slow handlers are deferred automatically and a later `ctx.reply()` edits the deferred response.
+ * Whatever the handler returns is what `handle()` resolves with, so a returned interaction response
+ * can go straight back to the interactions endpoint. A handler that throws never rejects `handle()`:
+ * events call it without waiting on it, so the error goes to `onError`, or is logged with `console.error`
+ * when there is none. `onError: false` rejects instead, for callers that await `handle()` themselves.
+ *
+ * example:
+ * ```js
+ * const router = api.Discord.Interactions.router({ onError: (e, interaction) => console.error(interaction?.id, e) });
+ * router.use(async (interaction, ctx, next) => {
+ *   if (cooldown.has(interaction.member.user.id)) return ctx.reply({ content: 'Slow down', ephemeral: true });
+ *   return next();
+ * });
+ * router.command('ping', (interaction, ctx) => ctx.reply({ content: 'pong' }));
+ * router.command('ban', (interaction, ctx) => bans.add(ctx.args.getUser('user', true).user.id, ctx.args.getString('reason')));
+ * router.command('config set', requireAdmin, (interaction, ctx) => ctx.reply({ content: 'saved' }));
+ * router.component('vote:{id}:{choice}', (interaction, ctx) => votes.add(ctx.params.id, ctx.params.choice));
+ * router.modal('report:{message_id}', (interaction, ctx) => reports.create(ctx.params.message_id));
+ * router.autocomplete('search', 'query', (interaction, ctx) => ctx.autocomplete([{ name: 'a', value: 'a' }]));
+ * router.fallback((interaction, ctx) => ctx.reply({ content: 'Unknown interaction', ephemeral: true }));
+ *
+ * gateway.on('INTERACTION_CREATE', router.handle);
+ * // or
+ * api.Discord.Interactions.listen({ port: 8080, publicKey, handler: router.handle });
+ * ```
+ *
+ * @param {object} interactions `{ callback, followup }` of the Interactions module
+ * @param {object} [options] `createContext()` options for every interaction: `autoDefer`, `ephemeral`, `onError`, `catalog`, `errorReply`
+ * @param {Function|boolean} [options.onError] `(error, interaction)` called when a handler throws or the automatic defer fails,
+ *   `handle()` then resolves with `undefined`. Errors are logged when omitted, `false` makes `handle()` reject
+ * @returns {object} router
+ */
+function createRouter(interactions, options = {}) {
+  const report = options.onError ?? ((e, interaction) => console.error(`Interaction ${interaction?.id} failed:`, e));
+  const middleware = [];
+  const routes = {
+    commands: new Map(), // command path -> stack
+    components: [], // [{ match, stack }]
+    modals: [], // [{ match, stack }]
+    autocomplete: new Map(), // `path` or `path:option` -> stack
+  };
+  let fallback = null;
+
+  /**
+   * The `ctx` handed to middleware and handlers, see `createContext()`.
+   */
+  function context(interaction, route) {
+    const onError = report ? (e) => report(e, interaction) : undefined;
+    return Object.assign(createContext(interactions, interaction, { ...options, onError }), route, { args: parseOptions(interaction) });
+  }
+
+  /**
+   * Runs middleware and handlers one after another, each continues the chain with `next()`.
+   */
+  function run(stack, interaction, ctx) {
+    const step = (i) => {
+      if (i >= stack.length) return undefined;
+      return stack[i](interaction, ctx, () => step(i + 1));
+    };
+    return step(0);
+  }
+
+  function find(interaction) {
+    const data = interaction.data ?? {};
+    switch (interaction.type) {
+      case TYPES.APPLICATION_COMMAND:
+      case TYPES.APPLICATION_COMMAND_AUTOCOMPLETE: {
+        const { path, options } = commandPath(data);
+        const autocomplete = interaction.type === TYPES.APPLICATION_COMMAND_AUTOCOMPLETE;
+        const focused = autocomplete ? options.find((option) => option.focused) : undefined;
+        // the full path first, then its parents: `config set name`, `config set`, `config`
+        const parts = path.split(' ');
+        for (let n = parts.length; n > 0; n--) {
+          const prefix = parts.slice(0, n).join(' ');
+          const stack = autocomplete
+            ? routes.autocomplete.get(`${prefix}:${focused?.name}`) ?? routes.autocomplete.get(prefix)
+            : routes.commands.get(prefix);
+          if (stack) return { stack, route: { path, options, focused, params: {} } };
+        }
+        return { route: { path, options, focused, params: {} } };
+      }
+      case TYPES.MESSAGE_COMPONENT:
+      case TYPES.MODAL_SUBMIT: {
+        const list = interaction.type === TYPES.MODAL_SUBMIT ? routes.modals : routes.components;
+        for (const { match, stack } of list) {
+          const params = match(data.custom_id);
+          if (params) return { stack, route: { custom_id: data.custom_id, params } };
+        }
+        return { route: { custom_id: data.custom_id, params: {} } };
+      }
+      default:
+        return { route: { params: {} } };
+    }
+  }
+
+  const stack = (handlers) => {
+    if (!handlers.length || handlers.some((handler) => typeof handler !== 'function'))
+      throw new TypeError('Routes need at least one handler, every handler a function');
+    return handlers;
+  };
+
+  const router = {
+    /**
+     * Adds middleware that runs before every handler, `(interaction, ctx, next)`.
+     *
+     * @param {...Function} handlers
+     * @returns {object} router
+     */
+    use(...handlers) {
+      middleware.push(...stack(handlers));
+      return router;
+    },
+
+    /**
+     * Routes a command, `name`, `name subcommand` or `name group subcommand`. Context menu commands go by name too.
+     *
+     * @param {string} path command path
+     * @param {...Function} handlers route middleware, then the handler
+     * @returns {object} router
+     */
+    command(path, ...handlers) {
+      routes.commands.set(path.trim().split(/\s+/).join(' '), stack(handlers));
+      return router;
+    },
+
+    /**
+     * Routes message components (buttons, select menus) by `custom_id` pattern, parameters end up in `ctx.params`.
+     *
+     * @param {string|RegExp} custom_id pattern, e.g. `vote:{id}:{choice}`
+     * @param {...Function} handlers
+     * @returns {object} router
+     */
+    component(custom_id, ...handlers) {
+      routes.components.push({ match: pattern(custom_id), stack: stack(handlers) });
+      return router;
+    },
+
+    /**
+     * Routes modal submits by `custom_id` pattern.
+     *
+     * @param {string|RegExp} custom_id pattern, e.g. `report:{message_id}`
+     * @param {...Function} handlers
+     * @returns {object} router
+     */
+    modal(custom_id, ...handlers) {
+      routes.modals.push({ match: pattern(custom_id), stack: stack(handlers) });
+      return router;
+    },
+
+    /**
+     * Routes autocomplete by command path and, optionally, the focused option's name.
+     * The focused option is in `ctx.focused`.
+     *
+     * @param {string} path command path
+     * @param {string|Function} option focused option name, or the first handler to route every option
+     * @param {...Function} handlers
+     * @returns {object} router
+     */
+    autocomplete(path, option, ...handlers) {
+      path = path.trim().split(/\s+/).join(' ');
+      if (typeof option === 'function') routes.autocomplete.set(path, stack([option, ...handlers]));
+      else routes.autocomplete.set(`${path}:${option}`, stack(handlers));
+      return router;
+    },
+
+    /**
+     * Handles interactions no route matched, after the middleware.
+     *
+     * @param {Function} handler
+     * @returns {object} router
+     */
+    fallback(handler) {
+      fallback = stack([handler]);
+      return router;
+    },
+
+    /**
+     * Dispatches an interaction, resolves with what its handler returned.
+     * Bound, so it can be handed around as it is. Handler errors go to `onError` (logged without one)
+     * and resolve with `undefined`, they only reject with `onError: false`.
+     *
+     * @param {object} interaction
+     * @returns {Promise<*>}
+     */
+    handle: async (interaction) => {
+      if (interaction.type === TYPES.PING) return { type: 1 };
+      const { stack: found, route } = find(interaction);
+      const handlers = found ?? fallback;
+      if (!handlers) return undefined;
+      const ctx = context(interaction, route);
+      let result;
+      try {
+        result = await run([...middleware, ...handlers], interaction, ctx);
+      } catch (e) {
+        // a deferred response is resolved first, failing to do so is reported as well
+        await ctx.end(undefined, e).catch((failed) => report && report(failed, interaction));
+        if (!report) throw e;
+        report(e, interaction);
+        return undefined;
+      }
+      return ctx.end(result);
+    },
+  };
+
+  return router;
+}
+
+module.exports = {
+  createRouter,
+  pattern,
+  commandPath,
+  TYPES,
+};
@@ -0,0 +1,322 @@
+const { EventEmitter } = require('node:events');
+const { GatewayError } = require('../utils/errors');
+
+/**
+ * SHARDING
+ * https://discord.com/developers/docs/topics/gateway#sharding
+ */
+
+// Discord allows one identify per rate limit key (shard_id % max_concurrency) every 5 seconds.
+const IDENTIFY_INTERVAL = 5000;
+// Close codes that mean the shard count itself is wrong, every shard is respawned with a fresh count.
+const RESHARD_CLOSE_CODES = [4010, 4011];
+// Close codes no restart will fix.
+const GIVE_UP_CLOSE_CODES = [4004, 4012, 4013, 4014];
+// Delay before restarting a shard that stopped.
+const RESTART_DELAY = 5000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Creates a shard manager. Nothing happens until `spawn()` is called.
+ *
+ * The manager reads the recommended shard count and `session_start_limit` from `/gateway/bot`,
+ * identifies shards in buckets of `max_concurrency` every 5 seconds, restarts shards that stop,
+ * and respawns everything with a fresh count when Discord closes a shard with `4010`/`4011`.
+ *
+ * Events, each with the shard id as last argument:
+ * - `dispatch` ({ t, d, s }, shardId) and every dispatch under its own name, e.g. `MESSAGE_CREATE` (data, shardId).
+ * - `shardReady` (data, shardId), `shardResumed` (shardId), `shardReconnecting` (info, shardId), `shardClose` (info, shardId)
+ * - `shardError` (error, shardId) a shard stopped, it is restarted unless the close code rules that out.
+ * - `ready` every shard has been READY once.
+ * - `error` (GatewayError) a shard closed in a way no restart fixes, only emitted when listened to.
+ * - `debug` (message)
+ *
+ * @param {object} gateway the client's Gateway module.
+ * @param {object} options connection options for every shard (intents, presence, ...), see `Gateway.create()`, plus:
+ * @param {number|string} [options.totalShards] shard count, `'auto'` (default) uses Discord's recommendation.
+ * @param {array} [options.shardIds] ids of the shards this process runs, all of them by default.
+ * @returns {EventEmitter} manager
+ */
+function createShardManager(gateway, options = {}) {
+  const manager = new EventEmitter();
+  const { totalShards = 'auto', shardIds, ...connectionOptions } = options;
+
+  const shards = new Map(); // shard id -> connection
+  const state = {
+    url: null,
+    total: 0,
+    maxConcurrency: 1,
+    session: { remaining: Infinity, reset: 0 },
+    buckets: new Map(), // rate limit key -> tail of the identify chain
+    restarts: new Map(), // shard id -> restart timer
+    spawned: false,
+    destroyed: false,
+  };
+
+  const debug = (message) => manager.emit('debug', `[shards] ${message}`);
+
+  async function refresh() {
+    const info = await gateway.getGatewayBot();
+    state.url = info.url;
+    state.total = totalShards === 'auto' ? info.shards : totalShards;
+    state.maxConcurrency = info.session_start_limit.max_concurrency || 1;
+    state.session = {
+      remaining: info.session_start_limit.remaining,
+      reset: Date.now() + info.session_start_limit.reset_after,
+    };
+  }
+
+  /**
+   * Waits for a free session start, refreshing the limit once it has reset.
+   */
+  async function sessionStart() {
+    while (state.session.remaining <= 0) {
+      const wait = state.session.reset - Date.now();
+      debug(`Session start limit reached, waiting ${wait}ms`);
+      if (wait > 0) await sleep(wait);
+      const info = await gateway.getGatewayBot();
+      state.session = {
+        remaining: info.session_start_limit.remaining,
+        reset: Date.now() + info.session_start_limit.reset_after,
+      };
+    }
+    state.session.remaining--;
+  }
+
+  /**
+   * Passed to every connection as `beforeIdentify`: one identify per rate limit key every 5 seconds.
+   */
+  function beforeIdentify(shardId) {
+    const key = shardId % state.maxConcurrency;
+    const turn = (state.buckets.get(key) ?? Promise.resolve()).then(sessionStart);
+    state.buckets.set(key, turn.then(() => sleep(IDENTIFY_INTERVAL), () => { }));
+    return turn;
+  }
+
+  function fail(error) {
+    if (manager.listenerCount('error')) manager.emit('error', error);
+  }
+
+  function launch(id) {
+    const connection = gateway.create({
+      ...connectionOptions,
+      url: state.url,
+      shard: [id, state.total],
+      beforeIdentify,
+    });
+    shards.set(id, connection);
+
+    connection.on('debug', (message) => manager.emit('debug', message));
+    connection.on('dispatch', (payload) => {
+      manager.emit('dispatch', payload, id);
+      manager.emit(payload.t, payload.d, id);
+    });
+    connection.on('ready', (data) => manager.emit('shardReady', data, id));
+    connection.on('resumed', () => manager.emit('shardResumed', id));
+    connection.on('reconnecting', (info) => manager.emit('shardReconnecting', info, id));
+    connection.on('close', (info) => manager.emit('shardClose', info, id));
+    connection.on('error', (error) => {
+      if (shards.get(id) !== connection || state.destroyed) return;
+      manager.emit('shardError', error, id);
+      if (RESHARD_CLOSE_CODES.includes(error.code)) {
+        debug(`Shard ${id} closed with ${error.code}, respawning all shards`);
+        respawn().catch(fail);
+      } else if (GIVE_UP_CLOSE_CODES.includes(error.code)) {
+        fail(error);
+      } else {
+        schedule(id);
+      }
+    });
+
+    return connection.connect();
+  }
+
+  /**
+   * Resolves once a shard is READY, rejects if it stops for good first.
+   */
+  function ready(id) {
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        manager.off('shardReady', onReady);
+        manager.off('shardError', onError);
+      };
+      const onReady = (data, shardId) => {
+        if (shardId !== id) return;
+        cleanup();
+        resolve();
+      };
+      const onError = (error, shardId) => {
+        if (shardId !== id || !GIVE_UP_CLOSE_CODES.includes(error.code)) return;
+        cleanup();
+        reject(error);
+      };
+      manager.on('shardReady', onReady);
+      manager.on('shardError', onError);
+    });
+  }
+
+  function schedule(id) {
+    if (state.restarts.has(id) || state.destroyed) return;
+    debug(`Restarting shard ${id} in ${RESTART_DELAY}ms`);
+    state.restarts.set(id, setTimeout(() => {
+      state.restarts.delete(id);
+      manager.restart(id).catch(() => shards.has(id) && schedule(id));
+    }, RESTART_DELAY));
+  }
+
+  function stop(id) {
+    const connection = shards.get(id);
+    if (!connection) return;
+    shards.delete(id);
+    connection.removeAllListeners();
+    connection.on('error', () => { });
+    connection.destroy();
+  }
+
+  function guildShard(guild_id) {
+    const id = manager.shardFor(guild_id);
+    const connection = shards.get(id);
+    if (!connection) throw new GatewayError(`Shard ${id} for guild ${guild_id} is not running in this process`, { shard: id });
+    return connection;
+  }
+
+  async function respawn() {
+    for (const id of [...shards.keys()]) stop(id);
+    state.spawned = false;
+    await manager.spawn();
+  }
+
+  // defineProperties rather than Object.assign, which would read the getters once and copy their values
+  Object.defineProperties(manager, Object.getOwnPropertyDescriptors({
+    /**
+     * Starts every shard, resolves once all of them are READY.
+     *
+     * @returns {Promise<EventEmitter>} manager
+     */
+    async spawn() {
+      if (state.spawned) return manager;
+      state.spawned = true;
+      state.destroyed = false;
+      await refresh();
+      const ids = shardIds ?? [...Array(state.total).keys()];
+      debug(`Spawning ${ids.length} of ${state.total} shards, max concurrency ${state.maxConcurrency}`);
+      // a shard that fails on the way up is restarted, spawn only gives up on close codes no restart fixes
+      await Promise.all(ids.map((id) => launch(id).catch((error) => {
+        if (GIVE_UP_CLOSE_CODES.includes(error.code) || state.destroyed) throw error;
+        return ready(id);
+      })));
+      manager.emit('ready');
+      return manager;
+    },
+
+    /**
+     * Destroys a single shard and starts it again.
+     *
+     * @param {number} id shard id
+     * @returns {Promise<EventEmitter>} the new connection, once READY
+     */
+    async restart(id) {
+      stop(id);
+      return launch(id);
+    },
+
+    /**
+     * Destroys every shard.
+     */
+    destroy() {
+      state.destroyed = true;
+      state.spawned = false;
+      for (const timer of state.restarts.values()) clearTimeout(timer);
+      state.restarts.clear();
+      for (const id of [...shards.keys()]) stop(id);
+    },
+
+    /**
+     * Sends a gateway command on every shard.
+     *
+     * @param {object} payload `{ op, d }`
+     */
+    broadcast(payload) {
+      for (const connection of shards.values()) connection.send(payload);
+    },
+
+    /**
+     * Updates the presence on every shard, shards started later identify with it too.
+     *
+     * @param {object} presence see `setPresence()` of a connection
+     */
+    setPresence(presence) {
+      connectionOptions.presence = presence;
+      for (const connection of shards.values()) connection.setPresence(presence);
+    },
+
+    /**
+     * Updates the voice state through the shard the guild lives on.
+     *
+     * @param {object} params see `updateVoiceState()` of a connection
+     */
+    updateVoiceState(params) {
+      guildShard(params.guild_id).updateVoiceState(params);
+    },
+
+    /**
+     * Requests guild members through the shard the guild lives on.
+     *
+     * @param {object} params see `requestGuildMembers()` of a connection
+     * @returns {Promise<object>} `{ guild_id, members, presences, not_found }`
+     */
+    async requestGuildMembers(params) {
+      return guildShard(params.guild_id).requestGuildMembers(params);
+    },
+
+    /**
+     * Returns the id of the shard that receives events for a guild.
+     *
+     * @param {string} guild_id
+     * @returns {number} shard id
+     */
+    shardFor(guild_id) {
+      return Number((BigInt(guild_id) >> 22n) % BigInt(state.total || 1));
+    },
+
+    /**
+     * Returns the connection of a shard.
+     *
+     * @param {number} id shard id
+     * @returns {EventEmitter|undefined}
+     */
+    shard(id) {
+      return shards.get(id);
+    },
+
+    /**
+     * Status and latency of every shard: `[{ id, status, ping }]`
+     */
+    get status() {
+      return [...shards.entries()].map(([id, connection]) => ({
+        id,
+        status: connection.status,
+        ping: connection.ping,
+      }));
+    },
+
+    /**
+     * Average heartbeat latency over the shards that have one, -1 when none have.
+     */
+    get ping() {
+      const pings = [...shards.values()].map((connection) => connection.ping).filter((ping) => ping >= 0);
+      return pings.length ? Math.round(pings.reduce((a, b) => a + b, 0) / pings.length) : -1;
+    },
+
+    get totalShards() {
+      return state.total;
+    },
+  }));
+
+  return manager;
+}
+
+module.exports = {
+  createShardManager,
+};
@@ -1,6 +1,33 @@
-const https = require(`../utils/https`);
+/**
+ * Sends the message of a DM to its freshly created channel, the same payload as `Channels.messageCreate`.
+ * `files` are uploaded as multipart/form-data.
+ */
+async function messageCreate(https, channel_id, params) {
+    const form = await https.encode(params.payload_json ?? {
+        content: params.content,
+        tts: params.tts,
+        embeds: params.embeds ?? params.embed,
+        allowed_mentions: params.allowed_mentions,
+        message_reference: params.message_reference,
+        components: params.components,
+        sticker_ids: params.sticker_ids,
+        attachments: params.attachments,
+        flags: params.flags,
+    }, params.files);
+    if (
+        (dm = await https.post({
+            path: encodeURI(`/channels/${channel_id}/messages`),
+            headers: form.headers,
+            body: form.body,
+        }))
+    ) return dm.data;
+    else return false;
+}
 
-module.exports = {
+/**
+ * @param {object} https request methods bound to a client, see `createClient()`.
+ */
+module.exports = (https) => ({
     /* 
     Get Current User
     GET /users/@me
@@ -8,18 +35,10 @@ module.exports = {
     which will return the object without an email, and optionally the email scope, which returns the object with an email. */
 
     async getCurrentUser(params) {
-        try{
-            if (attempt = await https.get({
-                url: encodeURI(`discord.com`),
-                path: encodeURI(`/api/users/@me`),
-                headers: {
-                    'Content-Type': 'application/json',
-                    Authorization: `Bot ${process.env.token}`,
-                },
-                body: '',
-            })) return JSON.parse(attempt.body);
-            else return false;
-        }catch(e){console.log(e)}
+        if (attempt = await https.get({
+            path: encodeURI(`/users/@me`),
+        })) return attempt.data;
+        else return false;
     }, //End getCurrentUser
 
     /*
@@ -28,14 +47,8 @@ module.exports = {
     Returns a user object for a given user ID. */
     async getUser(params) {
         if (attempt = await https.get({
-            url: encodeURI(`discord.com`),
-            path: encodeURI(`/api/users/${params.user_id}`),
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bot ${process.env.token}`,
-            },
-            body: '',
-        })) return JSON.parse(attempt.body);
+            path: encodeURI(`/users/${params.user_id}`),
+        })) return attempt.data;
         else return false;
     }, //End getUser
 
@@ -44,23 +57,16 @@ module.exports = {
     PATCH /users/@me
     Modify the requester's user account settings. Returns a user object on success. Fires a User Update Gateway event. */
     async modifyCurrentUser(params) {
-        try{
-            if (
-                (attempt = await https.patch({
-                    url: encodeURI(`discord.com`),
-                    path: encodeURI(`/api/users/@me`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        "username" : params.usernamem,
-                        "avatar" : params.avatar
-                    }),
-                }))
-            ) return JSON.parse(attempt.body);
-            else return false;  
-        }catch(e){console.log(e)}
+        if (
+            (attempt = await https.patch({
+                path: encodeURI(`/users/@me`),
+                body: {
+                    "username" : params.usernamem,
+                    "avatar" : params.avatar
+                },
+            }))
+        ) return attempt.data;
+        else return false;  
     }, // END modifyCurrentUser
 
     /*
@@ -69,14 +75,8 @@ module.exports = {
     Returns a list of partial guild objects the current user is a member of. Requires the guilds OAuth2 scope. */
     async getCurrentUserGuilds(params) {
         if (attempt = await https.get({
-            url: encodeURI(`discord.com`),
-            path: encodeURI(`/api/users/@me/guilds`),
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bot ${process.env.token}`,
-            },
-            body: '',
-        })) return JSON.parse(attempt.body);
+            path: encodeURI(`/users/@me/guilds`),
+        })) return attempt.data;
         else return false;
     }, //End getCurrentUserGuilds
 
@@ -86,14 +86,8 @@ module.exports = {
     Returns a guild member object for the current user. Requires the guilds.members.read OAuth2 scope. */
     async getCurrentUserGuildMember(params) {
         if (attempt = await https.get({
-            url: encodeURI(`discord.com`),
-            path: encodeURI(`/api/users/@me/guilds/${params.guild_id}/member`),
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bot ${process.env.token}`,
-            },
-            body: '',
-        })) return JSON.parse(attempt.body);
+            path: encodeURI(`/users/@me/guilds/${params.guild_id}/member`),
+        })) return attempt.data;
         else return false;
     }, //End getCurrentUserGuildMember
 
@@ -102,71 +96,31 @@ module.exports = {
     DELETE /users/@me/guilds/{guild.id}
     Leave a guild. Returns a 204 empty response on success. */
     async leaveGuild(params){
-        try{
-            if (attempt = await https.del({
-                url: encodeURI(`discord.com`),
-                path: encodeURI(`/api/users/@me/guilds/${params.guild_id}`),
-                headers: {
-                    'Content-Type': 'application/json',
-                    Authorization: `Bot ${process.env.token}`,
-                },
-                body: '',
-            })) return attempt.statusCode == 204;
-            else return false;
-        }catch(e){console.log(e)}
+        if (attempt = await https.del({
+            path: encodeURI(`/users/@me/guilds/${params.guild_id}`),
+        })) return attempt.statusCode == 204;
+        else return false;
     }, // End leaveGuild
 
     /*
     Create DM
     POST /users/@me/channels
     Create a new DM channel with a user. Returns a DM channel object.
-    This also sends a message to the user */
+    This also sends a message to the user, `files` are uploaded as attachments (see Channels.messageCreate) */
     async createDM(params) {
-        try {
-            //let attempt;
-            if (
-                (attempt = await https.post({
-                    url: encodeURI(`discord.com`),
-                    path: encodeURI(`/api/users/@me/channels`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        recipient_id: params.recipient_id,
-                    }),
-                }))
-            ) {
-                let parsed = JSON.parse(attempt.body);
-                console.log("Parsed Create DM Channel", parsed);
-                if (
-                    (dm = await https.post({
-                        url: encodeURI(`discord.com`),
-                        path: encodeURI(`/api/channels/${parsed.id}/messages`),
-                        headers: {
-                            'Content-Type': 'application/json',
-                            Authorization: `Bot ${process.env.token}`,
-                        },
-                        body: JSON.stringify({
-                            content: params.content,
-                            tts: params.tts,
-                            embeds: params.embeds ?? params.embed,
-                            allowed_mentions: params.allowed_mentions,
-                            message_reference: params.message_reference,
-                            components: params.components,
-                            sticker_ids: params.sticker_ids,
-                            files: params.files,
-                            payload_json: params.payload_json,
-                            attachments: params.attachments,
-                            flags: params.flags,
-                        }),
-                    }))
-                ) return JSON.parse(dm.body);
-            }
-            else return false;
-        } catch (e) {
-            console.log(e);
+        //let attempt;
+        if (
+            (attempt = await https.post({
+                path: encodeURI(`/users/@me/channels`),
+                body: {
+                    recipient_id: params.recipient_id,
+                },
+            }))
+        ) {
+            let parsed = attempt.data;
+            return messageCreate(https, parsed.id, params);
         }
+        else return false;
     }, // End create DM
 
     /*
@@ -177,51 +131,20 @@ module.exports = {
     DMs created with this endpoint will not be shown in the Discord client */
 
     async createGroupDM(params) {
-        try {
-            //let attempt;
-            if (
-                (attempt = await https.post({
-                    url: encodeURI(`discord.com`),
-                    path: encodeURI(`/api/users/@me/channels`),
-                    headers: {
-                        'Content-Type': 'application/json',
-                        Authorization: `Bot ${process.env.token}`,
-                    },
-                    body: JSON.stringify({
-                        access_tokens : params.access_tokens,
-                        nicks: params.nicks
-                    }),
-                }))
-            ) {
-                let parsed = JSON.parse(attempt.body);
-                if (
-                    (dm = await https.post({
-                        url: encodeURI(`discord.com`),
-                        path: encodeURI(`/api/channels/${parsed.id}/messages`),
-                        headers: {
-                            'Content-Type': 'application/json',
-                            Authorization: `Bot ${process.env.token}`,
-                        },
-                        body: JSON.stringify({
-                            content: params.content,
-                            tts: params.tts,
-                            embeds: params.embeds ?? params.embed,
-                            allowed_mentions: params.allowed_mentions,
-                            message_reference: params.message_reference,
-                            components: params.components,
-                            sticker_ids: params.sticker_ids,
-                            files: params.files,
-                            payload_json: params.payload_json,
-                            attachments: params.attachments,
-                            flags: params.flags,
-                        }),
-                    }))
-                ) return JSON.parse(dm.body);
-            }
-            else return false;
-        } catch (e) {
-            console.log(e);
+        //let attempt;
+        if (
+            (attempt = await https.post({
+                path: encodeURI(`/users/@me/channels`),
+                body: {
+                    access_tokens : params.access_tokens,
+                    nicks: params.nicks
+                },
+            }))
+        ) {
+            let parsed = attempt.data;
+            return messageCreate(https, parsed.id, params);
         }
+        else return false;
     }, // End createGroupDM
 
     /*
@@ -230,16 +153,10 @@ module.exports = {
     Returns a list of connection objects. Requires the connections OAuth2 scope. */
     async getUserConnections(params) {
         if (attempt = await https.get({
-            url: encodeURI(`discord.com`),
-            path: encodeURI(`/api/users/@me/connections`),
-            headers: {
-                'Content-Type': 'application/json',
-                Authorization: `Bot ${process.env.token}`,
-            },
-            body: '',
-        })) return JSON.parse(attempt.body);
+            path: encodeURI(`/users/@me/connections`),
+        })) return attempt.data;
         else return false;
     }, //End getUser
     
 
-}; // End Module Exports
+}); // End Module Exports
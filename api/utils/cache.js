@@ -0,0 +1,245 @@
+/**
+ * Entity cache for guilds, channels, roles and members, filled from REST responses and gateway events.
+ *
+ * Every entity lives in a store of its own:
+ * - `guilds` guild objects by guild id.
+ * - `channels` the channel list of a guild by guild id.
+ * - `roles` the role list of a guild by guild id.
+ * - `members` member objects by `guild_id:user_id`.
+ */
+
+// Default time to live and size limit of every entity.
+const ENTITIES = {
+  guilds: { ttl: 60 * 60 * 1000, max: 1000 },
+  channels: { ttl: 60 * 60 * 1000, max: 1000 },
+  roles: { ttl: 60 * 60 * 1000, max: 1000 },
+  members: { ttl: 10 * 60 * 1000, max: 10000 },
+};
+
+/**
+ * In-memory store: least recently used entries are dropped beyond `max`, entries expire after their ttl.
+ * Values are copied in and out, so callers can't change what is cached by accident.
+ *
+ * Any store with the same async methods can take its place, e.g. one backed by Redis.
+ *
+ * @param {object} [options]
+ * @param {number} [options.max] most entries kept, unlimited when omitted
+ * @returns {object} store `{ get(key), set(key, value, ttl), delete(key), clear(prefix) }`
+ */
+function memoryStore(options = {}) {
+  const entries = new Map(); // key -> { value, expires }, in least recently used first order
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expires <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+    async set(key, value, ttl) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expires: ttl ? Date.now() + ttl : Infinity });
+      while (options.max && entries.size > options.max) entries.delete(entries.keys().next().value);
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async clear(prefix = '') {
+      for (const key of [...entries.keys()]) if (key.startsWith(prefix)) entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Creates a cache.
+ *
+ * example:
+ * ```js
+ * const bot = createClient({
+ *   token,
+ *   cache: { members: { ttl: 60000, max: 50000 }, store: (entity, limits) => redisStore(`bot:${entity}`, limits) },
+ * });
+ * bot.cache.listen(gateway);
+ * await bot.Guilds.getGuild({ guild_id }); // network
+ * await bot.Guilds.getGuild({ guild_id }); // cache
+ * await bot.Guilds.getGuild({ guild_id, force: true }); // network again
+ * ```
+ *
+ * @param {object|boolean} [options] `false` turns caching off
+ * @param {object} [options.guilds] `{ ttl, max }` for guilds, the same for `channels`, `roles` and `members`
+ * @param {Function} [options.store] `(entity, { ttl, max }) => store`, `memoryStore()` by default
+ * @returns {object} cache
+ */
+function createCache(options = {}) {
+  const enabled = options !== false;
+  const limits = {};
+  const stores = {};
+  for (const [entity, defaults] of Object.entries(ENTITIES)) {
+    limits[entity] = { ...defaults, ...options?.[entity] };
+    stores[entity] = options?.store ? options.store(entity, limits[entity]) : memoryStore(limits[entity]);
+  }
+
+  const cache = {
+    enabled,
+
+    /**
+     * Reads an entry, `undefined` when it is missing, expired or caching is off.
+     *
+     * @param {string} entity guilds, channels, roles or members
+     * @param {string} key
+     * @returns {Promise<*>}
+     */
+    async get(entity, key) {
+      if (!enabled) return undefined;
+      return stores[entity].get(key);
+    },
+
+    /**
+     * Writes an entry with the entity's ttl.
+     *
+     * @param {string} entity guilds, channels, roles or members
+     * @param {string} key
+     * @param {*} value
+     */
+    async set(entity, key, value) {
+      if (!enabled || value === undefined || value === null) return;
+      await stores[entity].set(key, value, limits[entity].ttl);
+    },
+
+    /**
+     * Removes an entry.
+     *
+     * @param {string} entity guilds, channels, roles or members
+     * @param {string} key
+     */
+    async delete(entity, key) {
+      if (!enabled) return;
+      await stores[entity].delete(key);
+    },
+
+    /**
+     * Removes every entry of an entity, or the ones whose key starts with `prefix`.
+     *
+     * @param {string} entity guilds, channels, roles or members
+     * @param {string} [prefix]
+     */
+    async clear(entity, prefix) {
+      if (!enabled) return;
+      await stores[entity].clear(prefix);
+    },
+
+    /**
+     * Runs `fetch` unless the entry is cached, and caches what it returns.
+     * `force` skips the cache read but still caches the fresh value.
+     *
+     * @param {string} entity guilds, channels, roles or members
+     * @param {string} key
+     * @param {Function} fetch `async () => value`
+     * @param {boolean} [force]
+     * @returns {Promise<*>}
+     */
+    async through(entity, key, fetch, force = false) {
+      if (!force) {
+        const cached = await cache.get(entity, key);
+        if (cached !== undefined) return cached;
+      }
+      const value = await fetch();
+      if (value) await cache.set(entity, key, value);
+      return value;
+    },
+
+    /**
+     * Updates the cached list of a guild's channels or roles, lists that aren't cached are left alone:
+     * a partial list would pass for the whole one.
+     */
+    async patchList(entity, guild_id, id, item) {
+      const list = await cache.get(entity, guild_id);
+      if (!list) return;
+      const rest = list.filter((entry) => entry.id !== id);
+      await cache.set(entity, guild_id, item ? [...rest, item] : rest);
+    },
+
+    /**
+     * Applies a gateway dispatch to the cache.
+     *
+     * @param {string} event dispatch name, e.g. `GUILD_CREATE`
+     * @param {object} data dispatch data
+     */
+    async apply(event, data) {
+      if (!enabled) return;
+      switch (event) {
+        case 'GUILD_CREATE':
+        case 'GUILD_UPDATE': {
+          if (data.unavailable) return;
+          const { channels, threads, members, presences, voice_states, ...guild } = data;
+          if (event === 'GUILD_UPDATE') Object.assign(guild, { ...await cache.get('guilds', data.id), ...guild });
+          await cache.set('guilds', data.id, guild);
+          if (data.roles) await cache.set('roles', data.id, data.roles);
+          if (channels) await cache.set('channels', data.id, channels.map((channel) => ({ ...channel, guild_id: data.id })));
+          for (const member of members ?? []) await cache.set('members', `${data.id}:${member.user.id}`, member);
+          return;
+        }
+        case 'GUILD_DELETE':
+          await cache.delete('guilds', data.id);
+          if (data.unavailable) return; // an outage, the guild comes back with GUILD_CREATE
+          await cache.delete('roles', data.id);
+          await cache.delete('channels', data.id);
+          await cache.clear('members', `${data.id}:`);
+          return;
+        case 'GUILD_ROLE_CREATE':
+        case 'GUILD_ROLE_UPDATE':
+          return cache.patchList('roles', data.guild_id, data.role.id, data.role);
+        case 'GUILD_ROLE_DELETE':
+          return cache.patchList('roles', data.guild_id, data.role_id);
+        case 'CHANNEL_CREATE':
+        case 'CHANNEL_UPDATE':
+          if (data.guild_id) return cache.patchList('channels', data.guild_id, data.id, data);
+          return;
+        case 'CHANNEL_DELETE':
+          if (data.guild_id) return cache.patchList('channels', data.guild_id, data.id);
+          return;
+        case 'GUILD_MEMBER_ADD':
+          return cache.set('members', `${data.guild_id}:${data.user.id}`, data);
+        case 'GUILD_MEMBER_UPDATE': {
+          // updates carry most but not all member fields, e.g. no `deaf`/`mute`, so they only
+          // complete a member that is already cached
+          const key = `${data.guild_id}:${data.user.id}`;
+          const member = await cache.get('members', key);
+          if (member) await cache.set('members', key, { ...member, ...data });
+          return;
+        }
+        case 'GUILD_MEMBER_REMOVE':
+          return cache.delete('members', `${data.guild_id}:${data.user.id}`);
+        case 'GUILD_MEMBERS_CHUNK':
+          for (const member of data.members) await cache.set('members', `${data.guild_id}:${member.user.id}`, member);
+          return;
+      }
+    },
+
+    /**
+     * Keeps the cache up to date from a gateway connection or shard manager.
+     *
+     * @param {EventEmitter} gateway connection from `Gateway.create()` or manager from `Gateway.shards()`
+     * @returns {Function} stops listening
+     */
+    listen(gateway) {
+      // applied one after another, two updates to the same list must not race
+      let queue = Promise.resolve();
+      const onDispatch = (payload) => {
+        // the cache is best effort, a failing store must not get in the way of event handling
+        queue = queue.then(() => cache.apply(payload.t, payload.d)).catch(() => { });
+      };
+      gateway.on('dispatch', onDispatch);
+      return () => gateway.off('dispatch', onDispatch);
+    },
+  };
+
+  return cache;
+}
+
+module.exports = {
+  createCache,
+  memoryStore,
+  ENTITIES,
+};
@@ -0,0 +1,361 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * MESSAGE COMPONENTS
+ * https://discord.com/developers/docs/interactions/message-components
+ *
+ * Every builder returns the plain JSON Discord expects, ready for `components` of `messageCreate`,
+ * `reply`, `component_update` or `modal_reply`, and throws a `ValidationError` when a limit is broken.
+ */
+
+// https://discord.com/developers/docs/interactions/message-components#component-object-component-types
+const TYPES = {
+  ACTION_ROW: 1,
+  BUTTON: 2,
+  STRING_SELECT: 3,
+  TEXT_INPUT: 4,
+  USER_SELECT: 5,
+  ROLE_SELECT: 6,
+  MENTIONABLE_SELECT: 7,
+  CHANNEL_SELECT: 8,
+};
+
+// https://discord.com/developers/docs/interactions/message-components#button-object-button-styles
+const BUTTON_STYLES = {
+  primary: 1,
+  secondary: 2,
+  success: 3,
+  danger: 4,
+  link: 5,
+  premium: 6,
+};
+
+// https://discord.com/developers/docs/interactions/message-components#text-input-object-text-input-styles
+const TEXT_INPUT_STYLES = {
+  short: 1,
+  paragraph: 2,
+};
+
+const LIMITS = {
+  rows: 5,
+  buttonsPerRow: 5,
+  custom_id: 100,
+  buttonLabel: 80,
+  selectOptions: 25,
+  optionLabel: 100,
+  optionValue: 100,
+  optionDescription: 100,
+  selectPlaceholder: 150,
+  textInputLabel: 45,
+  textInputLength: 4000,
+  textInputPlaceholder: 100,
+  modalTitle: 45,
+};
+
+const SELECT_TYPES = [TYPES.STRING_SELECT, TYPES.USER_SELECT, TYPES.ROLE_SELECT, TYPES.MENTIONABLE_SELECT, TYPES.CHANNEL_SELECT];
+
+const fail = (message, path) => {
+  throw new ValidationError(message, { path });
+};
+const join = (path, key) => (path ? `${path}.${key}` : String(key));
+
+function text(value, max, path, required = false) {
+  if (value === undefined || value === null) {
+    if (required) fail('is required', path);
+    return;
+  }
+  if (typeof value !== 'string') fail('must be a string', path);
+  if (required && !value.length) fail('must not be empty', path);
+  if (value.length > max) fail(`must be ${max} or fewer characters, got ${value.length}`, path);
+}
+
+function range(value, min, max, path) {
+  if (value === undefined || value === null) return;
+  if (!Number.isInteger(value) || value < min || value > max) fail(`must be an integer from ${min} to ${max}`, path);
+}
+
+function style(value, styles, path) {
+  const resolved = typeof value === 'string' ? styles[value.toLowerCase()] : value;
+  if (!Object.values(styles).includes(resolved)) fail(`unknown style ${value}, use one of ${Object.keys(styles).join(', ')}`, path);
+  return resolved;
+}
+
+/**
+ * Emoji as components take them: `{ id, name, animated }`. Accepts a unicode emoji or `<:name:id>`.
+ */
+function emoji(value) {
+  if (!value || typeof value === 'object') return value;
+  const custom = /^<(a?):([\w~-]+):(\d+)>$/.exec(value);
+  return custom ? { id: custom[3], name: custom[2], animated: Boolean(custom[1]) } : { name: value };
+}
+
+function validateButton(button, path) {
+  const link = button.style === BUTTON_STYLES.link;
+  const premium = button.style === BUTTON_STYLES.premium;
+  text(button.label, LIMITS.buttonLabel, join(path, 'label'));
+  if (link) {
+    if (!button.url) fail('link buttons need a url', path);
+    if (button.custom_id !== undefined) fail('link buttons can not have a custom_id', path);
+  } else if (premium) {
+    if (!button.sku_id) fail('premium buttons need a sku_id', path);
+    if (button.custom_id !== undefined || button.url !== undefined || button.label !== undefined || button.emoji !== undefined)
+      fail('premium buttons only take a sku_id', path);
+  } else {
+    text(button.custom_id, LIMITS.custom_id, join(path, 'custom_id'), true);
+    if (button.url !== undefined) fail('only link buttons can have a url', path);
+  }
+  if (!premium && !button.label && !button.emoji) fail('buttons need a label or an emoji', path);
+}
+
+function validateSelect(select, path) {
+  text(select.custom_id, LIMITS.custom_id, join(path, 'custom_id'), true);
+  text(select.placeholder, LIMITS.selectPlaceholder, join(path, 'placeholder'));
+  range(select.min_values, 0, LIMITS.selectOptions, join(path, 'min_values'));
+  range(select.max_values, 1, LIMITS.selectOptions, join(path, 'max_values'));
+  if ((select.min_values ?? 1) > (select.max_values ?? 1))
+    fail('min_values can not be more than max_values', path);
+
+  if (select.type === TYPES.STRING_SELECT) {
+    const options = select.options ?? [];
+    if (!options.length) fail('string selects need at least one option', join(path, 'options'));
+    if (options.length > LIMITS.selectOptions) fail(`at most ${LIMITS.selectOptions} options, got ${options.length}`, join(path, 'options'));
+    const values = new Set();
+    options.forEach((option, i) => {
+      const at = join(join(path, 'options'), i);
+      text(option.label, LIMITS.optionLabel, join(at, 'label'), true);
+      text(option.value, LIMITS.optionValue, join(at, 'value'), true);
+      text(option.description, LIMITS.optionDescription, join(at, 'description'));
+      if (values.has(option.value)) fail(`duplicate value ${option.value}`, at);
+      values.add(option.value);
+    });
+    if ((select.max_values ?? 1) > options.length) fail(`max_values can not be more than the ${options.length} options`, join(path, 'max_values'));
+  } else if (select.options !== undefined) {
+    fail('only string selects take options', join(path, 'options'));
+  }
+
+  if (select.default_values !== undefined) {
+    if (select.type === TYPES.STRING_SELECT) fail('string selects mark defaults on their options', join(path, 'default_values'));
+    const count = select.default_values.length;
+    if (count < (select.min_values ?? 1) || count > (select.max_values ?? 1))
+      fail('the number of default_values must be between min_values and max_values', join(path, 'default_values'));
+  }
+}
+
+function validateTextInput(input, path) {
+  text(input.custom_id, LIMITS.custom_id, join(path, 'custom_id'), true);
+  text(input.label, LIMITS.textInputLabel, join(path, 'label'), true);
+  range(input.min_length, 0, LIMITS.textInputLength, join(path, 'min_length'));
+  range(input.max_length, 1, LIMITS.textInputLength, join(path, 'max_length'));
+  if (input.min_length !== undefined && input.max_length !== undefined && input.min_length > input.max_length)
+    fail('min_length can not be more than max_length', path);
+  text(input.value, input.max_length ?? LIMITS.textInputLength, join(path, 'value'));
+  text(input.placeholder, LIMITS.textInputPlaceholder, join(path, 'placeholder'));
+}
+
+function validateComponent(component, path) {
+  if (component.type === TYPES.BUTTON) return validateButton(component, path);
+  if (SELECT_TYPES.includes(component.type)) return validateSelect(component, path);
+  if (component.type === TYPES.TEXT_INPUT) return validateTextInput(component, path);
+  fail(`unknown component type ${component.type}`, join(path, 'type'));
+}
+
+function validateRow(row, path, modal = false) {
+  if (row?.type !== TYPES.ACTION_ROW) fail('top level components must be action rows', path);
+  const children = row.components ?? [];
+  if (!children.length) fail('action rows need at least one component', join(path, 'components'));
+  children.forEach((component, i) => validateComponent(component, join(join(path, 'components'), i)));
+
+  const buttons = children.filter((c) => c.type === TYPES.BUTTON).length;
+  if (buttons && buttons !== children.length) fail('action rows hold either buttons or a single select or text input', join(path, 'components'));
+  if (buttons > LIMITS.buttonsPerRow) fail(`at most ${LIMITS.buttonsPerRow} buttons per row, got ${buttons}`, join(path, 'components'));
+  if (!buttons && children.length > 1) fail('action rows hold a single select or text input', join(path, 'components'));
+
+  const inputs = children.some((c) => c.type === TYPES.TEXT_INPUT);
+  if (inputs && !modal) fail('text inputs only go in modals', join(path, 'components'));
+  if (modal && !inputs) fail('modals only take text inputs', join(path, 'components'));
+}
+
+/**
+ * Validates a `components` array, handy for hand-assembled JSON as well: at most 5 action rows,
+ * every component within its limits, `custom_id`s unique.
+ *
+ * @param {array} components action rows
+ * @param {object} [options]
+ * @param {boolean} [options.modal] validate modal rows (text inputs) instead of message rows
+ * @param {string} [options.path] path prefix for error messages, `components` by default
+ * @returns {array} the components, unchanged
+ */
+function validate(components, options = {}) {
+  const path = options.path ?? 'components';
+  if (!Array.isArray(components)) fail('must be an array of action rows', path);
+  if (components.length > LIMITS.rows) fail(`at most ${LIMITS.rows} action rows, got ${components.length}`, path);
+  if (options.modal && !components.length) fail('modals need at least one action row', path);
+  const ids = new Set();
+  components.forEach((row, r) => {
+    validateRow(row, join(path, r), options.modal);
+    row.components.forEach((component, c) => {
+      if (component.custom_id === undefined) return;
+      if (ids.has(component.custom_id)) fail(`duplicate custom_id ${component.custom_id}`, join(join(join(path, r), 'components'), c));
+      ids.add(component.custom_id);
+    });
+  });
+  return components;
+}
+
+/**
+ * An action row.
+ *
+ * example:
+ * ```js
+ * const { actionRow, button } = api.Utils.Components;
+ * await api.Discord.Channels.messageCreate({
+ *   channel_id,
+ *   content: 'Keep this suggestion?',
+ *   components: [actionRow(
+ *     button({ style: 'success', label: 'Yes', custom_id: 'vote:42:yes' }),
+ *     button({ style: 'danger', label: 'No', custom_id: 'vote:42:no' }),
+ *     button({ style: 'link', label: 'Guidelines', url: 'https://example.com/rules' }),
+ *   )],
+ * });
+ * ```
+ *
+ * @param {...object} components up to 5 buttons, or one select, or one text input
+ * @returns {object} `{ type: 1, components }`
+ */
+function actionRow(...components) {
+  const row = { type: TYPES.ACTION_ROW, components: components.flat() };
+  validateRow(row, '', row.components.some((c) => c.type === TYPES.TEXT_INPUT));
+  return row;
+}
+
+/**
+ * A button.
+ *
+ * @param {object} params
+ * @param {string|number} [params.style] primary (default), secondary, success, danger, link or premium
+ * @param {string} [params.label] up to 80 characters
+ * @param {string} [params.custom_id] up to 100 characters, all styles but link and premium
+ * @param {string} [params.url] link buttons only
+ * @param {string} [params.sku_id] premium buttons only
+ * @param {string|object} [params.emoji] unicode emoji, `<:name:id>` or `{ id, name, animated }`
+ * @param {boolean} [params.disabled]
+ * @returns {object} button component
+ */
+function button(params) {
+  const component = {
+    type: TYPES.BUTTON,
+    style: style(params.style ?? 'primary', BUTTON_STYLES, 'style'),
+    label: params.label,
+    custom_id: params.custom_id,
+    url: params.url,
+    sku_id: params.sku_id,
+    emoji: emoji(params.emoji),
+    disabled: params.disabled,
+  };
+  for (const key of Object.keys(component)) if (component[key] === undefined) delete component[key];
+  validateButton(component, '');
+  return component;
+}
+
+function select(type) {
+  return (params) => {
+    const component = {
+      type,
+      custom_id: params.custom_id,
+      placeholder: params.placeholder,
+      min_values: params.min_values,
+      max_values: params.max_values,
+      disabled: params.disabled,
+      options: type === TYPES.STRING_SELECT
+        ? params.options?.map((option) => ({ ...option, emoji: emoji(option.emoji) }))
+        : params.options,
+      channel_types: params.channel_types,
+      default_values: params.default_values,
+    };
+    for (const key of Object.keys(component)) if (component[key] === undefined) delete component[key];
+    for (const option of component.options ?? []) if (option.emoji === undefined) delete option.emoji;
+    validateSelect(component, '');
+    return component;
+  };
+}
+
+/**
+ * A text input, modals only.
+ *
+ * @param {object} params
+ * @param {string} params.custom_id up to 100 characters
+ * @param {string} params.label up to 45 characters
+ * @param {string|number} [params.style] short (default) or paragraph
+ * @param {number} [params.min_length] 0 - 4000
+ * @param {number} [params.max_length] 1 - 4000
+ * @param {boolean} [params.required]
+ * @param {string} [params.value] prefilled value
+ * @param {string} [params.placeholder] up to 100 characters
+ * @returns {object} text input component
+ */
+function textInput(params) {
+  const component = {
+    type: TYPES.TEXT_INPUT,
+    custom_id: params.custom_id,
+    style: style(params.style ?? 'short', TEXT_INPUT_STYLES, 'style'),
+    label: params.label,
+    min_length: params.min_length,
+    max_length: params.max_length,
+    required: params.required,
+    value: params.value,
+    placeholder: params.placeholder,
+  };
+  for (const key of Object.keys(component)) if (component[key] === undefined) delete component[key];
+  validateTextInput(component, '');
+  return component;
+}
+
+/**
+ * Modal input for `Interactions.callback.modal_reply()`. Bare text inputs are wrapped in action rows.
+ *
+ * example:
+ * ```js
+ * const { modal, textInput } = api.Utils.Components;
+ * await api.Discord.Interactions.callback.modal_reply(interaction, modal({
+ *   custom_id: `report:${message.id}`,
+ *   title: 'Report message',
+ *   components: [textInput({ custom_id: 'reason', label: 'Why?', style: 'paragraph', max_length: 500 })],
+ * }));
+ * ```
+ *
+ * @param {object} params
+ * @param {string} params.custom_id up to 100 characters
+ * @param {string} params.title up to 45 characters
+ * @param {array} params.components 1 - 5 text inputs or action rows holding one
+ * @returns {object} `{ custom_id, title, components }`
+ */
+function modal(params) {
+  text(params.custom_id, LIMITS.custom_id, 'custom_id', true);
+  text(params.title, LIMITS.modalTitle, 'title', true);
+  const components = (params.components ?? []).map((component) =>
+    component.type === TYPES.TEXT_INPUT ? { type: TYPES.ACTION_ROW, components: [component] } : component);
+  validate(components, { modal: true });
+  return { custom_id: params.custom_id, title: params.title, components };
+}
+
+module.exports = {
+  actionRow,
+  button,
+  /**
+   * Select menus, each takes `{ custom_id, placeholder, min_values, max_values, disabled }`.
+   * String selects take up to 25 `options` of `{ label, value, description, emoji, default }`,
+   * the others `default_values` of `{ id, type }` and channel selects `channel_types`.
+   */
+  stringSelect: select(TYPES.STRING_SELECT),
+  userSelect: select(TYPES.USER_SELECT),
+  roleSelect: select(TYPES.ROLE_SELECT),
+  mentionableSelect: select(TYPES.MENTIONABLE_SELECT),
+  channelSelect: select(TYPES.CHANNEL_SELECT),
+  textInput,
+  modal,
+  validate,
+  TYPES,
+  BUTTON_STYLES,
+  TEXT_INPUT_STYLES,
+  LIMITS,
+};
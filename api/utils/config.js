@@ -0,0 +1,98 @@
+/**
+ * Where requests to the Discord API go.
+ *
+ * Every client reads these at request time, so `configure()` also redirects the default client.
+ * Options given to `createClient()` take precedence over them.
+ *
+ * - `protocol` `'https:'` or `'http:'`, plain http is meant for local stand-ins.
+ * - `host` API host name.
+ * - `port` defaults to 443 for https and 80 for http, `null` goes back to that default.
+ * - `basePath` path the API is mounted at.
+ * - `apiVersion` Discord API version, appended to `basePath` as `/v<version>`. `null` for unversioned.
+ */
+const defaults = {
+  protocol: 'https:',
+  host: 'discord.com',
+  port: undefined,
+  basePath: '/api',
+  apiVersion: 10,
+};
+
+const KEYS = ['protocol', 'host', 'port', 'basePath', 'apiVersion'];
+
+/**
+ * Picks the target fields out of an options object, expanding `baseUrl` into its parts.
+ * A base path ending in a version (`/api/v10`) sets `apiVersion` from it.
+ *
+ * @param {object} options any of `baseUrl`, `protocol`, `host`, `port`, `basePath`, `apiVersion`
+ * @returns {object} only the fields that were given
+ */
+function parse(options = {}) {
+  const fields = {};
+  if (options.baseUrl) {
+    const url = new URL(options.baseUrl);
+    fields.protocol = url.protocol;
+    fields.host = url.hostname;
+    fields.port = url.port ? Number(url.port) : undefined;
+    fields.basePath = url.pathname;
+  }
+  for (const key of KEYS)
+    if (options[key] !== undefined) fields[key] = options[key];
+
+  if (fields.protocol !== undefined) {
+    fields.protocol = fields.protocol.endsWith(':') ? fields.protocol : `${fields.protocol}:`;
+    if (!['https:', 'http:'].includes(fields.protocol))
+      throw new TypeError(`Unsupported protocol ${fields.protocol}, expected https: or http:`);
+  }
+  if (fields.basePath !== undefined) {
+    fields.basePath = fields.basePath.replace(/\/+$/, '');
+    // a version already in the path (`/api/v10`) is taken as the apiVersion, not appended again
+    const version = /\/v(\d+)$/.exec(fields.basePath);
+    if (version) {
+      if (options.apiVersion !== undefined && options.apiVersion !== null && Number(options.apiVersion) !== Number(version[1]))
+        throw new TypeError(`${options.baseUrl ?? options.basePath} names API v${version[1]}, but apiVersion is ${options.apiVersion}`);
+      fields.basePath = fields.basePath.slice(0, version.index);
+      fields.apiVersion = Number(version[1]);
+    }
+  }
+  return fields;
+}
+
+module.exports = {
+  defaults,
+
+  /**
+   * Changes where every client without its own settings sends requests.
+   *
+   * example:
+   * ```js
+   * // point the library at a local mock server
+   * api.configure({ baseUrl: 'http://localhost:8080/api', apiVersion: 10 });
+   * // the same
+   * api.configure({ baseUrl: 'http://localhost:8080/api/v10' });
+   * ```
+   *
+   * @param {object} options any of `baseUrl`, `protocol`, `host`, `port`, `basePath`, `apiVersion`
+   * @returns {object} the current defaults
+   */
+  configure(options = {}) {
+    return Object.assign(defaults, parse(options));
+  },
+
+  /**
+   * Resolves the full request target for a set of client options.
+   *
+   * @param {object} [options] client options, override the defaults
+   * @returns {object} { protocol, host, port, prefix, apiVersion }, where prefix is the base path plus version
+   */
+  resolve(options = {}) {
+    const target = { ...defaults, ...parse(options) };
+    return {
+      protocol: target.protocol,
+      host: target.host,
+      port: target.port ?? (target.protocol === 'http:' ? 80 : 443),
+      prefix: target.basePath + (target.apiVersion ? `/v${target.apiVersion}` : ''),
+      apiVersion: target.apiVersion,
+    };
+  },
+};
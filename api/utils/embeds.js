@@ -0,0 +1,332 @@
+const { ValidationError } = require('./errors');
+
+/**
+ * EMBEDS
+ * https://discord.com/developers/docs/resources/message#embed-object
+ */
+
+// https://discord.com/developers/docs/resources/message#embed-object-embed-limits
+const LIMITS = {
+  title: 256,
+  description: 4096,
+  fields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  footer: 2048,
+  author: 256,
+  total: 6000,
+  embeds: 10,
+};
+
+// Named colors, any other color goes in as a number, `#rrggbb`, `#rgb` or `[r, g, b]`.
+const COLORS = {
+  default: 0x000000,
+  white: 0xffffff,
+  aqua: 0x1abc9c,
+  green: 0x57f287,
+  blue: 0x3498db,
+  yellow: 0xfee75c,
+  purple: 0x9b59b6,
+  fuchsia: 0xeb459e,
+  gold: 0xf1c40f,
+  orange: 0xe67e22,
+  red: 0xed4245,
+  grey: 0x95a5a6,
+  navy: 0x34495e,
+  blurple: 0x5865f2,
+  greyple: 0x99aab5,
+  dark_but_not_black: 0x2c2f33,
+  not_quite_black: 0x23272a,
+};
+
+const fail = (message, path) => {
+  throw new ValidationError(message, { path });
+};
+
+/**
+ * Turns a color name, hex string, `[r, g, b]` or number into the integer embeds take.
+ *
+ * example:
+ * ```js
+ * color('blurple'); // 5793266
+ * color('#ff0000'); // 16711680
+ * color([255, 0, 0]); // 16711680
+ * ```
+ *
+ * @param {string|number|array} value
+ * @returns {number}
+ */
+function color(value) {
+  if (value === null || value === undefined) return value;
+  if (Array.isArray(value)) return color((value[0] << 16) + (value[1] << 8) + value[2]);
+  if (typeof value === 'string') {
+    const named = COLORS[value.toLowerCase().replace(/[\s-]+/g, '_')];
+    if (named !== undefined) return named;
+    let hex = value.replace(/^#/, '');
+    if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map((c) => c + c).join('');
+    if (!/^[0-9a-f]{6}$/i.test(hex)) fail(`unknown color ${value}`, 'color');
+    return parseInt(hex, 16);
+  }
+  if (!Number.isInteger(value) || value < 0 || value > 0xffffff) fail('must be an integer from 0 to 0xffffff', 'color');
+  return value;
+}
+
+function text(value, max, path, required = false) {
+  if (value === undefined || value === null) {
+    if (required) fail('is required', path);
+    return;
+  }
+  if (typeof value !== 'string') fail('must be a string', path);
+  if (required && !value.trim().length) fail('must not be empty', path);
+  if (value.length > max) fail(`must be ${max} or fewer characters, got ${value.length}`, path);
+}
+
+/**
+ * The characters of an embed that count towards the 6000 limit: title, description, field names
+ * and values, footer text and author name.
+ *
+ * @param {object} embed
+ * @returns {number}
+ */
+function length(embed) {
+  const json = typeof embed?.toJSON === 'function' ? embed.toJSON(false) : embed ?? {};
+  return (json.title?.length ?? 0)
+    + (json.description?.length ?? 0)
+    + (json.fields ?? []).reduce((sum, field) => sum + (field.name?.length ?? 0) + (field.value?.length ?? 0), 0)
+    + (json.footer?.text?.length ?? 0)
+    + (json.author?.name?.length ?? 0);
+}
+
+/**
+ * Checks a single embed against the per-field limits and the 6000 character total.
+ *
+ * @param {object} embed
+ * @param {string} [path] path prefix for error messages
+ * @returns {object} the embed, unchanged
+ */
+function validateEmbed(embed, path = '') {
+  const at = (key) => (path ? `${path}.${key}` : key);
+  text(embed.title, LIMITS.title, at('title'));
+  text(embed.description, LIMITS.description, at('description'));
+  const fields = embed.fields ?? [];
+  if (fields.length > LIMITS.fields) fail(`at most ${LIMITS.fields} fields, got ${fields.length}`, at('fields'));
+  fields.forEach((field, i) => {
+    text(field.name, LIMITS.fieldName, at(`fields.${i}.name`), true);
+    text(field.value, LIMITS.fieldValue, at(`fields.${i}.value`), true);
+  });
+  text(embed.footer?.text, LIMITS.footer, at('footer.text'), embed.footer !== undefined);
+  text(embed.author?.name, LIMITS.author, at('author.name'), embed.author !== undefined);
+  const total = length(embed);
+  if (total > LIMITS.total) fail(`embeds can hold ${LIMITS.total} characters in total, got ${total}`, path || undefined);
+  return embed;
+}
+
+/**
+ * Checks the embeds of one message: at most 10, together at most 6000 characters.
+ *
+ * @param {array} embeds plain embeds or builders
+ * @returns {array} the embeds as JSON
+ */
+function validate(embeds) {
+  const json = embeds.map((embed) => (typeof embed?.toJSON === 'function' ? embed.toJSON(false) : embed));
+  if (json.length > LIMITS.embeds) fail(`at most ${LIMITS.embeds} embeds per message, got ${json.length}`, 'embeds');
+  json.forEach((embed, i) => validateEmbed(embed, `embeds.${i}`));
+  const total = json.reduce((sum, embed) => sum + length(embed), 0);
+  if (total > LIMITS.total) fail(`the embeds of a message can hold ${LIMITS.total} characters together, got ${total}`, 'embeds');
+  return json;
+}
+
+/**
+ * Creates an embed builder. Every setter checks its own limit right away and returns the builder,
+ * the 6000 character total is checked as it grows. Builders can go straight into `embeds`,
+ * they turn into JSON on their own.
+ *
+ * example:
+ * ```js
+ * const { embed } = api.Utils.Embeds;
+ * await api.Discord.Channels.messageCreate({
+ *   channel_id,
+ *   embeds: [embed()
+ *     .setTitle('Suggestion #42')
+ *     .setDescription(suggestion.text)
+ *     .addField('Votes', '12 👍 3 👎', true)
+ *     .setColor('blurple')
+ *     .setFooter('Vote with the buttons below')
+ *     .setTimestamp()],
+ * });
+ * ```
+ *
+ * @param {object} [data] embed JSON to start from
+ * @returns {object} builder
+ */
+function embed(data = {}) {
+  const json = {};
+
+  // applies a change, rolling it back if it breaks a limit
+  const change = (apply) => {
+    const before = structuredClone(json);
+    apply();
+    try {
+      validateEmbed(json);
+    } catch (e) {
+      for (const key of Object.keys(json)) delete json[key];
+      Object.assign(json, before);
+      throw e;
+    }
+    return builder;
+  };
+  const set = (key, value) => change(() => {
+    if (value === undefined || value === null) delete json[key];
+    else json[key] = value;
+  });
+
+  const builder = {
+    setTitle: (title) => set('title', title),
+    setDescription: (description) => set('description', description),
+    setURL: (url) => set('url', url),
+    setColor: (value) => set('color', color(value)),
+    /**
+     * @param {Date|number|string} [timestamp] now when omitted, `null` removes it
+     */
+    setTimestamp: (timestamp = new Date()) => set('timestamp', timestamp === null ? null : new Date(timestamp).toISOString()),
+    /**
+     * @param {string|object} author name or `{ name, url, icon_url }`
+     */
+    setAuthor: (author, icon_url, url) => set('author', typeof author === 'string' ? { name: author, icon_url, url } : author),
+    /**
+     * @param {string|object} footer text or `{ text, icon_url }`
+     */
+    setFooter: (footer, icon_url) => set('footer', typeof footer === 'string' ? { text: footer, icon_url } : footer),
+    setImage: (url) => set('image', url ? { url } : null),
+    setThumbnail: (url) => set('thumbnail', url ? { url } : null),
+    addField: (name, value, inline = false) => change(() => {
+      json.fields = [...(json.fields ?? []), { name, value, inline }];
+    }),
+    /**
+     * @param {...object} fields `{ name, value, inline }` objects or arrays of them
+     */
+    addFields: (...fields) => change(() => {
+      json.fields = [...(json.fields ?? []), ...fields.flat().map((field) => ({ ...field, inline: field.inline ?? false }))];
+    }),
+    setFields: (...fields) => change(() => {
+      json.fields = fields.flat().map((field) => ({ ...field, inline: field.inline ?? false }));
+    }),
+    /**
+     * Characters counting towards the 6000 limit.
+     */
+    get length() {
+      return length(json);
+    },
+    /**
+     * The embed as JSON.
+     *
+     * @param {boolean} [check] validate first, true by default
+     * @returns {object}
+     */
+    toJSON: (check = true) => {
+      const copy = structuredClone(json);
+      return check === false ? copy : validateEmbed(copy);
+    },
+  };
+
+  // starting data goes through the same checks
+  change(() => Object.assign(json, structuredClone(typeof data.toJSON === 'function' ? data.toJSON(false) : data)));
+  if (json.color !== undefined) json.color = color(json.color);
+  return builder;
+}
+
+/**
+ * Cuts text into pieces of at most `max` characters, on paragraph, line or word boundaries where it can.
+ */
+function chunk(text, max) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > max) {
+    const window = rest.slice(0, max + 1);
+    let cut = window.lastIndexOf('\n\n');
+    if (cut < max / 2) cut = window.lastIndexOf('\n');
+    if (cut < max / 2) cut = window.lastIndexOf(' ');
+    if (cut < max / 2) cut = max;
+    pieces.push(rest.slice(0, cut).trimEnd());
+    rest = rest.slice(cut).replace(/^\s+/, '');
+  }
+  if (rest.length) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Splits content too big for one embed or message into as many embeds and messages as it takes.
+ *
+ * The description is cut on paragraph, line or word boundaries, fields are spread 25 to an embed.
+ * The first embed keeps the title, author, url and thumbnail, the last one the footer, timestamp
+ * and image, every embed the color. Embeds are then grouped into messages of at most 10 embeds
+ * and 6000 characters.
+ *
+ * example:
+ * ```js
+ * const { split } = api.Utils.Embeds;
+ * for (const embeds of split({ title: 'Server log', description: log, color: 'red' }))
+ *   await api.Discord.Channels.messageCreate({ channel_id, embeds });
+ * ```
+ *
+ * @param {object} data embed JSON or builder, of any size
+ * @returns {array} messages, each an array of embeds
+ */
+function split(data) {
+  const source = typeof data?.toJSON === 'function' ? data.toJSON(false) : { ...data };
+  if (source.color !== undefined) source.color = color(source.color);
+  const { title, description, fields = [], author, url, thumbnail, footer, timestamp, image, ...rest } = source;
+  text(title, LIMITS.title, 'title');
+  text(footer?.text, LIMITS.footer, 'footer.text');
+  text(author?.name, LIMITS.author, 'author.name');
+  fields.forEach((field, i) => {
+    text(field.name, LIMITS.fieldName, `fields.${i}.name`, true);
+    text(field.value, LIMITS.fieldValue, `fields.${i}.value`, true);
+  });
+
+  // room left for the description in the first embed, next to title, author and footer
+  const overhead = (title?.length ?? 0) + (author?.name?.length ?? 0) + (footer?.text?.length ?? 0);
+  const embeds = chunk(description ?? '', Math.min(LIMITS.description, LIMITS.total - overhead))
+    .map((piece) => ({ ...rest, description: piece }));
+
+  let current = embeds[embeds.length - 1];
+  for (const field of fields) {
+    const size = field.name.length + field.value.length;
+    if (!current || (current.fields?.length ?? 0) >= LIMITS.fields || length(current) + size + overhead > LIMITS.total) {
+      current = { ...rest };
+      embeds.push(current);
+    }
+    current.fields = [...(current.fields ?? []), { ...field, inline: field.inline ?? false }];
+  }
+  if (!embeds.length) embeds.push({ ...rest });
+
+  Object.assign(embeds[0], { title, author, url, thumbnail });
+  Object.assign(embeds[embeds.length - 1], { footer, timestamp, image });
+  for (const item of embeds) for (const key of Object.keys(item)) if (item[key] === undefined) delete item[key];
+
+  const messages = [];
+  let message = [];
+  let total = 0;
+  for (const item of embeds) {
+    const size = length(item);
+    if (message.length && (message.length >= LIMITS.embeds || total + size > LIMITS.total)) {
+      messages.push(message);
+      message = [];
+      total = 0;
+    }
+    message.push(validateEmbed(item));
+    total += size;
+  }
+  messages.push(message);
+  return messages;
+}
+
+module.exports = {
+  embed,
+  split,
+  validate,
+  length,
+  color,
+  COLORS,
+  LIMITS,
+};
@@ -0,0 +1,223 @@
+/**
+ * Raised by `Utils.Https` when a request could not be completed: the connection failed,
+ * timed out or was aborted, or Discord kept answering with a server error until retries ran out.
+ *
+ * example:
+ * ```js
+ * try {
+ *   await api.Utils.Https.get({ url: 'discord.com', path: '/api/gateway', headers: {} });
+ * } catch (e) {
+ *   if (e instanceof api.RequestError) console.log(e.code, e.attempts, e.statusCode);
+ * }
+ * ```
+ */
+class RequestError extends Error {
+  /**
+   * @param {string} message description of the failure
+   * @param {object} details
+   * @param {string} details.method http method
+   * @param {string} details.host target host
+   * @param {string} details.path request path
+   * @param {number} details.attempts number of attempts made
+   * @param {string} [details.code] node error code, e.g. `ECONNRESET`, `ETIMEDOUT`, `ABORT_ERR`
+   * @param {number} [details.statusCode] http status of the last response, if one came back
+   * @param {object} [details.response] the last response, if one came back
+   * @param {Error} [details.cause] the underlying error
+   */
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause });
+    this.name = 'RequestError';
+    this.method = details.method;
+    this.host = details.host;
+    this.path = details.path;
+    this.attempts = details.attempts;
+    this.code = details.code ?? details.cause?.code;
+    this.statusCode = details.statusCode;
+    this.response = details.response;
+  }
+}
+
+/**
+ * Thrown by every Discord module method when Discord answers with an error status.
+ *
+ * The nested `errors` tree Discord sends for invalid form bodies is flattened into a list of
+ * `{ path, code, message }`, where `path` is the dotted field path, e.g. `embeds.0.title`.
+ *
+ * example:
+ * ```js
+ * try {
+ *   await api.Discord.Channels.messageCreate({ channel_id, content: 'x'.repeat(2001) });
+ * } catch (e) {
+ *   if (e instanceof api.DiscordAPIError && e.code === 50035)
+ *     e.errors.forEach(({ path, message }) => console.log(path, message));
+ * }
+ * ```
+ *
+ * https://discord.com/developers/docs/reference#error-messages
+ */
+class DiscordAPIError extends Error {
+  /**
+   * @param {object} details
+   * @param {number} details.status http status
+   * @param {number} [details.code] Discord json error code, 0 for general errors
+   * @param {string} [details.message] Discord error message
+   * @param {string} details.method http method
+   * @param {string} details.path request path
+   * @param {object} [details.errors] Discord's nested `errors` tree
+   * @param {object} [details.body] the parsed response body
+   */
+  constructor(details = {}) {
+    const errors = DiscordAPIError.flatten(details.errors);
+    const message = details.message ?? `HTTP ${details.status}`;
+    super(
+      `${details.method} ${details.path}: ${message}` +
+      (details.code !== undefined ? ` (${details.code})` : '') +
+      errors.map((e) => `\n  ${e.path}: ${e.message}`).join(''),
+    );
+    this.name = 'DiscordAPIError';
+    this.status = details.status;
+    this.code = details.code;
+    this.rawMessage = message;
+    this.method = details.method;
+    this.path = details.path;
+    this.errors = errors;
+    this.body = details.body;
+  }
+
+  /**
+   * Flattens Discord's nested `errors` tree.
+   *
+   * example:
+   * ```js
+   * DiscordAPIError.flatten({ embeds: { 0: { title: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 256 or fewer in length.' }] } } } });
+   * // [{ path: 'embeds.0.title', code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 256 or fewer in length.' }]
+   * ```
+   *
+   * @param {object} tree the `errors` field of an error response
+   * @param {string} [prefix] path of `tree`
+   * @returns {array} `[{ path, code, message }]`
+   */
+  static flatten(tree, prefix = '') {
+    if (!tree || typeof tree !== 'object') return [];
+    const flat = [];
+    for (const [key, value] of Object.entries(tree)) {
+      if (key === '_errors') {
+        for (const e of value) flat.push({ path: prefix, code: e.code, message: e.message });
+        continue;
+      }
+      flat.push(...DiscordAPIError.flatten(value, prefix ? `${prefix}.${key}` : key));
+    }
+    return flat;
+  }
+
+  /**
+   * Builds the error for a failed response.
+   *
+   * @param {object} res `{ statusCode, headers, body }`, body as a string or already parsed
+   * @param {string} method http method
+   * @param {string} path request path
+   * @returns {DiscordAPIError}
+   */
+  static from(res, method, path) {
+    let body = res.body;
+    if (typeof body === 'string' || Buffer.isBuffer(body)) {
+      try {
+        body = JSON.parse(body);
+      } catch (e) {
+        body = { message: String(body) || undefined };
+      }
+    }
+    return new DiscordAPIError({
+      status: res.statusCode,
+      code: body?.code,
+      message: body?.message,
+      method,
+      path,
+      errors: body?.errors,
+      body,
+    });
+  }
+}
+
+/**
+ * Raised by a gateway connection that cannot carry on, e.g. after close code `4004` (bad token)
+ * or `4014` (disallowed intents). `code` is the close code, the message comes from `socket_close`.
+ */
+class GatewayError extends Error {
+  /**
+   * @param {string} message description of the failure
+   * @param {object} [details]
+   * @param {number} [details.code] gateway close code
+   * @param {number} [details.shard] shard id of the connection
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'GatewayError';
+    this.code = details.code;
+    this.shard = details.shard;
+  }
+}
+
+/**
+ * Thrown by the component and embed builders when a value breaks one of Discord's limits,
+ * before anything is sent. `path` points at the offending field, e.g. `components.0.components.5`.
+ *
+ * example:
+ * ```js
+ * try {
+ *   actionRow(...sixButtons);
+ * } catch (e) {
+ *   if (e instanceof api.ValidationError) console.log(e.path, e.message);
+ * }
+ * ```
+ */
+class ValidationError extends Error {
+  /**
+   * @param {string} message what is wrong
+   * @param {object} [details]
+   * @param {string} [details.path] dotted path of the field
+   */
+  constructor(message, details = {}) {
+    super(details.path ? `${details.path}: ${message}` : message);
+    this.name = 'ValidationError';
+    this.path = details.path;
+    this.rawMessage = message;
+  }
+}
+
+/**
+ * Thrown by an interaction context when a response can no longer be sent: the interaction wasn't
+ * acknowledged within 3 seconds, its 15 minute token expired, or it was already answered in a way
+ * that rules the response out (e.g. a second modal). `code` says which.
+ *
+ * example:
+ * ```js
+ * try {
+ *   await ctx.followup({ content: 'Done' });
+ * } catch (e) {
+ *   if (e instanceof api.InteractionError && e.code === 'TOKEN_EXPIRED') await channels.messageCreate({ channel_id, content: 'Done' });
+ * }
+ * ```
+ */
+class InteractionError extends Error {
+  /**
+   * @param {string} message description of the failure
+   * @param {object} [details]
+   * @param {string} [details.code] `NOT_ACKNOWLEDGED`, `TOKEN_EXPIRED` or `ALREADY_ACKNOWLEDGED`
+   * @param {snowflake} [details.interaction_id] id of the interaction
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'InteractionError';
+    this.code = details.code;
+    this.interaction_id = details.interaction_id;
+  }
+}
+
+module.exports = {
+  RequestError,
+  DiscordAPIError,
+  GatewayError,
+  ValidationError,
+  InteractionError,
+};
@@ -0,0 +1,223 @@
+const zlib = require('node:zlib');
+
+/**
+ * ETF (Erlang External Term Format), the binary alternative to JSON on the gateway.
+ * https://discord.com/developers/docs/topics/erlang
+ * https://www.erlang.org/doc/apps/erts/erl_ext_dist
+ */
+
+const VERSION = 131;
+
+const TAGS = {
+  NEW_FLOAT: 70,
+  COMPRESSED: 80,
+  SMALL_INTEGER: 97,
+  INTEGER: 98,
+  FLOAT: 99,
+  ATOM: 100,
+  SMALL_TUPLE: 104,
+  LARGE_TUPLE: 105,
+  NIL: 106,
+  STRING: 107,
+  LIST: 108,
+  BINARY: 109,
+  SMALL_BIG: 110,
+  LARGE_BIG: 111,
+  SMALL_ATOM: 115,
+  MAP: 116,
+  ATOM_UTF8: 118,
+  SMALL_ATOM_UTF8: 119,
+};
+
+// Atoms that stand for JavaScript values, anything else decodes to its name.
+const ATOMS = { nil: null, null: null, true: true, false: false };
+
+/**
+ * Decodes an ETF payload.
+ *
+ * Binaries become strings, atoms `nil`/`true`/`false` become `null`/`true`/`false`, and big integers
+ * become a Number when they are safe integers and a string otherwise, which keeps snowflakes the
+ * strings they are in JSON.
+ *
+ * example:
+ * ```js
+ * unpack(Buffer.from([131, 116, 0, 0, 0, 1, 109, 0, 0, 0, 2, 111, 112, 97, 10])); // { op: 10 }
+ * ```
+ *
+ * @param {Buffer} buffer
+ * @returns {*} the decoded term
+ */
+function unpack(buffer) {
+  if (buffer[0] !== VERSION) throw new TypeError(`Unsupported ETF version ${buffer[0]}`);
+  let offset = 1;
+
+  const read = {
+    uint8: () => buffer.readUInt8(offset++),
+    uint16: () => (offset += 2, buffer.readUInt16BE(offset - 2)),
+    uint32: () => (offset += 4, buffer.readUInt32BE(offset - 4)),
+    int32: () => (offset += 4, buffer.readInt32BE(offset - 4)),
+    string: (length, encoding = 'utf8') => (offset += length, buffer.toString(encoding, offset - length, offset)),
+  };
+
+  function atom(name) {
+    return name in ATOMS ? ATOMS[name] : name;
+  }
+
+  function big(digits) {
+    const sign = read.uint8();
+    let value = 0n;
+    for (let i = 0; i < digits; i++) value += BigInt(read.uint8()) << BigInt(8 * i);
+    if (sign) value = -value;
+    return value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value.toString();
+  }
+
+  function list(length) {
+    const items = [];
+    for (let i = 0; i < length; i++) items.push(term());
+    return items;
+  }
+
+  function term() {
+    const tag = read.uint8();
+    switch (tag) {
+      case TAGS.SMALL_INTEGER: return read.uint8();
+      case TAGS.INTEGER: return read.int32();
+      case TAGS.NEW_FLOAT: return (offset += 8, buffer.readDoubleBE(offset - 8));
+      case TAGS.FLOAT: return parseFloat(read.string(31, 'latin1'));
+      case TAGS.ATOM: return atom(read.string(read.uint16(), 'latin1'));
+      case TAGS.SMALL_ATOM: return atom(read.string(read.uint8(), 'latin1'));
+      case TAGS.ATOM_UTF8: return atom(read.string(read.uint16()));
+      case TAGS.SMALL_ATOM_UTF8: return atom(read.string(read.uint8()));
+      case TAGS.SMALL_TUPLE: return list(read.uint8());
+      case TAGS.LARGE_TUPLE: return list(read.uint32());
+      case TAGS.NIL: return [];
+      case TAGS.STRING: return read.string(read.uint16(), 'latin1');
+      case TAGS.LIST: {
+        const items = list(read.uint32());
+        if (buffer[offset] === TAGS.NIL) offset++; // proper list tail
+        else term(); // improper tail, dropped
+        return items;
+      }
+      case TAGS.BINARY: return read.string(read.uint32());
+      case TAGS.SMALL_BIG: return big(read.uint8());
+      case TAGS.LARGE_BIG: return big(read.uint32());
+      case TAGS.MAP: {
+        const map = {};
+        const pairs = read.uint32();
+        for (let i = 0; i < pairs; i++) {
+          const key = term();
+          map[key] = term();
+        }
+        return map;
+      }
+      case TAGS.COMPRESSED: {
+        const size = read.uint32();
+        const inflated = zlib.inflateSync(buffer.subarray(offset));
+        if (inflated.length !== size) throw new TypeError('Compressed ETF term has the wrong size');
+        return unpack(Buffer.concat([Buffer.from([VERSION]), inflated]));
+      }
+      default:
+        throw new TypeError(`Unsupported ETF tag ${tag} at offset ${offset - 1}`);
+    }
+  }
+
+  return term();
+}
+
+/**
+ * Encodes a value as ETF.
+ *
+ * Strings become binaries, `null`/`undefined` the atom `nil`, arrays lists and objects maps with
+ * binary keys. Object properties that are `undefined` are left out, like `JSON.stringify()` does.
+ *
+ * example:
+ * ```js
+ * pack({ op: 1, d: 42 }); // <Buffer 83 74 00 00 00 02 6d 00 00 00 02 6f 70 61 01 6d ...>
+ * ```
+ *
+ * @param {*} value
+ * @returns {Buffer}
+ */
+function pack(value) {
+  const chunks = [Buffer.from([VERSION])];
+
+  const push = (...bytes) => chunks.push(Buffer.from(bytes));
+  const uint32 = (n) => {
+    const b = Buffer.alloc(4);
+    b.writeUInt32BE(n);
+    chunks.push(b);
+  };
+
+  function atom(name) {
+    push(TAGS.SMALL_ATOM_UTF8, Buffer.byteLength(name));
+    chunks.push(Buffer.from(name));
+  }
+
+  function binary(string) {
+    const data = Buffer.from(string);
+    push(TAGS.BINARY);
+    uint32(data.length);
+    chunks.push(data);
+  }
+
+  function big(value) {
+    const sign = value < 0n ? 1 : 0;
+    if (sign) value = -value;
+    const digits = [];
+    while (value > 0n) {
+      digits.push(Number(value & 0xffn));
+      value >>= 8n;
+    }
+    push(TAGS.SMALL_BIG, digits.length, sign, ...digits);
+  }
+
+  function term(value) {
+    if (value === null || value === undefined) return atom('nil');
+    if (typeof value === 'boolean') return atom(String(value));
+    if (typeof value === 'bigint') return big(value);
+    if (typeof value === 'number') {
+      if (Number.isInteger(value)) {
+        if (value >= 0 && value <= 0xff) return push(TAGS.SMALL_INTEGER, value);
+        if (value >= -(2 ** 31) && value < 2 ** 31) {
+          const b = Buffer.alloc(5);
+          b.writeUInt8(TAGS.INTEGER);
+          b.writeInt32BE(value, 1);
+          return chunks.push(b);
+        }
+        if (Number.isSafeInteger(value)) return big(BigInt(value));
+      }
+      const b = Buffer.alloc(9);
+      b.writeUInt8(TAGS.NEW_FLOAT);
+      b.writeDoubleBE(value, 1);
+      return chunks.push(b);
+    }
+    if (typeof value === 'string') return binary(value);
+    if (Array.isArray(value)) {
+      if (!value.length) return push(TAGS.NIL);
+      push(TAGS.LIST);
+      uint32(value.length);
+      value.forEach((item) => term(item === undefined ? null : item));
+      return push(TAGS.NIL);
+    }
+    if (typeof value.toJSON === 'function') return term(value.toJSON());
+    if (typeof value === 'object') {
+      const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+      push(TAGS.MAP);
+      uint32(entries.length);
+      for (const [key, v] of entries) {
+        binary(key);
+        term(v);
+      }
+      return;
+    }
+    throw new TypeError(`Cannot encode ${typeof value} as ETF`);
+  }
+
+  term(value);
+  return Buffer.concat(chunks);
+}
+
+module.exports = {
+  pack,
+  unpack,
+};
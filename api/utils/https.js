@@ -1,312 +1,364 @@
-module.exports = {
-  /**
-   * the `get` method. Https only, uses port: 443.
-   * 
-   * @param {*} params 
-   * @returns any
-   */
-  get: async (params) => {
-    return new Promise(async function (resolve, reject) {
-      const https = require('node:https');
-      const options = {
-        host: params.url,
-        port: 443,
-        path: params.path,
-        method: 'GET',
-        headers: params.headers,
-      };
-      options.agent = new https.Agent(options);
+const http = require('node:http');
+const https = require('node:https');
+const { createRateLimiter } = require('./ratelimit');
+const { RequestError, DiscordAPIError } = require('./errors');
+const { multipart, encode } = require('./multipart');
+const config = require('./config');
 
-      let req = https.request(options, async (res) => {
-        let data = '';
-        res.on('data', async (readable) => {
-          data += readable;
-        });
-        res.on('end', async () => {
-          result = {};
-          result.statusCode = res.statusCode;
-          result.headers = res.headers;
-          result.body = data;
-          resolve(result);
-        });
-      });
-      req.on('error', (e) => {
-        console.error(e);
-      });
-      req.end();
-    });
-  },
-  //method GET80
-  get80: async (params) => {
-    return new Promise(async function (resolve, reject) {
-      const http = require('node:http');
-      const options = {
-        host: params.url,
-        port: 80,
-        path: params.path,
-        method: 'GET',
-        headers: params.headers,
-      };
-      options.agent = new http.Agent(options);
+/**
+ * Request defaults, change them with `setDefaults()`.
+ *
+ * - `retries` how many times a failed request is retried. Only idempotent methods are retried by default,
+ *   a POST or PATCH is sent again only when the call sets its own `retries`.
+ * - `timeout` milliseconds a single attempt may take, response included, before it is destroyed with `ETIMEDOUT`.
+ * - `backoff` base delay in milliseconds, doubled on every retry and jittered.
+ * - `maxBackoff` upper bound for a single retry delay.
+ */
+const defaults = {
+  retries: 3,
+  timeout: 15000,
+  backoff: 500,
+  maxBackoff: 10000,
+};
 
-      let req = http.request(options, async (res) => {
-        let data = '';
-        res.on('data', async (readable) => {
-          data += readable;
-        });
-        res.on('end', async () => {
-          result = {};
-          result.statusCode = res.statusCode;
-          result.headers = res.headers;
-          result.body = data;
-          resolve(result);
-        });
-      });
-      req.on('error', (e) => {
-        console.error(e);
-      });
-      req.end();
-    });
-  },
-  //method POST
-  post: async (params) => {
-    return new Promise(async function (resolve, reject) {
-      const https = require('node:https');
-      const options = {
-        host: params.url,
-        port: 443,
-        path: params.path,
-        method: 'POST',
-        headers: {
-          'Content-Type':
-            params.headers['Content-Type'] ??
-            params.headers['content-type'] ??
-            '',
-          'Content-Length':
-            params.headers['Content-Length'] ??
-            params.headers['content-length'] ??
-            Buffer.byteLength(params.body),
-          'Content-Encoding':
-            params.headers['Content-Encoding'] ??
-            params.headers['content-encoding'] ??
-            '',
-          'Content-Language':
-            params.headers['Content-Language'] ??
-            params.headers['content-language'] ??
-            '',
-          'Content-Location':
-            params.headers['Content-Location'] ??
-            params.headers['content-location'] ??
-            '',
-          Authorization: params.headers['Authorization'] ?? '',
-        },
-      };
-      options.agent = new https.Agent(options);
+// Failures worth trying again, anything else is returned or rejected right away.
+const RETRY_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN'];
+const RETRY_STATUS = [500, 502, 503, 504];
 
-      let req = https.request(options, async (res) => {
-        let data = '';
-        res.on('data', async (readable) => {
-          data += readable;
-        });
-        res.on('end', async () => {
-          result = {};
-          result.statusCode = res.statusCode;
-          result.headers = res.headers;
-          result.body = data;
-          resolve(result);
-        });
-      });
-      req.on('error', (e) => {
-        console.error(e);
-      });
-      req.write(params.body);
-      req.end();
-    });
-  },
-  //method PUT
-  put: async (params) => {
-    return new Promise(async function (resolve, reject) {
-      const https = require('node:https');
-      const options = {
-        host: params.url,
-        port: 443,
-        path: params.path,
-        method: 'PUT',
-        headers: {
-          'Content-Type':
-            params.headers['Content-Type'] ??
-            params.headers['content-type'] ??
-            '',
-          'Content-Length':
-            params.headers['Content-Length'] ??
-            params.headers['content-length'] ??
-            Buffer.byteLength(params.body),
-          'Content-Encoding':
-            params.headers['Content-Encoding'] ??
-            params.headers['content-encoding'] ??
-            '',
-          'Content-Language':
-            params.headers['Content-Language'] ??
-            params.headers['content-language'] ??
-            '',
-          'Content-Location':
-            params.headers['Content-Location'] ??
-            params.headers['content-location'] ??
-            '',
-          'Authorization':
-            params.headers['Authorization'] ??
-            params.headers['authorization'] ??
-            '',
-          'X-Audit-Log-Reason':
-            params.headers['X-Audit-Log-Reason'] ??
-            params.headers['x-audit-log-reason'] ??
-            '',
-        },
-      };
-      options.agent = new https.Agent(options);
+// Methods safe to send twice. A POST that reached Discord before failing would create a second message
+// or answer an interaction callback twice, so those are only retried when asked to.
+const IDEMPOTENT = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
 
-      let req = https.request(options, async (res) => {
-        let data = '';
-        res.on('data', async (readable) => {
-          data += readable;
-        });
-        res.on('end', async () => {
-          result = {};
-          result.statusCode = res.statusCode;
-          result.headers = res.headers;
-          result.body = data;
-          resolve(result);
-        });
-      });
-      req.on('error', (e) => {
-        console.error(e);
-      });
-      req.write(params.body);
-      req.end();
-    });
-  },
-  //method PATCH
-  patch: async (params) => {
-    return new Promise(async function (resolve, reject) {
-      const https = require('node:https');
-      const options = {
-        host: params.url,
-        port: 443,
-        path: params.path,
-        method: 'PATCH',
-        headers: {
-          'Content-Type':
-            params.headers['Content-Type'] ??
-            params.headers['content-type'] ??
-            '',
-          'Content-Length':
-            params.headers['Content-Length'] ??
-            params.headers['content-length'] ??
-            Buffer.byteLength(params.body),
-          'Content-Encoding':
-            params.headers['Content-Encoding'] ??
-            params.headers['content-encoding'] ??
-            '',
-          'Content-Language':
-            params.headers['Content-Language'] ??
-            params.headers['content-language'] ??
-            '',
-          'Content-Location':
-            params.headers['Content-Location'] ??
-            params.headers['content-location'] ??
-            '',
-          'Authorization':
-            params.headers['Authorization'] ??
-            params.headers['authorization'] ??
-            '',
-          'X-Audit-Log-Reason':
-            params.headers['X-Audit-Log-Reason'] ??
-            params.headers['x-audit-log-reason'] ??
-            '',
-        },
-      };
-      options.agent = new https.Agent(options);
+// Keep-alive agents shared by every request, one per protocol.
+const agents = {
+  'http:': new http.Agent({ keepAlive: true }),
+  'https:': new https.Agent({ keepAlive: true }),
+};
 
-      let req = https.request(options, async (res) => {
-        let data = '';
-        res.on('data', async (readable) => {
-          data += readable;
-        });
-        res.on('end', async () => {
-          result = {};
-          result.statusCode = res.statusCode;
-          result.headers = res.headers;
-          result.body = data;
-          resolve(result);
-        });
-      });
-      req.on('error', (e) => {
-        console.error(e);
+/**
+ * Builds a query string from an object. `undefined` and `null` values are left out,
+ * arrays repeat their key.
+ *
+ * example:
+ * ```js
+ * querystring({ limit: 100, before: undefined, ids: [1, 2] }); // '?limit=100&ids=1&ids=2'
+ * ```
+ *
+ * @param {object} query
+ * @returns {string} the query string including `?`, or an empty string
+ */
+function querystring(query = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value === undefined || value === null) continue;
+    for (const v of Array.isArray(value) ? value : [value]) search.append(key, String(v));
+  }
+  const string = search.toString();
+  return string ? `?${string}` : '';
+}
+
+/**
+ * Performs a single request.
+ *
+ * Headers are passed through as given, except for empty values. Plain object bodies are sent as JSON,
+ * strings and Buffers as they are. `reason` becomes a url encoded `X-Audit-Log-Reason` header,
+ * a string `auth` becomes the `Authorization` header.
+ *
+ * @param {object} params see `request()`
+ * @returns {Promise<object>} { statusCode, headers, body, data }
+ */
+function send(params) {
+  return new Promise((succeed, failed) => {
+    // the whole attempt has a deadline, a server trickling its response in can't hold it open
+    let timer;
+    const resolve = (res) => {
+      clearTimeout(timer);
+      succeed(res);
+    };
+    const reject = (e) => {
+      clearTimeout(timer);
+      failed(e);
+    };
+    const protocol = params.protocol ?? 'https:';
+    const transport = protocol === 'http:' ? http : https;
+
+    const headers = {};
+    for (const [name, value] of Object.entries(params.headers ?? {}))
+      if (value !== undefined && value !== null && value !== '') headers[name] = value;
+    if (typeof params.auth === 'string') headers.Authorization = params.auth;
+    if (params.reason) headers['X-Audit-Log-Reason'] = encodeURIComponent(params.reason);
+
+    let body = params.body;
+    if (body !== undefined && body !== null && typeof body !== 'string' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+      if (!Object.keys(headers).some((name) => name.toLowerCase() === 'content-type'))
+        headers['Content-Type'] = 'application/json';
+    }
+    if (body === '' || body === null) body = undefined;
+    if (body !== undefined) headers['Content-Length'] = Buffer.byteLength(body);
+
+    const req = transport.request({
+      host: params.host ?? params.url,
+      port: params.port ?? (protocol === 'http:' ? 80 : 443),
+      path: params.path + querystring(params.query),
+      method: params.method,
+      headers,
+      agent: agents[protocol],
+      signal: params.signal,
+    }, (res) => {
+      const chunks = [];
+      res.on('error', reject);
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        const result = {
+          statusCode: res.statusCode,
+          headers: res.headers,
+          body: Buffer.concat(chunks).toString(),
+          data: undefined,
+        };
+        if (result.body && /[/+]json/.test(res.headers['content-type'] ?? '')) {
+          try {
+            result.data = JSON.parse(result.body);
+          } catch (e) { }
+        }
+        resolve(result);
       });
-      req.write(params.body);
-      req.end();
     });
-  },
-  //method DELETE
-  del: async (params) => {
-    return new Promise(async function (resolve, reject) {
-      const https = require('node:https');
-      const options = {
-        host: params.url,
-        port: 443,
-        path: params.path,
-        method: 'DELETE',
-        headers: {
-          'Content-Type':
-            params.headers['Content-Type'] ??
-            params.headers['content-type'] ??
-            '',
-          'Content-Length':
-            params.headers['Content-Length'] ??
-            params.headers['content-length'] ??
-            Buffer.byteLength(params.body),
-          'Content-Encoding':
-            params.headers['Content-Encoding'] ??
-            params.headers['content-encoding'] ??
-            '',
-          'Content-Language':
-            params.headers['Content-Language'] ??
-            params.headers['content-language'] ??
-            '',
-          'Content-Location':
-            params.headers['Content-Location'] ??
-            params.headers['content-location'] ??
-            '',
-          'Authorization':
-            params.headers['Authorization'] ??
-            params.headers['authorization'] ??
-            '',
-          'X-Audit-Log-Reason':
-            params.headers['X-Audit-Log-Reason'] ??
-            params.headers['x-audit-log-reason'] ??
-            '',
-        },
-      };
-      options.agent = new https.Agent(options);
+    req.on('error', reject);
+    timer = setTimeout(() => {
+      const error = Object.assign(new Error(`Request timed out`), { code: 'ETIMEDOUT' });
+      req.destroy(error);
+      reject(error);
+    }, params.timeout ?? defaults.timeout);
+    req.end(body);
+  });
+}
 
-      let req = https.request(options, async (res) => {
-        let data = '';
-        res.on('data', async (readable) => {
-          data += readable;
-        });
-        res.on('end', async () => {
-          result = {};
-          result.statusCode = res.statusCode;
-          result.headers = res.headers;
-          result.body = data;
-          resolve(result);
-        });
-      });
-      req.on('error', (e) => {
-        console.error(e);
-      });
-      req.write(params.body);
-      req.end();
+/**
+ * Resolves after `ms`, rejects early if `signal` aborts.
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Full jitter exponential backoff: a random delay between 0 and `backoff * 2^attempt`, capped at `maxBackoff`.
+ */
+function backoff(attempt, params) {
+  const base = params.backoff ?? defaults.backoff;
+  const max = params.maxBackoff ?? defaults.maxBackoff;
+  return Math.floor(Math.random() * Math.min(max, base * 2 ** attempt));
+}
+
+/**
+ * Sends a request, retrying connection failures and 5xx responses with backoff.
+ * Non-idempotent methods are tried once unless `params.retries` is set for the call.
+ * Rejects with a `RequestError` once the request is aborted or retries are exhausted.
+ *
+ * @param {object} params see `request()`
+ * @returns {Promise<object>} { statusCode, headers, body, data }
+ */
+async function retrying(params) {
+  const retries = params.retries ?? (IDEMPOTENT.includes(params.method) ? defaults.retries : 0);
+  const details = { method: params.method, host: params.host ?? params.url, path: params.path };
+
+  for (let attempt = 0; ; attempt++) {
+    const attempts = attempt + 1;
+    let res;
+    try {
+      if (params.signal?.aborted) throw params.signal.reason;
+      res = await send(params);
+    } catch (e) {
+      const aborted = params.signal?.aborted || e.name === 'AbortError';
+      if (aborted || !RETRY_CODES.includes(e.code) || attempt >= retries)
+        throw new RequestError(
+          `${details.method} ${details.host}${details.path} ${aborted ? 'was aborted' : `failed after ${attempts} attempt(s): ${e.message}`}`,
+          { ...details, attempts, cause: e, code: aborted ? 'ABORT_ERR' : e.code },
+        );
+    }
+
+    if (res) {
+      if (!RETRY_STATUS.includes(res.statusCode)) return res;
+      if (attempt >= retries)
+        throw new RequestError(
+          `${details.method} ${details.host}${details.path} failed after ${attempts} attempt(s): ${res.statusCode}`,
+          { ...details, attempts, statusCode: res.statusCode, response: res },
+        );
+    }
+
+    try {
+      await wait(backoff(attempt, params), params.signal);
+    } catch (e) {
+      throw new RequestError(`${details.method} ${details.host}${details.path} was aborted`,
+        { ...details, attempts, cause: e, code: 'ABORT_ERR' });
+    }
+  }
+}
+
+/**
+ * Default rate limiter, requests made straight through `Utils.Https` share it.
+ */
+const limiter = createRateLimiter();
+
+/**
+ * Sends a request through a rate limiter, retrying failures.
+ *
+ * example:
+ * ```js
+ * const res = await api.Utils.Https.request({
+ *   method: 'GET',
+ *   host: 'discord.com',
+ *   path: '/api/v10/guilds/00000000000000000/members',
+ *   query: { limit: 100 },
+ *   auth: `Bot ${token}`,
+ * });
+ * console.log(res.statusCode, res.data);
+ * ```
+ *
+ * @param {object} params
+ * @param {string} params.method http method
+ * @param {string} params.path request path, without query string
+ * @param {string} [params.host] target host (`url` is accepted as well)
+ * @param {string} [params.protocol] `https:` (default) or `http:`
+ * @param {number} [params.port] defaults to 443 for https, 80 for http
+ * @param {object} [params.query] query parameters, see `querystring()`
+ * @param {object|string|Buffer} [params.body] plain objects are sent as JSON
+ * @param {object} [params.headers] any request headers
+ * @param {string} [params.reason] audit log reason
+ * @param {string|boolean} [params.auth] Authorization header value, `false` for none
+ * @param {AbortSignal} [params.signal] aborts the request, any pending retry and any wait on the rate limiter
+ * @param {number} [params.timeout] overrides `defaults.timeout`
+ * @param {number} [params.retries] overrides `defaults.retries`, and opts a POST or PATCH into retries
+ * @param {object} [rateLimiter] limiter to queue on, the default one when omitted
+ * @returns {Promise<object>} { statusCode, headers, body, data }, data holds the decoded JSON body
+ */
+async function request(params, rateLimiter = limiter) {
+  try {
+    return await rateLimiter.schedule(params.method, params.path, () => retrying(params), params.signal);
+  } catch (e) {
+    // aborted while queued or waiting out a rate limit, before an attempt was made
+    if (e instanceof RequestError || !params.signal?.aborted) throw e;
+    throw new RequestError(`${params.method} ${params.host ?? params.url}${params.path} was aborted`, {
+      method: params.method, host: params.host ?? params.url, path: params.path, attempts: 0, cause: e, code: 'ABORT_ERR',
     });
+  }
+}
+
+/**
+ * Creates request methods bound to one set of credentials, with their own rate limiter.
+ *
+ * Requests get `Authorization: Bot <token>` unless they carry their own Authorization header
+ * or pass `auth`, and error responses are thrown as a `DiscordAPIError`. Paths are relative to
+ * the API root, the target (protocol, host, port, base path and version) comes from the options,
+ * falling back to the central `config`.
+ *
+ * example:
+ * ```js
+ * const rest = api.Utils.Https.create({ token: 'bot token', apiVersion: 10 });
+ * const { data: user } = await rest.get({ path: '/users/@me' });
+ * ```
+ *
+ * @param {object} options
+ * @param {string} [options.token] bot token, `process.env.token` at request time when omitted.
+ * @param {number} [options.apiVersion] Discord API version to pin, e.g. `10`.
+ * @param {string} [options.baseUrl] url the API lives at, e.g. `http://localhost:8080/api`.
+ * @param {string} [options.protocol] `https:` or `http:`.
+ * @param {string} [options.host] API host name.
+ * @param {number} [options.port] API port.
+ * @returns {object} { request, get, post, put, patch, del, encode, multipart, limiter, token, apiVersion }
+ */
+function create(options = {}) {
+  config.resolve(options); // fail early on a bad baseUrl or protocol
+  const rateLimiter = createRateLimiter();
+
+  const bound = async (params) => {
+    const target = config.resolve(options);
+    const headers = { ...params.headers };
+    const token = options.token ?? process.env.token;
+    if ((params.auth === undefined || params.auth === true) && token && !headers.Authorization && !headers.authorization)
+      headers.Authorization = `Bot ${token}`;
+
+    const res = await request({
+      ...params,
+      protocol: target.protocol,
+      host: target.host,
+      port: target.port,
+      path: target.prefix + params.path,
+      headers,
+    }, rateLimiter);
+    if (res.statusCode >= 400) throw DiscordAPIError.from(res, params.method, params.path);
+    return res;
+  };
+
+  return {
+    request: bound,
+    ...verbs(bound),
+    encode,
+    multipart,
+    limiter: rateLimiter,
+    get token() {
+      return options.token ?? process.env.token;
+    },
+    get apiVersion() {
+      return config.resolve(options).apiVersion;
+    },
+  };
+}
+
+/**
+ * The verb helpers, thin wrappers around a request function.
+ */
+function verbs(request) {
+  return {
+    get: (params) => request({ ...params, method: 'GET' }),
+    post: (params) => request({ ...params, method: 'POST' }),
+    put: (params) => request({ ...params, method: 'PUT' }),
+    patch: (params) => request({ ...params, method: 'PATCH' }),
+    del: (params) => request({ ...params, method: 'DELETE' }),
+  };
+}
+
+module.exports = {
+  request,
+  ...verbs(request),
+  /**
+   * the `get80` method. Plain http on port 80, not rate limited.
+   *
+   * @param {object} params see `request()`
+   * @returns {Promise<object>} { statusCode, headers, body, data }
+   */
+  get80: (params) => retrying({ ...params, method: 'GET', protocol: 'http:', port: 80 }),
+  querystring,
+  limiter,
+  create,
+  defaults,
+  /**
+   * Changes the request defaults for every following request.
+   *
+   * example:
+   * ```js
+   * api.Utils.Https.setDefaults({ retries: 5, timeout: 30000 });
+   * ```
+   *
+   * @param {object} options any of `retries`, `timeout`, `backoff`, `maxBackoff`
+   * @returns {object} the current defaults
+   */
+  setDefaults(options = {}) {
+    return Object.assign(defaults, options);
   },
+  multipart,
+  encode,
+  RequestError,
+  DiscordAPIError,
 };
@@ -0,0 +1,148 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { ValidationError } = require('./errors');
+
+/**
+ * LOCALES
+ * https://discord.com/developers/docs/reference#locales
+ */
+
+// Locales Discord sends as `interaction.locale` and takes as keys of `name_localizations` and `description_localizations`.
+const LOCALES = [
+  'id', 'da', 'de', 'en-GB', 'en-US', 'es-ES', 'es-419', 'fr', 'hr', 'it', 'lt', 'hu', 'nl', 'no', 'pl', 'pt-BR',
+  'ro', 'fi', 'sv-SE', 'vi', 'tr', 'cs', 'el', 'bg', 'ru', 'uk', 'hi', 'th', 'zh-CN', 'ja', 'zh-TW', 'ko',
+];
+
+// `es-ES` -> `es`
+const language = (locale) => locale?.split('-')[0];
+
+// a dotted key in nested messages, or the key as it is in flat ones
+const lookup = (messages, key) => {
+  if (!messages) return undefined;
+  if (typeof messages[key] === 'string') return messages[key];
+  const value = key.split('.').reduce((node, part) => node?.[part], messages);
+  return typeof value === 'string' ? value : undefined;
+};
+
+const interpolate = (text, vars = {}) => text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+
+/**
+ * Creates a translation catalog from messages per locale. Messages can be nested, keys are dotted paths,
+ * `{name}` placeholders are filled from `vars`.
+ *
+ * A key is looked up in the locale, its language (`es` for `es-419`), the guild's locale when given,
+ * then the fallback locale; a key missing everywhere comes back as it is.
+ *
+ * example:
+ * ```js
+ * const catalog = createCatalog({
+ *   'en-US': { ping: { reply: 'Pong! {ms} ms' } },
+ *   fr: { ping: { reply: 'Pong ! {ms} ms' } },
+ * });
+ * catalog.t('fr', 'ping.reply', { ms: 42 }); // 'Pong ! 42 ms'
+ * catalog.t('de', 'ping.reply', { ms: 42 }); // 'Pong! 42 ms'
+ * catalog.for(interaction)('ping.reply', { ms: 42 }); // in the user's locale, else the guild's
+ * ```
+ *
+ * @param {object} messages `{ [locale]: { key: 'text' } }`
+ * @param {object} [options]
+ * @param {string} [options.fallback] locale used when nothing else has the key, `en-US` by default
+ * @returns {object} catalog
+ */
+function createCatalog(messages = {}, options = {}) {
+  const fallback = options.fallback ?? 'en-US';
+
+  // the locales to try, in order
+  const chain = (locale, guild_locale) => [...new Set([
+    locale, language(locale), guild_locale, language(guild_locale), fallback, language(fallback),
+  ].filter(Boolean))];
+
+  const catalog = {
+    messages,
+    fallback,
+
+    /**
+     * The locales with messages.
+     */
+    get locales() {
+      return Object.keys(messages);
+    },
+
+    /**
+     * Translates a key.
+     *
+     * @param {string|object} locale locale, or `{ locale, guild_locale }` (e.g. an interaction)
+     * @param {string} key dotted message key
+     * @param {object} [vars] values for `{name}` placeholders
+     * @returns {string}
+     */
+    t(locale, key, vars) {
+      const { locale: user, guild_locale } = typeof locale === 'object' && locale !== null ? locale : { locale };
+      for (const candidate of chain(user, guild_locale)) {
+        const text = lookup(messages[candidate], key);
+        if (text !== undefined) return interpolate(text, vars);
+      }
+      return key;
+    },
+
+    /**
+     * A translate function for an interaction, going by `interaction.locale`, then `guild_locale`.
+     *
+     * @param {object} interaction
+     * @returns {Function} `(key, vars) => string`
+     */
+    for: (interaction) => (key, vars) => catalog.t(interaction, key, vars),
+
+    /**
+     * A key in every Discord locale that has it, the shape `name_localizations` and
+     * `description_localizations` take. Language-only messages (`es`) fill their regional locales.
+     *
+     * @param {string} key
+     * @returns {object|undefined} `{ [locale]: text }`, undefined when no locale has the key
+     */
+    localizations(key) {
+      const out = {};
+      for (const locale of LOCALES) {
+        const text = lookup(messages[locale], key) ?? lookup(messages[language(locale)], key);
+        if (text !== undefined) out[locale] = text;
+      }
+      return Object.keys(out).length ? out : undefined;
+    },
+  };
+
+  return catalog;
+}
+
+/**
+ * Loads a catalog from a directory of JSON files named after their locale, `en-US.json`, `fr.json`, ...
+ *
+ * example:
+ * ```js
+ * const catalog = await api.Utils.Locales.loadCatalog('./locales', { fallback: 'en-US' });
+ * ```
+ *
+ * @param {string} dir directory of `<locale>.json` files
+ * @param {object} [options] `createCatalog()` options
+ * @returns {Promise<object>} catalog
+ */
+async function loadCatalog(dir, options = {}) {
+  const messages = {};
+  for (const file of (await fs.readdir(dir)).filter((name) => name.endsWith('.json')).sort()) {
+    const locale = path.basename(file, '.json');
+    if (!LOCALES.includes(locale) && !LOCALES.some((known) => language(known) === locale))
+      throw new ValidationError('is not a Discord locale or language', { path: file });
+    const text = await fs.readFile(path.join(dir, file), 'utf8');
+    try {
+      messages[locale] = JSON.parse(text);
+    } catch (e) {
+      throw new ValidationError(`is not valid JSON, ${e.message}`, { path: file });
+    }
+  }
+  return createCatalog(messages, options);
+}
+
+module.exports = {
+  createCatalog,
+  loadCatalog,
+  LOCALES,
+};
@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const { ValidationError } = require('./errors');
+
+// Content types for the usual attachment extensions, anything else goes up as octet-stream.
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+/**
+ * Reads a stream to the end into a Buffer.
+ */
+async function collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Normalizes a single file input into `{ name, data, contentType, description }`.
+ *
+ * Accepts a file path, a Buffer, a readable stream, or an object with `name` and one of
+ * `data` (Buffer/string), `path` or `stream`, plus optional `description`, `contentType` and `spoiler`.
+ */
+async function file(input, index) {
+  if (typeof input === 'string') input = { path: input };
+  else if (Buffer.isBuffer(input) || input instanceof Uint8Array) input = { data: input };
+  else if (typeof input?.pipe === 'function') input = { stream: input };
+
+  let data;
+  if (input.data !== undefined) data = Buffer.from(input.data);
+  else if (input.path) data = await fs.readFile(input.path);
+  else if (input.stream) data = await collect(input.stream);
+  else throw new TypeError(`files[${index}] has no data, path or stream`);
+
+  let name = input.name ?? input.filename
+    ?? path.basename(input.path ?? (typeof input.stream?.path === 'string' ? input.stream.path : `file${index}`));
+  if (input.spoiler && !name.startsWith('SPOILER_')) name = `SPOILER_${name}`;
+
+  return {
+    name,
+    data,
+    contentType: input.contentType ?? CONTENT_TYPES[path.extname(name).toLowerCase()] ?? 'application/octet-stream',
+    description: input.description,
+  };
+}
+
+/**
+ * A payload given as a JSON string (a ready `payload_json`) is parsed, so it isn't encoded a second time.
+ */
+function parsePayload(payload) {
+  if (typeof payload !== 'string') return payload;
+  try {
+    return JSON.parse(payload);
+  } catch (e) {
+    throw new ValidationError(`is not valid JSON, ${e.message}`, { path: 'payload_json' });
+  }
+}
+
+/**
+ * Encodes a payload and its files as `multipart/form-data` the way Discord expects it:
+ * the payload goes into the `payload_json` part and every file into a `files[n]` part.
+ *
+ * Every file gets an entry in `target.attachments` with `id: n`, unless an entry with that id
+ * is already there. Existing attachment entries (e.g. attachments being kept on an edit) are left alone.
+ *
+ * example:
+ * ```js
+ * const form = await multipart({ content: 'logs attached' }, ['./error.log', { name: 'chart.png', data: buffer }]);
+ * await https.post({ url, path, headers: { ...form.headers, Authorization }, body: form.body });
+ * ```
+ *
+ * @param {object|string} payload JSON payload (or its JSON string), sent as `payload_json`.
+ * @param {array} files file paths, Buffers, streams or `{ name, data | path | stream, description }` objects.
+ * @param {object} target object the `attachments` array belongs on, defaults to `payload`.
+ * @returns {Promise<object>} `{ headers, body }`, body is a Buffer.
+ */
+async function multipart(payload, files = [], target) {
+  payload = parsePayload(payload);
+  target = target ?? payload;
+  const boundary = `----mapih${crypto.randomBytes(12).toString('hex')}`;
+  const normalized = await Promise.all(files.map(file));
+
+  const attachments = Array.isArray(target.attachments) ? [...target.attachments] : [];
+  normalized.forEach((f, n) => {
+    if (!attachments.some((a) => String(a.id) === String(n)))
+      attachments.push({ id: n, filename: f.name, description: f.description });
+  });
+  target.attachments = attachments;
+
+  const parts = [];
+  const escape = (value) => value.replace(/"/g, '%22').replace(/\r?\n/g, ' ');
+
+  parts.push(Buffer.from(
+    `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="payload_json"\r\n` +
+    `Content-Type: application/json\r\n\r\n` +
+    `${JSON.stringify(payload)}\r\n`
+  ));
+  normalized.forEach((f, n) => {
+    parts.push(Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="files[${n}]"; filename="${escape(f.name)}"\r\n` +
+      `Content-Type: ${f.contentType}\r\n\r\n`
+    ));
+    parts.push(f.data, Buffer.from('\r\n'));
+  });
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  return {
+    headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+    body: Buffer.concat(parts),
+  };
+}
+
+/**
+ * Encodes a request body: plain JSON when there are no files, `multipart()` otherwise.
+ *
+ * @param {object|string} payload JSON payload, or its JSON string.
+ * @param {array} [files] files to upload, see `multipart()`.
+ * @param {object} [target] object the `attachments` array belongs on, defaults to `payload`.
+ * @returns {Promise<object>} `{ headers, body }`
+ */
+async function encode(payload, files, target) {
+  payload = parsePayload(payload);
+  if (!files?.length)
+    return { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+  return multipart(payload, files, target);
+}
+
+module.exports = {
+  multipart,
+  encode,
+};
@@ -0,0 +1,245 @@
+/**
+ * Discord rate limit bucket manager.
+ *
+ * Requests are queued per route + major parameter (channel, guild, or webhook and interaction id with their token)
+ * and sent one at a time.
+ * Once Discord tells us which bucket a route belongs to (`X-RateLimit-Bucket`), every route sharing that
+ * bucket shares its `remaining`/`reset` state, so exhausted buckets are waited out before sending.
+ * A `429` is retried after `retry_after`, and a global limit holds every queue until it lifts.
+ *
+ * https://discord.com/developers/docs/topics/rate-limits
+ */
+
+const MAJOR_PARAMETERS = ['channels', 'guilds', 'webhooks'];
+
+// Routes limited per id and token: every webhook token, and every interaction, has limits of its own.
+const TOKEN_PARAMETERS = ['webhooks', 'interactions'];
+
+// Give up on a request after this many consecutive 429s and hand the response back.
+const MAX_RATE_LIMIT_RETRIES = 5;
+
+// Bucket states kept before expired ones are swept.
+const MAX_BUCKETS = 1000;
+
+/**
+ * Resolves after `ms`, rejects with the abort reason as soon as `signal` aborts.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Reads a single header value from a node response headers object.
+ *
+ * @param {object} headers response headers (lowercased by node)
+ * @param {string} name header name
+ * @returns {string|undefined}
+ */
+function header(headers = {}, name) {
+  const value = headers[name.toLowerCase()];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+/**
+ * Reduces a request path to the route it is rate limited on.
+ *
+ * Major parameters are kept, every other id is replaced by a placeholder so that
+ * `/channels/1/messages/2` and `/channels/1/messages/3` share a route. Webhook and interaction tokens
+ * are placeholders in the route but part of the major parameter, so two interactions never wait on each other.
+ *
+ * example:
+ * ```js
+ * route('DELETE', '/api/channels/123/messages/456');
+ * // { key: 'DELETE /channels/123/messages/:id', major: 'channels/123' }
+ * route('POST', '/interactions/123/aW50ZXJhY3Rpb24/callback');
+ * // { key: 'POST /interactions/:id/:token/callback', major: 'interactions/123/aW50ZXJhY3Rpb24' }
+ * ```
+ *
+ * @param {string} method http method
+ * @param {string} path request path, with or without `/api` and query string
+ * @returns {{ key: string, major: string }}
+ */
+function route(method, path) {
+  const segments = path
+    .split('?')[0]
+    .replace(/^\/api(\/v\d+)?/, '')
+    .split('/')
+    .filter(Boolean);
+
+  const id = /^\d+$/.test(segments[1] ?? '');
+  const kept = MAJOR_PARAMETERS.includes(segments[0]) && id;
+  let major = kept ? `${segments[0]}/${segments[1]}` : '';
+  if (TOKEN_PARAMETERS.includes(segments[0]) && id && segments[2]) major = `${segments[0]}/${segments[1]}/${segments[2]}`;
+
+  const parts = [];
+  for (let i = 0; i < segments.length; i++) {
+    const segment = segments[i];
+    if (segment === 'reactions') {
+      // every reaction route on a message shares one bucket, whatever the emoji or user
+      parts.push(segment);
+      break;
+    }
+    if (i === 1 && kept) parts.push(segment);
+    else if (i === 2 && TOKEN_PARAMETERS.includes(segments[0])) parts.push(':token');
+    else if (/^\d+$/.test(segment)) parts.push(':id');
+    else parts.push(segment);
+  }
+
+  return { key: `${method.toUpperCase()} /${parts.join('/')}`, major };
+}
+
+/**
+ * Creates a rate limiter with its own bucket state. Rate limits are per bot token,
+ * so every set of credentials should get its own limiter.
+ *
+ * example:
+ * ```js
+ * const limiter = createRateLimiter();
+ * const res = await limiter.schedule('POST', `/api/channels/${channel_id}/messages`, () => send());
+ * ```
+ *
+ * @returns {object} limiter
+ */
+function createRateLimiter() {
+  const routes = new Map(); // route key -> bucket hash
+  const buckets = new Map(); // bucket hash (or route key) + major -> { remaining, reset }
+  const queues = new Map(); // route key + major -> tail of the request chain
+  let globalReset = 0;
+
+  const bucketKey = ({ key, major }) => `${routes.get(key) ?? key}:${major}`;
+
+  /**
+   * Waits until neither the global limit nor the route's bucket block a request,
+   * then claims one request from the bucket.
+   */
+  async function acquire(target, signal) {
+    for (; ;) {
+      signal?.throwIfAborted();
+      const now = Date.now();
+      if (globalReset > now) {
+        await sleep(globalReset - now, signal);
+        continue;
+      }
+      const bucket = buckets.get(bucketKey(target));
+      if (bucket && bucket.remaining <= 0 && bucket.reset > now) {
+        await sleep(bucket.reset - now, signal);
+        continue;
+      }
+      if (bucket && bucket.remaining > 0) bucket.remaining--;
+      return;
+    }
+  }
+
+  function sweep() {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) if (bucket.reset <= now) buckets.delete(key);
+  }
+
+  /**
+   * Records the rate limit headers of a response against the route's bucket.
+   */
+  function update(target, res) {
+    const hash = header(res.headers, 'X-RateLimit-Bucket');
+    if (hash) routes.set(target.key, hash);
+
+    const remaining = header(res.headers, 'X-RateLimit-Remaining');
+    const resetAfter = header(res.headers, 'X-RateLimit-Reset-After');
+    if (remaining !== undefined && resetAfter !== undefined) {
+      buckets.set(bucketKey(target), {
+        remaining: Number(remaining),
+        reset: Date.now() + Number(resetAfter) * 1000,
+      });
+      // every interaction token gets buckets of its own, the ones past their reset are dropped now and then
+      if (buckets.size > MAX_BUCKETS) sweep();
+    }
+  }
+
+  /**
+   * Handles a 429, returns the number of milliseconds to wait before retrying.
+   */
+  function limited(target, res) {
+    let body = {};
+    try {
+      body = JSON.parse(res.body);
+    } catch (e) { }
+
+    const retryAfter = Number(body.retry_after ?? header(res.headers, 'Retry-After') ?? 1) * 1000;
+    if (body.global || header(res.headers, 'X-RateLimit-Global') === 'true')
+      globalReset = Date.now() + retryAfter;
+    else
+      buckets.set(bucketKey(target), { remaining: 0, reset: Date.now() + retryAfter });
+
+    return retryAfter;
+  }
+
+  async function run(target, send, signal) {
+    for (let attempt = 0; ; attempt++) {
+      await acquire(target, signal);
+      const res = await send();
+      if (!res || !res.headers) return res;
+      update(target, res);
+      if (res.statusCode !== 429 || attempt >= MAX_RATE_LIMIT_RETRIES) return res;
+      await sleep(limited(target, res), signal);
+    }
+  }
+
+  return {
+    /**
+     * Queues `send` behind every earlier request on the same route + major parameter
+     * and resolves with its response once it has gone through without being rate limited.
+     * Aborting `signal` rejects right away with its reason, wherever the request is waiting;
+     * the requests queued behind it keep their order.
+     *
+     * @param {string} method http method
+     * @param {string} path request path
+     * @param {Function} send performs the request, resolves `{ statusCode, headers, body }`
+     * @param {AbortSignal} [signal] stops waiting in the queue and on rate limits
+     * @returns {Promise<object>} the response of `send`
+     */
+    schedule(method, path, send, signal) {
+      const target = route(method, path);
+      const queueKey = `${target.key}:${target.major}`;
+
+      const previous = queues.get(queueKey) ?? Promise.resolve();
+      const current = previous.then(() => run(target, send, signal), () => run(target, send, signal));
+      queues.set(queueKey, current);
+
+      const cleanup = () => {
+        if (queues.get(queueKey) === current) queues.delete(queueKey);
+      };
+      current.then(cleanup, cleanup);
+      if (!signal) return current;
+
+      // the queue position is kept until the requests ahead are done, the caller stops waiting now
+      return new Promise((resolve, reject) => {
+        const onAbort = () => reject(signal.reason);
+        if (signal.aborted) onAbort();
+        else signal.addEventListener('abort', onAbort, { once: true });
+        current.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+      });
+    },
+
+    /**
+     * Milliseconds left on the global rate limit, 0 when not globally limited.
+     */
+    get globalRemaining() {
+      return Math.max(0, globalReset - Date.now());
+    },
+  };
+}
+
+module.exports = {
+  createRateLimiter,
+  route,
+};
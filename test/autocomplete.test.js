@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAutocomplete, rank, score, choice } = require('../api/discord/autocomplete');
+
+const typing = (value, extra = {}) => ({
+  id: 'i',
+  type: 4,
+  data: { name: 'tag', options: [{ type: 3, name: 'name', value, focused: true }] },
+  ...extra,
+});
+
+test('score prefers exact, prefix, word, substring and then scattered matches', () => {
+  const scores = ['general', 'generalities', 'off-general', 'ungeneral', 'g-e-n'].map((text) => score('general', text));
+  assert.ok(scores[0] > scores[1] && scores[1] > scores[2] && scores[2] > scores[3]);
+  assert.strictEqual(scores[4], null);
+  assert.ok(score('gc', 'general chat') > 0);
+  assert.ok(score('gc', 'general chat') < score('gen', 'off-general'));
+  assert.strictEqual(score('xyz', 'general'), null);
+  assert.strictEqual(score('cafe', 'Café'), 1000);
+  assert.strictEqual(score('', 'anything'), 0);
+});
+
+test('rank orders candidates, keeps ties in order and skips empty ones', () => {
+  assert.deepStrictEqual(rank('gen', ['random', 'general', null, 'off-topic', 'gaming-general', undefined]), [
+    { name: 'general', value: 'general' },
+    { name: 'gaming-general', value: 'gaming-general' },
+  ]);
+  assert.deepStrictEqual(rank('', ['b', 'a', 'c'], { limit: 2 }).map((c) => c.name), ['b', 'a']);
+  assert.strictEqual(rank('', Array.from({ length: 40 }, (_, i) => `${i}`), { limit: 50 }).length, 25);
+  assert.deepStrictEqual(rank('rot', [{ name: 'red', value: 1, name_localizations: { de: 'rot' } }, { name: 'blue', value: 2 }], { locale: 'de' }),
+    [{ name: 'red', value: 1, name_localizations: { de: 'rot' } }]);
+});
+
+test('choice keeps names and values within the limits', () => {
+  assert.deepStrictEqual(choice('red'), { name: 'red', value: 'red' });
+  assert.deepStrictEqual(choice(7), { name: '7', value: 7 });
+  const long = choice({ name: 'n'.repeat(150), value: 'v'.repeat(150), name_localizations: { fr: 'f'.repeat(150) } });
+  assert.strictEqual(long.name.length, 100);
+  assert.ok(long.name.endsWith('…'));
+  assert.strictEqual(long.value, 'v'.repeat(100));
+  assert.strictEqual(long.name_localizations.fr.length, 100);
+  assert.strictEqual(choice({ name: 'only a name' }).value, 'only a name');
+  assert.throws(() => choice(null), TypeError);
+  assert.throws(() => choice(undefined), TypeError);
+});
+
+test('candidate lists from a function are cached per command and option', async () => {
+  let calls = 0;
+  const source = async () => {
+    calls++;
+    return ['general', 'random'];
+  };
+  const suggest = createAutocomplete({ callback: {} });
+  const [first, second] = await Promise.all([suggest.choices(typing('gen'), source), suggest.choices(typing('ran'), source)]);
+  assert.deepStrictEqual(first.map((c) => c.name), ['general']);
+  assert.deepStrictEqual(second.map((c) => c.name), ['random']);
+  assert.strictEqual(calls, 1);
+
+  await suggest.choices(typing('r', { guild_id: '2' }), source, { key: (interaction) => `tags:${interaction.guild_id}` });
+  assert.strictEqual(calls, 2);
+  await suggest.clear();
+  await suggest.choices(typing('r'), source);
+  assert.strictEqual(calls, 3);
+});
+
+test('a ttl of 0 fetches every time, unless a call sets its own', async () => {
+  let calls = 0;
+  const source = () => {
+    calls++;
+    return ['a'];
+  };
+  const suggest = createAutocomplete({ callback: {} }, { ttl: 0 });
+  await suggest.choices(typing('a'), source);
+  await suggest.choices(typing('a'), source);
+  assert.strictEqual(calls, 2);
+  await suggest.choices(typing('a'), source, { ttl: 60000 });
+  await suggest.choices(typing('a'), source, { ttl: 60000 });
+  assert.strictEqual(calls, 3);
+
+  const cached = createAutocomplete({ callback: {} });
+  await cached.choices(typing('a'), source, { ttl: 0 });
+  await cached.choices(typing('a'), source, { ttl: 0 });
+  assert.strictEqual(calls, 5);
+});
+
+test('a failed fetch is not cached', async () => {
+  let fail = true;
+  const source = async () => {
+    if (fail) throw new Error('database down');
+    return ['a'];
+  };
+  const suggest = createAutocomplete({ callback: {} });
+  await assert.rejects(suggest.choices(typing('a'), source), /database down/);
+  fail = false;
+  assert.deepStrictEqual(await suggest.choices(typing('a'), source), [{ name: 'a', value: 'a' }]);
+});
+
+test('respond and handler answer the interaction with the ranked choices', async () => {
+  const replies = [];
+  const suggest = createAutocomplete({ callback: { autocomplete_reply: async (interaction, choices) => replies.push(choices) } });
+  await suggest.respond(typing('bl'), ['red', 'blue']);
+  await suggest.handler(['green', 'black'], { limit: 1 })(typing(''), { autocomplete: async (choices) => replies.push(choices) });
+  assert.deepStrictEqual(replies, [[{ name: 'blue', value: 'blue' }], [{ name: 'green', value: 'green' }]]);
+});
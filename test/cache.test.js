@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { createCache, memoryStore } = require('../api/utils/cache');
+const { createClient } = require('../api/client');
+const { listen } = require('./server');
+
+test('the memory store expires entries and drops the least recently used', async () => {
+  const store = memoryStore({ max: 2 });
+  await store.set('a', 1);
+  await store.set('b', 2);
+  await store.get('a');
+  await store.set('c', 3);
+  assert.strictEqual(await store.get('b'), undefined);
+  assert.strictEqual(await store.get('a'), 1);
+
+  await store.set('short', 1, 10);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.strictEqual(await store.get('short'), undefined);
+});
+
+test('cached values are copies', async () => {
+  const cache = createCache();
+  const guild = { id: '1', name: 'a' };
+  await cache.set('guilds', '1', guild);
+  guild.name = 'changed';
+  const cached = await cache.get('guilds', '1');
+  cached.name = 'changed too';
+  assert.strictEqual((await cache.get('guilds', '1')).name, 'a');
+});
+
+test('gateway events keep guilds, channels, roles and members up to date', async () => {
+  const cache = createCache();
+  await cache.apply('GUILD_CREATE', {
+    id: 'g',
+    name: 'guild',
+    roles: [{ id: 'r1' }],
+    channels: [{ id: 'c1' }],
+    members: [{ user: { id: 'u1' }, nick: null, deaf: false }],
+  });
+  assert.deepStrictEqual(await cache.get('guilds', 'g'), { id: 'g', name: 'guild', roles: [{ id: 'r1' }] });
+  assert.deepStrictEqual(await cache.get('channels', 'g'), [{ id: 'c1', guild_id: 'g' }]);
+
+  await cache.apply('GUILD_ROLE_CREATE', { guild_id: 'g', role: { id: 'r2' } });
+  await cache.apply('GUILD_ROLE_DELETE', { guild_id: 'g', role_id: 'r1' });
+  assert.deepStrictEqual(await cache.get('roles', 'g'), [{ id: 'r2' }]);
+
+  await cache.apply('CHANNEL_UPDATE', { guild_id: 'g', id: 'c1', name: 'renamed' });
+  assert.deepStrictEqual(await cache.get('channels', 'g'), [{ guild_id: 'g', id: 'c1', name: 'renamed' }]);
+
+  await cache.apply('GUILD_MEMBER_UPDATE', { guild_id: 'g', user: { id: 'u1' }, nick: 'nick' });
+  assert.deepStrictEqual(await cache.get('members', 'g:u1'), { user: { id: 'u1' }, nick: 'nick', deaf: false, guild_id: 'g' });
+  await cache.apply('GUILD_MEMBER_REMOVE', { guild_id: 'g', user: { id: 'u1' } });
+  assert.strictEqual(await cache.get('members', 'g:u1'), undefined);
+
+  await cache.apply('GUILD_DELETE', { id: 'g', unavailable: true });
+  assert.strictEqual(await cache.get('guilds', 'g'), undefined);
+  assert.ok(await cache.get('roles', 'g'), 'an outage keeps the rest');
+  await cache.apply('GUILD_DELETE', { id: 'g' });
+  assert.strictEqual(await cache.get('roles', 'g'), undefined);
+});
+
+test('a member update for a member that is not cached caches nothing', async () => {
+  const cache = createCache();
+  await cache.apply('GUILD_MEMBER_UPDATE', { guild_id: 'g', user: { id: 'u1' }, nick: 'nick' });
+  assert.strictEqual(await cache.get('members', 'g:u1'), undefined);
+});
+
+test('channel and role events leave lists that are not cached alone', async () => {
+  const cache = createCache();
+  await cache.apply('CHANNEL_CREATE', { guild_id: 'g', id: 'c1' });
+  assert.strictEqual(await cache.get('channels', 'g'), undefined);
+});
+
+test('listen applies dispatches and shrugs off a failing store', async () => {
+  // a store that fails to write u1
+  const cache = createCache({
+    store: () => {
+      const store = memoryStore();
+      return { ...store, set: async (key, ...rest) => (key === 'g:u1' ? Promise.reject(new Error('down')) : store.set(key, ...rest)) };
+    },
+  });
+  const gateway = new EventEmitter();
+  const stop = cache.listen(gateway);
+  gateway.emit('dispatch', { t: 'GUILD_MEMBER_ADD', d: { guild_id: 'g', user: { id: 'u1' } } });
+  gateway.emit('dispatch', { t: 'GUILD_MEMBER_ADD', d: { guild_id: 'g', user: { id: 'u2' } } });
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.strictEqual(await cache.get('members', 'g:u1'), undefined);
+  assert.ok(await cache.get('members', 'g:u2'));
+  stop();
+  assert.strictEqual(gateway.listenerCount('dispatch'), 0);
+});
+
+test('REST lookups are answered from the cache until forced', async (t) => {
+  const server = await listen(() => ({ status: 200, body: { id: 'g', name: 'guild', roles: [{ id: 'r' }] } }));
+  t.after(() => server.close());
+  const client = createClient({ baseUrl: server.baseUrl, token: 'token' });
+
+  await client.Guilds.getGuild({ guild_id: 'g' });
+  await client.Guilds.getGuild({ guild_id: 'g' });
+  assert.strictEqual(server.requests.length, 1);
+  assert.deepStrictEqual(await client.cache.get('roles', 'g'), [{ id: 'r' }]);
+  await client.Guilds.getGuild({ guild_id: 'g', force: true });
+  assert.strictEqual(server.requests.length, 2);
+
+  const uncached = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+  await uncached.Guilds.getGuild({ guild_id: 'g' });
+  await uncached.Guilds.getGuild({ guild_id: 'g' });
+  assert.strictEqual(server.requests.length, 4);
+});
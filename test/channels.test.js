@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../api/client');
+const { listen } = require('./server');
+
+// the JSON part of a multipart body
+const payload = (body) => JSON.parse(/name="payload_json"[^]*?\r\n\r\n([^]*?)\r\n--/.exec(body.toString())[1]);
+
+const message = { id: '500', channel_id: '1', content: 'hello', attachments: [{ id: '900', filename: 'a.txt' }, { id: '901', filename: 'b.txt' }] };
+
+const discord = async (t, handler) => {
+  const server = await listen(handler);
+  t.after(() => server.close());
+  const { Channels } = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+  return { server, Channels, calls: () => server.requests.map((req) => `${req.method} ${req.url.replace('/api/v10', '')}`) };
+};
+
+test('messages are read, crossposted, pinned and unpinned', async (t) => {
+  const { server, Channels, calls } = await discord(t, (req) => {
+    if (req.url.endsWith('/messages/pins?limit=50')) return { body: { items: [{ pinned_at: '2024-01-01T00:00:00.000Z', message }], has_more: false } };
+    if (req.method === 'PUT' || req.method === 'DELETE') return { status: 204 };
+    return { body: message };
+  });
+
+  assert.deepStrictEqual(await Channels.getMessage({ channel_id: '1', message_id: '500' }), message);
+  assert.deepStrictEqual(await Channels.messageCrosspost({ channel_id: '1', message_id: '500' }), message);
+  assert.strictEqual((await Channels.getPinnedMessages({ channel_id: '1', limit: 50 })).items[0].message.id, '500');
+  assert.strictEqual(await Channels.pinMessage({ channel_id: '1', message_id: '500', reason: 'important' }), true);
+  assert.strictEqual(await Channels.unpinMessage({ channel_id: '1', message_id: '500' }), true);
+  assert.deepStrictEqual(calls(), [
+    'GET /channels/1/messages/500',
+    'POST /channels/1/messages/500/crosspost',
+    'GET /channels/1/messages/pins?limit=50',
+    'PUT /channels/1/messages/pins/500',
+    'DELETE /channels/1/messages/pins/500',
+  ]);
+  assert.strictEqual(server.requests[3].headers['x-audit-log-reason'], 'important');
+});
+
+test('editing with new files keeps the attachments already there', async (t) => {
+  const { server, Channels, calls } = await discord(t, () => ({ body: message }));
+  await Channels.messageEdit({ channel_id: '1', message_id: '500', content: 'more', files: [{ name: 'c.txt', data: Buffer.from('c') }] });
+  assert.deepStrictEqual(calls(), ['GET /channels/1/messages/500', 'PATCH /channels/1/messages/500']);
+  assert.deepStrictEqual(payload(server.requests[1].body).attachments, [{ id: '900' }, { id: '901' }, { id: 0, filename: 'c.txt' }]);
+});
+
+test('editing without files sends the attachments as given', async (t) => {
+  const { server, Channels, calls } = await discord(t, () => ({ body: message }));
+  await Channels.messageEdit({ channel_id: '1', message_id: '500', content: 'edited' });
+  await Channels.messageEdit({ channel_id: '1', message_id: '500', keep_attachments: false });
+  await Channels.messageEdit({ channel_id: '1', message_id: '500', attachments: [{ id: '901' }], files: [{ name: 'c.txt', data: Buffer.from('c') }] });
+  assert.deepStrictEqual(calls(), ['PATCH /channels/1/messages/500', 'PATCH /channels/1/messages/500', 'PATCH /channels/1/messages/500']);
+  assert.deepStrictEqual(JSON.parse(server.requests[0].body), { content: 'edited' });
+  assert.deepStrictEqual(JSON.parse(server.requests[1].body), { attachments: [] });
+  assert.deepStrictEqual(payload(server.requests[2].body).attachments, [{ id: '901' }, { id: 0, filename: 'c.txt' }]);
+});
+
+// a channel of 250 messages, one a minute from `start`, with Discord's paging
+const EPOCH = 1420070400000n;
+const start = Date.UTC(2024, 0, 1);
+const history = Array.from({ length: 250 }, (_, i) => ({ id: String((BigInt(start + i * 60000) - EPOCH) << 22n), content: `${i}` }));
+const byId = (a, b) => (BigInt(a.id) < BigInt(b.id) ? 1 : -1); // newest first
+
+const channel = async (t, fail = () => false) => discord(t, (req) => {
+  const query = new URL(req.url, 'http://localhost').searchParams;
+  if (fail(query)) return { status: 403, body: { code: 50001, message: 'Missing Access' } };
+  const limit = Number(query.get('limit') ?? 50);
+  const sorted = [...history].sort(byId);
+  let page;
+  if (query.has('around')) {
+    const at = sorted.findIndex((m) => m.id === query.get('around'));
+    page = sorted.slice(Math.max(0, at - Math.floor(limit / 2)), at - Math.floor(limit / 2) + limit);
+  } else if (query.has('after')) {
+    page = sorted.filter((m) => BigInt(m.id) > BigInt(query.get('after'))).slice(-limit);
+  } else {
+    page = sorted.filter((m) => !query.has('before') || BigInt(m.id) < BigInt(query.get('before'))).slice(0, limit);
+  }
+  return { body: page };
+});
+
+const walk = async (iterator) => {
+  const out = [];
+  for await (const item of iterator) out.push(Number(item.content));
+  return out;
+};
+
+test('getAllMessages passes before, after and around as they are', async (t) => {
+  const { Channels, calls } = await channel(t);
+  const page = await Channels.getAllMessages({ channel_id: '1', limit: 2, before: history[10].id });
+  assert.deepStrictEqual(page.map((m) => m.content), ['9', '8']);
+  await Channels.getAllMessages({ channel_id: '1', limit: 2, after: history[10].id });
+  await Channels.getAllMessages({ channel_id: '1', around: history[10].id });
+  assert.deepStrictEqual(calls(), [
+    `GET /channels/1/messages?limit=2&before=${history[10].id}`,
+    `GET /channels/1/messages?limit=2&after=${history[10].id}`,
+    `GET /channels/1/messages?around=${history[10].id}`,
+  ]);
+});
+
+test('messageHistory walks backwards from the newest message in pages of 100', async (t) => {
+  const { Channels, calls } = await channel(t);
+  const walked = await walk(Channels.messageHistory({ channel_id: '1' }));
+  assert.deepStrictEqual(walked, Array.from({ length: 250 }, (_, i) => 249 - i));
+  assert.deepStrictEqual(calls(), [
+    'GET /channels/1/messages?limit=100',
+    `GET /channels/1/messages?limit=100&before=${history[150].id}`,
+    `GET /channels/1/messages?limit=100&before=${history[50].id}`,
+  ]);
+});
+
+test('messageHistory walks forwards from after, oldest first', async (t) => {
+  const { Channels, calls } = await channel(t);
+  assert.deepStrictEqual(await walk(Channels.messageHistory({ channel_id: '1', after: history[9].id, limit: 120 })),
+    Array.from({ length: 120 }, (_, i) => i + 10));
+  assert.deepStrictEqual(calls(), [
+    `GET /channels/1/messages?limit=100&after=${history[9].id}`,
+    `GET /channels/1/messages?limit=20&after=${history[109].id}`,
+  ]);
+});
+
+test('messageHistory takes Dates as either end and stops at until', async (t) => {
+  const { Channels } = await channel(t);
+  const minute = (i) => new Date(start + i * 60000);
+  assert.deepStrictEqual(await walk(Channels.messageHistory({ channel_id: '1', before: minute(200), until: minute(195) })), [199, 198, 197, 196, 195]);
+  assert.deepStrictEqual(await walk(Channels.messageHistory({ channel_id: '1', after: minute(3), until: minute(6) })), [4, 5, 6]);
+  assert.deepStrictEqual(await walk(Channels.messageHistory({ channel_id: '1', until: (m) => m.content === '246' })), [249, 248, 247]);
+});
+
+test('messageHistory yields the single page around a message', async (t) => {
+  const { Channels, calls } = await channel(t);
+  assert.deepStrictEqual(await walk(Channels.messageHistory({ channel_id: '1', around: history[100].id, limit: 5 })), [102, 101, 100, 99, 98]);
+  assert.deepStrictEqual(calls(), [`GET /channels/1/messages?limit=5&around=${history[100].id}`]);
+});
+
+test('a failing page ends the walk with its error', async (t) => {
+  const { Channels } = await channel(t, (query) => query.has('before'));
+  const walked = [];
+  await assert.rejects(async () => {
+    for await (const message of Channels.messageHistory({ channel_id: '1' })) walked.push(message);
+  }, /Missing Access/);
+  assert.strictEqual(walked.length, 100);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../api/client');
+const { listen } = require('./server');
+
+test('clients authenticate with their own token and rate limiter', async (t) => {
+  const server = await listen(() => ({ status: 200, body: { id: '1' } }));
+  t.after(() => server.close());
+  const first = createClient({ baseUrl: server.baseUrl, token: 'first', cache: false });
+  const second = createClient({ baseUrl: server.baseUrl, token: 'second', cache: false });
+
+  assert.deepStrictEqual(await first.Users.getCurrentUser(), { id: '1' });
+  await second.Users.getCurrentUser();
+  assert.deepStrictEqual(server.requests.map((req) => req.headers.authorization), ['Bot first', 'Bot second']);
+  assert.notStrictEqual(first.https.limiter, second.https.limiter);
+  assert.strictEqual(first.https.token, 'first');
+});
+
+test('without a token the client reads process.env.token at request time', async (t) => {
+  const server = await listen(() => ({ status: 200, body: {} }));
+  t.after(() => server.close());
+  const saved = process.env.token;
+  t.after(() => {
+    if (saved === undefined) delete process.env.token;
+    else process.env.token = saved;
+  });
+
+  const client = createClient({ baseUrl: server.baseUrl, cache: false });
+  process.env.token = 'from-env';
+  await client.https.get({ path: '/users/@me' });
+  process.env.token = 'rotated';
+  await client.https.get({ path: '/users/@me' });
+  assert.deepStrictEqual(server.requests.map((req) => req.headers.authorization), ['Bot from-env', 'Bot rotated']);
+});
+
+test('a request can bring its own Authorization or go without', async (t) => {
+  const server = await listen(() => ({ status: 200, body: {} }));
+  t.after(() => server.close());
+  const client = createClient({ baseUrl: server.baseUrl, token: 'bot', cache: false });
+  await client.https.get({ path: '/users/@me', headers: { Authorization: 'Bearer user' } });
+  await client.https.post({ path: '/webhooks/1/token', auth: false });
+  assert.strictEqual(server.requests[0].headers.authorization, 'Bearer user');
+  assert.strictEqual(server.requests[1].headers.authorization, undefined);
+});
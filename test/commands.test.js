@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../api/client');
+const { ValidationError } = require('../api/utils/errors');
+const { createCatalog } = require('../api/utils/locales');
+const { listen } = require('./server');
+
+const registered = [
+  { id: '10', application_id: 'app', version: '1', type: 1, name: 'ping', description: 'Replies with pong', options: [], nsfw: false, default_member_permissions: null },
+  { id: '11', application_id: 'app', version: '1', type: 1, name: 'ban', description: 'Bans a member', default_member_permissions: '4', options: [
+    { type: 6, name: 'user', description: 'Member to ban', required: true },
+  ] },
+  { id: '12', application_id: 'app', version: '1', type: 1, name: 'old', description: 'Gone' },
+];
+
+// a Discord stand-in with `registered` as the guild's commands
+const discord = async (t) => {
+  const server = await listen((req) => {
+    if (req.url === '/api/v10/oauth2/applications/@me') return { body: { id: 'app' } };
+    if (req.method === 'GET') return { body: registered };
+    if (req.method === 'DELETE') return { status: 204 };
+    return { body: {} };
+  });
+  t.after(() => server.close());
+  const { Commands } = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+  const writes = () => server.requests.filter((req) => req.method !== 'GET')
+    .map((req) => [req.method, req.url.replace('/api/v10/applications/app/guilds/1/commands', ''), req.body.length ? JSON.parse(req.body) : undefined]);
+  return { server, Commands, writes };
+};
+
+test('diff ignores what Discord fills in and reports real changes', async (t) => {
+  const { Commands } = await discord(t);
+  assert.deepStrictEqual(Commands.diff({ name: 'ping', description: 'Replies with pong' }, registered[0]), []);
+  assert.deepStrictEqual(Commands.diff({
+    name: 'ban',
+    description: 'Bans a member',
+    default_member_permissions: 4,
+    options: [{ type: 6, name: 'user', description: 'Member to ban', required: true, autocomplete: false }],
+  }, registered[1]), []);
+  assert.deepStrictEqual(Commands.diff({
+    name: 'ban',
+    description: 'Bans someone',
+    options: [{ type: 6, name: 'user', description: 'Member to ban' }],
+  }, registered[1]), ['description', 'options', 'default_member_permissions']);
+  assert.deepStrictEqual(Commands.diff({ name: 'ping', description: 'Replies with pong', dm_permission: false }, registered[0]), ['dm_permission']);
+});
+
+test('a dry run reports without sending anything', async (t) => {
+  const { Commands, writes } = await discord(t);
+  const report = await Commands.sync([
+    { name: 'ping', description: 'Replies with pong' },
+    { name: 'ban', description: 'Bans someone', default_member_permissions: '4', options: registered[1].options },
+    { name: 'kick', description: 'Kicks a member' },
+  ], { guild_id: '1', dryRun: true });
+  assert.deepStrictEqual(report, {
+    dryRun: true,
+    created: ['kick'],
+    updated: [{ name: 'ban', changes: ['description'] }],
+    deleted: ['old'],
+    unchanged: ['ping'],
+  });
+  assert.deepStrictEqual(writes(), []);
+});
+
+test('sync creates, edits and deletes only what changed', async (t) => {
+  const { Commands, writes, server } = await discord(t);
+  await Commands.sync([
+    { name: 'ping', description: 'Replies with pong' },
+    { name: 'ban', description: 'Bans a member', options: registered[1].options },
+    { name: 'kick', description: 'Kicks a member' },
+  ], { guild_id: '1' });
+  assert.deepStrictEqual(writes(), [
+    ['PATCH', '/11', { name: 'ban', description: 'Bans a member', options: registered[1].options, default_member_permissions: null }],
+    ['POST', '', { name: 'kick', description: 'Kicks a member' }],
+    ['DELETE', '/12', undefined],
+  ]);
+  // the application id is looked up once
+  assert.strictEqual(server.requests.filter((req) => req.url.includes('oauth2')).length, 1);
+  assert.strictEqual(server.requests.find((req) => req.method === 'GET' && req.url.includes('commands')).url,
+    '/api/v10/applications/app/guilds/1/commands?with_localizations=true');
+});
+
+test('sync keeps unknown commands with delete: false and refuses duplicate definitions', async (t) => {
+  const { Commands, writes } = await discord(t);
+  const report = await Commands.sync(registered.slice(0, 2), { guild_id: '1', application_id: 'app', delete: false });
+  assert.deepStrictEqual(report.deleted, []);
+  assert.deepStrictEqual(writes(), []);
+
+  await assert.rejects(Commands.sync([{ name: 'ping' }, { name: 'ping', description: 'again' }], { guild_id: '1' }), /defined twice/);
+  // a user command may share a slash command's name
+  await Commands.sync([...registered, { type: 2, name: 'ping' }], { guild_id: '1', dryRun: true });
+});
+
+test('command permissions are read with the bot token', async (t) => {
+  const server = await listen((req) => ({ body: req.url.endsWith('/commands/permissions') ? [{ id: '10', permissions: [] }] : { id: '10', permissions: [] } }));
+  t.after(() => server.close());
+  const { Commands } = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+
+  assert.deepStrictEqual(await Commands.getGuildCommandPermissions({ guild_id: '1', application_id: 'app' }), [{ id: '10', permissions: [] }]);
+  assert.deepStrictEqual(await Commands.getCommandPermissions({ guild_id: '1', command_id: '10', application_id: 'app' }), { id: '10', permissions: [] });
+  assert.deepStrictEqual(server.requests.map((req) => [req.url, req.headers.authorization]), [
+    ['/api/v10/applications/app/guilds/1/commands/permissions', 'Bot token'],
+    ['/api/v10/applications/app/guilds/1/commands/10/permissions', 'Bot token'],
+  ]);
+});
+
+test('command permissions are edited with a Bearer token', async (t) => {
+  const server = await listen((req, body) => ({ body: { id: '10', ...JSON.parse(body) } }));
+  t.after(() => server.close());
+  const { Commands } = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+  const { allow, deny } = Commands;
+  const permissions = [deny.everyone('100'), allow.role('5'), allow.user('6'), deny.channel('7'), deny.allChannels('100')];
+
+  const edited = await Commands.editCommandPermissions({ guild_id: '100', command_id: '10', application_id: 'app', token: 'access', permissions });
+  assert.deepStrictEqual(edited.permissions, [
+    { id: '100', type: 1, permission: false },
+    { id: '5', type: 1, permission: true },
+    { id: '6', type: 2, permission: true },
+    { id: '7', type: 3, permission: false },
+    { id: '99', type: 3, permission: false },
+  ]);
+  await Commands.editCommandPermissions({ guild_id: '100', command_id: '10', application_id: 'app', token: { access_token: 'object' }, permissions });
+  await Commands.editCommandPermissions({ guild_id: '100', command_id: '10', application_id: 'app', token: 'Bearer header', permissions });
+  assert.deepStrictEqual(server.requests.map((req) => [req.method, req.url, req.headers.authorization]), [
+    ['PUT', '/api/v10/applications/app/guilds/100/commands/10/permissions', 'Bearer access'],
+    ['PUT', '/api/v10/applications/app/guilds/100/commands/10/permissions', 'Bearer object'],
+    ['PUT', '/api/v10/applications/app/guilds/100/commands/10/permissions', 'Bearer header'],
+  ]);
+  await assert.rejects(Commands.editCommandPermissions({ guild_id: '100', command_id: '10', permissions }), TypeError);
+  assert.strictEqual(server.requests.length, 3);
+});
+
+test('localize fills command, option and choice localizations from a catalog', async (t) => {
+  const { Commands } = await discord(t);
+  const catalog = createCatalog({
+    'en-US': { commands: { color: { name: 'color', description: 'Picks a color' } } },
+    fr: { commands: { color: {
+      name: 'couleur',
+      description: 'Choisit une couleur',
+      options: { shade: { description: 'Nuance', choices: { red: 'rouge' } } },
+    } } },
+  });
+  const [color] = Commands.localize([{
+    name: 'color',
+    description: 'Picks a color',
+    description_localizations: { fr: 'Mine wins' },
+    options: [{ type: 3, name: 'shade', description: 'Shade', choices: [{ name: 'red', value: 'red' }] }],
+  }], catalog);
+
+  assert.deepStrictEqual(color.name_localizations, { fr: 'couleur' });
+  assert.deepStrictEqual(color.description_localizations, { fr: 'Mine wins' });
+  assert.strictEqual(color.options[0].name_localizations, undefined);
+  assert.deepStrictEqual(color.options[0].description_localizations, { fr: 'Nuance' });
+  assert.deepStrictEqual(color.options[0].choices[0], { name: 'red', value: 'red', name_localizations: { fr: 'rouge' } });
+});
+
+test('sync refuses localizations for locales Discord does not know', async (t) => {
+  const { Commands, server } = await discord(t);
+  await assert.rejects(Commands.sync([{
+    name: 'ping',
+    description: 'Replies with pong',
+    options: [{ type: 3, name: 'text', description: 'Text', description_localizations: { fr: 'Texte', french: 'Texte' } }],
+  }], { guild_id: '1', application_id: 'app' }), (e) => e instanceof ValidationError && e.path === 'ping.options.text.description_localizations');
+  assert.strictEqual(server.requests.length, 0);
+});
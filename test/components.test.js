@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError } = require('../api/utils/errors');
+const {
+  actionRow, button, stringSelect, userSelect, channelSelect, textInput, modal, validate,
+} = require('../api/utils/components');
+
+// asserts a ValidationError pointing at `path`
+const invalid = (fn, path) => assert.throws(fn, (e) => e instanceof ValidationError && e.path === path);
+
+test('buttons resolve styles and emoji, and leave out what is not set', () => {
+  assert.deepStrictEqual(button({ label: 'Yes', custom_id: 'vote:yes' }), { type: 2, style: 1, label: 'Yes', custom_id: 'vote:yes' });
+  assert.deepStrictEqual(button({ style: 'danger', emoji: '<a:party:123>', custom_id: 'x' }), {
+    type: 2, style: 4, custom_id: 'x', emoji: { id: '123', name: 'party', animated: true },
+  });
+  assert.deepStrictEqual(button({ style: 'link', label: 'Docs', url: 'https://example.com' }), {
+    type: 2, style: 5, label: 'Docs', url: 'https://example.com',
+  });
+  assert.deepStrictEqual(button({ style: 'premium', sku_id: '1' }), { type: 2, style: 6, sku_id: '1' });
+});
+
+test('buttons break no limits', () => {
+  invalid(() => button({ style: 'shiny', label: 'a', custom_id: 'a' }), 'style');
+  invalid(() => button({ label: 'a'.repeat(81), custom_id: 'a' }), 'label');
+  invalid(() => button({ label: 'a' }), 'custom_id');
+  invalid(() => button({ label: 'a', custom_id: 'a'.repeat(101) }), 'custom_id');
+  invalid(() => button({ custom_id: 'a' }), '');
+  invalid(() => button({ style: 'link', label: 'a' }), '');
+  invalid(() => button({ style: 'link', label: 'a', url: 'https://example.com', custom_id: 'a' }), '');
+  invalid(() => button({ label: 'a', custom_id: 'a', url: 'https://example.com' }), '');
+  invalid(() => button({ style: 'premium', sku_id: '1', label: 'a' }), '');
+});
+
+test('selects check their options, values and defaults', () => {
+  const options = [{ label: 'Red', value: 'red', emoji: '🔴' }, { label: 'Blue', value: 'blue' }];
+  assert.deepStrictEqual(stringSelect({ custom_id: 'colour', options, max_values: 2 }), {
+    type: 3,
+    custom_id: 'colour',
+    max_values: 2,
+    options: [{ label: 'Red', value: 'red', emoji: { name: '🔴' } }, { label: 'Blue', value: 'blue' }],
+  });
+  assert.deepStrictEqual(channelSelect({ custom_id: 'c', channel_types: [0] }), { type: 8, custom_id: 'c', channel_types: [0] });
+
+  invalid(() => stringSelect({ custom_id: 'a' }), 'options');
+  invalid(() => stringSelect({ custom_id: 'a', options: Array.from({ length: 26 }, (_, i) => ({ label: `${i}`, value: `${i}` })) }), 'options');
+  invalid(() => stringSelect({ custom_id: 'a', options: [{ label: 'a', value: 'a' }, { label: 'b', value: 'a' }] }), 'options.1');
+  invalid(() => stringSelect({ custom_id: 'a', options: [{ label: 'a', value: 'a', description: 'a'.repeat(101) }] }), 'options.0.description');
+  invalid(() => stringSelect({ custom_id: 'a', options, max_values: 3 }), 'max_values');
+  invalid(() => stringSelect({ custom_id: 'a', options, min_values: 2, max_values: 1 }), '');
+  invalid(() => stringSelect({ custom_id: 'a', options, default_values: [] }), 'default_values');
+  invalid(() => userSelect({ custom_id: 'a', options }), 'options');
+  invalid(() => userSelect({ custom_id: 'a', default_values: [{ id: '1', type: 'user' }, { id: '2', type: 'user' }] }), 'default_values');
+  invalid(() => userSelect({ custom_id: 'a', max_values: 26 }), 'max_values');
+});
+
+test('text inputs check their lengths', () => {
+  assert.deepStrictEqual(textInput({ custom_id: 'reason', label: 'Why?', style: 'paragraph', max_length: 500 }), {
+    type: 4, custom_id: 'reason', style: 2, label: 'Why?', max_length: 500,
+  });
+  invalid(() => textInput({ custom_id: 'a' }), 'label');
+  invalid(() => textInput({ custom_id: 'a', label: 'a'.repeat(46) }), 'label');
+  invalid(() => textInput({ custom_id: 'a', label: 'a', min_length: 10, max_length: 5 }), '');
+  invalid(() => textInput({ custom_id: 'a', label: 'a', max_length: 4001 }), 'max_length');
+  invalid(() => textInput({ custom_id: 'a', label: 'a', max_length: 3, value: 'abcd' }), 'value');
+});
+
+test('action rows hold up to 5 buttons or a single select', () => {
+  const yes = button({ label: 'Yes', custom_id: 'yes' });
+  assert.deepStrictEqual(actionRow(yes, [button({ label: 'No', custom_id: 'no' })]).components.map((c) => c.custom_id), ['yes', 'no']);
+
+  invalid(() => actionRow(), 'components');
+  invalid(() => actionRow(Array.from({ length: 6 }, (_, i) => button({ label: 'a', custom_id: `${i}` }))), 'components');
+  invalid(() => actionRow(yes, userSelect({ custom_id: 'u' })), 'components');
+  invalid(() => actionRow(userSelect({ custom_id: 'u' }), userSelect({ custom_id: 'v' })), 'components');
+});
+
+test('validate checks hand-assembled components', () => {
+  const row = (...components) => ({ type: 1, components });
+  const components = [row({ type: 2, style: 1, label: 'a', custom_id: 'a' })];
+  assert.strictEqual(validate(components), components);
+
+  invalid(() => validate({}), 'components');
+  invalid(() => validate(Array.from({ length: 6 }, (_, i) => row({ type: 2, style: 1, label: 'a', custom_id: `${i}` }))), 'components');
+  invalid(() => validate([{ type: 2, style: 1, label: 'a', custom_id: 'a' }]), 'components.0');
+  invalid(() => validate([row({ type: 9 })]), 'components.0.components.0.type');
+  invalid(() => validate([row({ type: 2, style: 1, label: 'a', custom_id: 'a' }), row({ type: 2, style: 1, label: 'b', custom_id: 'a' })]),
+    'components.1.components.0');
+  invalid(() => validate([row({ type: 4, custom_id: 'a', label: 'a', style: 1 })]), 'components.0.components');
+  invalid(() => validate([row({ type: 2, style: 1, label: 'a', custom_id: 'a' })], { modal: true, path: 'data.components' }),
+    'data.components.0.components');
+});
+
+test('modals wrap bare text inputs in action rows', () => {
+  const reason = textInput({ custom_id: 'reason', label: 'Why?' });
+  assert.deepStrictEqual(modal({ custom_id: 'report:1', title: 'Report', components: [reason] }), {
+    custom_id: 'report:1', title: 'Report', components: [{ type: 1, components: [reason] }],
+  });
+  invalid(() => modal({ custom_id: 'report:1', title: 'a'.repeat(46), components: [reason] }), 'title');
+  invalid(() => modal({ custom_id: 'report:1', title: 'Report', components: [] }), 'components');
+  invalid(() => modal({ custom_id: 'report:1', title: 'Report', components: [button({ label: 'a', custom_id: 'a' })] }), 'components.0');
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const config = require('../api/utils/config');
+const Https = require('../api/utils/https');
+const { listen } = require('./server');
+
+test('the default target is discord.com/api/v10 over https', () => {
+  assert.deepStrictEqual(config.resolve(), { protocol: 'https:', host: 'discord.com', port: 443, prefix: '/api/v10', apiVersion: 10 });
+});
+
+test('a baseUrl sets protocol, host, port and base path', () => {
+  assert.deepStrictEqual(config.resolve({ baseUrl: 'http://localhost:8080/api/', apiVersion: 9 }), {
+    protocol: 'http:', host: 'localhost', port: 8080, prefix: '/api/v9', apiVersion: 9,
+  });
+  assert.strictEqual(config.resolve({ protocol: 'http' }).port, 80);
+  assert.strictEqual(config.resolve({ apiVersion: null }).prefix, '/api');
+});
+
+test('a versioned baseUrl pins the version instead of getting it appended again', () => {
+  const target = config.resolve({ baseUrl: 'http://localhost:8080/api/v10' });
+  assert.strictEqual(target.prefix, '/api/v10');
+  assert.strictEqual(target.apiVersion, 10);
+  assert.strictEqual(config.resolve({ baseUrl: 'http://localhost:8080/api/v9', apiVersion: 9 }).prefix, '/api/v9');
+  assert.throws(() => config.resolve({ baseUrl: 'http://localhost:8080/api/v9', apiVersion: 10 }), TypeError);
+});
+
+test('unsupported protocols are rejected when the client is created', () => {
+  assert.throws(() => Https.create({ baseUrl: 'ftp://localhost/api' }), TypeError);
+});
+
+test('configure redirects clients without settings of their own', async (t) => {
+  const saved = { ...config.defaults };
+  t.after(() => Object.assign(config.defaults, saved));
+  const server = await listen(() => ({ status: 200, body: {} }));
+  t.after(() => server.close());
+
+  const rest = Https.create({ token: 'token' });
+  config.configure({ baseUrl: `${server.baseUrl}/v9` });
+  await rest.get({ path: '/gateway' });
+  assert.strictEqual(server.requests[0].url, '/api/v9/gateway');
+  assert.strictEqual(rest.apiVersion, 9);
+
+  // a client's own apiVersion wins
+  await Https.create({ token: 'token', apiVersion: 10 }).get({ path: '/gateway' });
+  assert.strictEqual(server.requests[1].url, '/api/v10/gateway');
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { InteractionError } = require('../api/utils/errors');
+const { createContext } = require('../api/discord/context');
+const { createCatalog } = require('../api/utils/locales');
+
+// interaction callbacks that only record what was sent, after `delay` ms
+const recorder = (delay = 0) => {
+  const sent = [];
+  const record = (name) => async (interaction, input) => {
+    sent.push(name);
+    if (delay) await sleep(delay);
+    return { name, input };
+  };
+  return {
+    sent,
+    interactions: {
+      callback: {
+        reply: record('reply'),
+        defer: record('defer'),
+        component_defer: record('component_defer'),
+        component_update: record('component_update'),
+        autocomplete_reply: record('autocomplete_reply'),
+        modal_reply: record('modal_reply'),
+        edit_original: record('edit_original'),
+        delete_original: record('delete_original'),
+      },
+      followup: { create: record('followup') },
+    },
+  };
+};
+
+const command = { id: 'i', type: 2, data: { name: 'report' } };
+const component = { id: 'i', type: 3, data: { custom_id: 'vote:1' } };
+
+const code = (name) => (e) => e instanceof InteractionError && e.code === name;
+
+test('replies turn into edits once deferred and followups once answered', async () => {
+  const { interactions, sent } = recorder();
+  const ctx = createContext(interactions, command, { autoDefer: false });
+  assert.strictEqual(ctx.acknowledged, false);
+  await ctx.defer();
+  assert.strictEqual(ctx.deferred, true);
+  await ctx.defer(); // already acknowledged, nothing sent
+  await ctx.reply({ content: 'done' });
+  assert.strictEqual(ctx.replied, true);
+  await ctx.reply({ content: 'more' });
+  await ctx.editReply({ content: 'changed' });
+  await ctx.followup({ content: 'later' });
+  await ctx.deleteReply();
+  assert.deepStrictEqual(sent, ['defer', 'edit_original', 'followup', 'edit_original', 'followup', 'delete_original']);
+});
+
+test('slow handlers are deferred automatically', async () => {
+  const { interactions, sent } = recorder();
+  const ctx = createContext(interactions, command, { autoDefer: 20, ephemeral: true });
+  await sleep(60);
+  assert.strictEqual(ctx.deferred, true);
+  const { input } = await ctx.reply({ content: 'report' });
+  assert.deepStrictEqual(input, { content: 'report' });
+  assert.deepStrictEqual(sent, ['defer', 'edit_original']);
+
+  const components = recorder();
+  const update = createContext(components.interactions, component, { autoDefer: 20 });
+  await sleep(60);
+  await update.update({ content: 'counted' });
+  assert.deepStrictEqual(components.sent, ['component_defer', 'edit_original']);
+});
+
+test('answering in time stops the automatic defer', async () => {
+  const { interactions, sent } = recorder();
+  const ctx = createContext(interactions, command, { autoDefer: 20 });
+  await ctx.reply({ content: 'quick' });
+  await sleep(60);
+  assert.deepStrictEqual(sent, ['reply']);
+
+  const ended = recorder();
+  createContext(ended.interactions, command, { autoDefer: 20 }).end();
+  await sleep(60);
+  assert.deepStrictEqual(ended.sent, []);
+});
+
+test('after a deferred update, a reply is a followup and leaves the message alone', async () => {
+  const { interactions, sent } = recorder();
+  const ctx = createContext(interactions, component, { autoDefer: 20 });
+  await sleep(60);
+  assert.strictEqual(ctx.deferred, true);
+  await ctx.reply({ content: 'Vote counted', ephemeral: true });
+  await ctx.update({ content: 'Votes: 1' });
+  assert.deepStrictEqual(sent, ['component_defer', 'followup', 'edit_original']);
+
+  const returned = recorder();
+  const deferred = createContext(returned.interactions, component, { autoDefer: false });
+  await deferred.deferUpdate();
+  await deferred.end({ type: 7, data: { content: 'Votes: 2' } });
+  await deferred.end({ type: 4, data: { content: 'Thanks' } });
+  assert.deepStrictEqual(returned.sent, ['component_defer', 'edit_original', 'followup']);
+});
+
+test('a handler failing after the defer does not leave the response thinking', async () => {
+  const { interactions, sent } = recorder();
+  const inputs = [];
+  interactions.callback.edit_original = async (interaction, input) => {
+    sent.push('edit_original');
+    inputs.push(input);
+  };
+  const ctx = createContext(interactions, command, { autoDefer: 10 });
+  await sleep(40);
+  assert.strictEqual(await ctx.end(undefined, new Error('boom')), undefined);
+  assert.deepStrictEqual(sent, ['defer', 'edit_original']);
+  assert.match(inputs[0].content, /went wrong/);
+
+  const catalog = createCatalog({ 'en-US': { failed: 'Oops, {name} broke' } });
+  const translated = createContext(interactions, command, { autoDefer: false, catalog, errorReply: { key: 'failed', vars: { name: 'report' } } });
+  await translated.defer();
+  await translated.end(undefined, new Error('boom'));
+  assert.deepStrictEqual(inputs[1], { content: 'Oops, report broke' });
+
+  const deleting = createContext(interactions, command, { autoDefer: false, errorReply: false });
+  await deleting.defer();
+  await deleting.end(undefined, new Error('boom'));
+  assert.strictEqual(sent.at(-1), 'delete_original');
+
+  // nothing to clean up: unanswered, already replied, or a component's message
+  const before = sent.length;
+  await createContext(interactions, command, { autoDefer: false }).end(undefined, new Error('boom'));
+  const replied = createContext(interactions, command, { autoDefer: false });
+  await replied.reply({ content: 'partial' });
+  await replied.end(undefined, new Error('boom'));
+  const updated = createContext(interactions, component, { autoDefer: false });
+  await updated.deferUpdate();
+  await updated.end(undefined, new Error('boom'));
+  assert.deepStrictEqual(sent.slice(before), ['reply', 'component_defer']);
+});
+
+test('a reply waits for an acknowledgement in flight', async () => {
+  const { interactions, sent } = recorder(30);
+  const ctx = createContext(interactions, command, { autoDefer: false });
+  await Promise.all([ctx.defer(), ctx.reply({ content: 'a' })]);
+  assert.deepStrictEqual(sent, ['defer', 'edit_original']);
+});
+
+test('a failed automatic defer goes to onError', async () => {
+  const { interactions } = recorder();
+  interactions.callback.defer = async () => {
+    throw new Error('Unknown interaction');
+  };
+  const errors = [];
+  const ctx = createContext(interactions, command, { autoDefer: 10, onError: (e) => errors.push(e.message) });
+  await sleep(40);
+  assert.deepStrictEqual(errors, ['Unknown interaction']);
+  assert.strictEqual(ctx.acknowledged, false);
+});
+
+test('late answers throw an InteractionError', async () => {
+  const { interactions, sent } = recorder();
+  const late = createContext(interactions, command, { autoDefer: false, received: Date.now() - 4000 });
+  await assert.rejects(late.reply({ content: 'too late' }), code('NOT_ACKNOWLEDGED'));
+
+  const expired = createContext(interactions, command, { autoDefer: false, received: Date.now() - 16 * 60 * 1000 });
+  assert.strictEqual(expired.expired, true);
+  await assert.rejects(expired.followup({ content: 'too late' }), code('TOKEN_EXPIRED'));
+  await assert.rejects(expired.editReply({ content: 'too late' }), code('TOKEN_EXPIRED'));
+  assert.deepStrictEqual(sent, []);
+});
+
+test('modals and autocomplete only go out as the first response', async () => {
+  const { interactions, sent } = recorder();
+  const ctx = createContext(interactions, command, { autoDefer: false });
+  await ctx.modal({ custom_id: 'm', title: 'T', components: [] });
+  await assert.rejects(ctx.modal({ custom_id: 'm', title: 'T', components: [] }), code('ALREADY_ACKNOWLEDGED'));
+
+  const autocomplete = createContext(interactions, { id: 'i', type: 4, data: {} }, { autoDefer: 10 });
+  await autocomplete.autocomplete([{ name: 'a', value: 'a' }]);
+  await assert.rejects(autocomplete.autocomplete([]), code('ALREADY_ACKNOWLEDGED'));
+  assert.deepStrictEqual(sent, ['modal_reply', 'autocomplete_reply']);
+});
+
+test('end passes interaction responses through while unanswered', async () => {
+  const { interactions, sent } = recorder();
+  const response = { type: 4, data: { content: 'pong' } };
+
+  const fresh = createContext(interactions, command, { autoDefer: false });
+  assert.strictEqual(await fresh.end(response), response);
+  assert.strictEqual(fresh.replied, true);
+  assert.strictEqual(await createContext(interactions, command, { autoDefer: false }).end('anything else'), 'anything else');
+
+  const deferred = createContext(interactions, command, { autoDefer: false });
+  await deferred.defer();
+  assert.strictEqual(await deferred.end({ type: 4, data: { content: 'secret', flags: 64 } }), undefined);
+  assert.deepStrictEqual(sent, ['defer', 'edit_original']);
+});
+
+test('with a catalog, t() and { key, vars } responses go by the interaction locale', async () => {
+  const { interactions } = recorder();
+  const catalog = createCatalog({ 'en-US': { pong: 'Pong! {ms} ms' }, fr: { pong: 'Pong ! {ms} ms' } });
+  const ctx = createContext(interactions, { ...command, locale: 'de', guild_locale: 'fr' }, { autoDefer: false, catalog });
+  assert.strictEqual(ctx.t('pong', { ms: 1 }), 'Pong ! 1 ms');
+  const { input } = await ctx.reply({ key: 'pong', vars: { ms: 2 }, ephemeral: true });
+  assert.deepStrictEqual(input, { ephemeral: true, content: 'Pong ! 2 ms' });
+
+  const plain = createContext(interactions, command, { autoDefer: false });
+  assert.throws(() => plain.t('pong'), TypeError);
+});
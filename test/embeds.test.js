@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError } = require('../api/utils/errors');
+const { embed, split, validate, length, color, LIMITS } = require('../api/utils/embeds');
+
+const invalid = (fn, path) => assert.throws(fn, (e) => e instanceof ValidationError && e.path === path);
+
+test('color takes names, hex strings, rgb arrays and numbers', () => {
+  assert.strictEqual(color('blurple'), 0x5865f2);
+  assert.strictEqual(color('Dark but not black'), 0x2c2f33);
+  assert.strictEqual(color('#ff0000'), 0xff0000);
+  assert.strictEqual(color('#f00'), 0xff0000);
+  assert.strictEqual(color([255, 0, 0]), 0xff0000);
+  assert.strictEqual(color(0x123456), 0x123456);
+  assert.strictEqual(color(undefined), undefined);
+  invalid(() => color('sparkly'), 'color');
+  invalid(() => color(0x1000000), 'color');
+});
+
+test('the builder produces embed JSON', () => {
+  const built = embed()
+    .setTitle('Suggestion #42')
+    .setDescription('More cats')
+    .addField('Votes', '12', true)
+    .addFields({ name: 'Status', value: 'open' })
+    .setColor('red')
+    .setAuthor('Ada', 'https://example.com/ada.png')
+    .setFooter('Vote below')
+    .setTimestamp(0)
+    .setThumbnail('https://example.com/t.png');
+
+  assert.deepStrictEqual(JSON.parse(JSON.stringify({ embeds: [built] })).embeds[0], {
+    title: 'Suggestion #42',
+    description: 'More cats',
+    fields: [{ name: 'Votes', value: '12', inline: true }, { name: 'Status', value: 'open', inline: false }],
+    color: 0xed4245,
+    author: { name: 'Ada', icon_url: 'https://example.com/ada.png' },
+    footer: { text: 'Vote below' },
+    timestamp: '1970-01-01T00:00:00.000Z',
+    thumbnail: { url: 'https://example.com/t.png' },
+  });
+  assert.strictEqual(built.length, 'Suggestion #42'.length + 'More cats'.length + 'Votes12StatusopenAdaVote below'.length);
+  assert.strictEqual(built.setTitle(null).toJSON().title, undefined);
+  assert.deepStrictEqual(embed({ title: 'a', color: '#00f' }).setFields([{ name: 'b', value: 'c' }]).toJSON(), {
+    title: 'a', color: 0x0000ff, fields: [{ name: 'b', value: 'c', inline: false }],
+  });
+});
+
+test('a setter breaking a limit throws and leaves the builder as it was', () => {
+  const built = embed().setTitle('Kept').addField('a', 'b');
+  invalid(() => built.setTitle('a'.repeat(LIMITS.title + 1)), 'title');
+  invalid(() => built.addField('name', ''), 'fields.1.value');
+  invalid(() => built.setFooter({ icon_url: 'https://example.com' }), 'footer.text');
+  invalid(() => built.addFields(Array.from({ length: 25 }, () => ({ name: 'a', value: 'b' }))), 'fields');
+  invalid(() => built.setDescription('a'.repeat(4096)).setDescription('a'.repeat(4096)).addFields(
+    Array.from({ length: 2 }, () => ({ name: 'a', value: 'b'.repeat(1024) })),
+  ), undefined);
+  assert.strictEqual(built.toJSON().title, 'Kept');
+  assert.strictEqual(built.toJSON().fields.length, 1);
+  assert.throws(() => embed({ description: 'a'.repeat(4097) }), ValidationError);
+});
+
+test('validate checks the embeds of a message together', () => {
+  assert.deepStrictEqual(validate([embed().setTitle('a'), { title: 'b' }]), [{ title: 'a' }, { title: 'b' }]);
+  invalid(() => validate(Array.from({ length: 11 }, () => ({ title: 'a' }))), 'embeds');
+  invalid(() => validate([{ fields: [{ name: 'a' }] }]), 'embeds.0.fields.0.value');
+  invalid(() => validate([{ description: 'a'.repeat(4000) }, { description: 'a'.repeat(4000) }]), 'embeds');
+  assert.strictEqual(length({ title: 'ab', footer: { text: 'c' }, url: 'https://example.com' }), 3);
+});
+
+test('split cuts big content into embeds and messages within the limits', () => {
+  const paragraph = `${'word '.repeat(199)}word`;
+  const description = Array.from({ length: 30 }, () => paragraph).join('\n\n');
+  const messages = split({ title: 'Log', description, color: 'red', footer: { text: 'end' }, timestamp: '2020-01-01T00:00:00.000Z' });
+  const embeds = messages.flat();
+
+  assert.ok(messages.length > 1);
+  for (const message of messages) {
+    assert.ok(message.length <= LIMITS.embeds);
+    assert.ok(message.reduce((sum, item) => sum + length(item), 0) <= LIMITS.total);
+  }
+  assert.ok(embeds.every((item) => item.description.length <= LIMITS.description && item.color === 0xed4245));
+  assert.ok(embeds.every((item) => !item.description.startsWith(' ') && !item.description.endsWith(' ')));
+  assert.strictEqual(embeds.map((item) => item.description).join('\n\n').replace(/\s+/g, ' '), description.replace(/\s+/g, ' '));
+  assert.strictEqual(embeds[0].title, 'Log');
+  assert.ok(embeds.slice(1).every((item) => item.title === undefined));
+  assert.strictEqual(embeds[embeds.length - 1].footer.text, 'end');
+  assert.ok(embeds.slice(0, -1).every((item) => item.footer === undefined));
+});
+
+test('split spreads fields 25 to an embed', () => {
+  const fields = Array.from({ length: 60 }, (_, i) => ({ name: `${i}`, value: 'v' }));
+  const embeds = split({ fields }).flat();
+  assert.deepStrictEqual(embeds.map((item) => item.fields.length), [25, 25, 10]);
+  assert.deepStrictEqual(split({ title: 'Only a title' }), [[{ title: 'Only a title' }]]);
+  invalid(() => split({ fields: [{ name: 'a', value: 'b'.repeat(1025) }] }), 'fields.0.value');
+});
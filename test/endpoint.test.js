@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const { verify, createEndpoint, listen } = require('../api/discord/endpoint');
+
+const { publicKey: key, privateKey } = crypto.generateKeyPairSync('ed25519');
+// the 32 byte key as the developer portal shows it
+const publicKey = key.export({ format: 'der', type: 'spki' }).subarray(12).toString('hex');
+
+const sign = (body, timestamp = String(Math.floor(Date.now() / 1000))) => ({
+  timestamp,
+  signature: crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex'),
+});
+
+test('verify accepts the signature of the exact body and timestamp', () => {
+  const body = JSON.stringify({ type: 1 });
+  const { timestamp, signature } = sign(body);
+  assert.strictEqual(verify({ publicKey, signature, timestamp, body }), true);
+  assert.strictEqual(verify({ publicKey, signature, timestamp, body: Buffer.from(body) }), true);
+  assert.strictEqual(verify({ publicKey, signature, timestamp, body: body.replace('1', '2') }), false);
+  assert.strictEqual(verify({ publicKey, signature, timestamp: String(Number(timestamp) + 1), body }), false);
+  assert.strictEqual(verify({ publicKey, signature: 'zz', timestamp, body }), false);
+  assert.strictEqual(verify({ publicKey, timestamp, body }), false);
+});
+
+test('verify rejects stale timestamps unless maxAge is off', () => {
+  const body = '{}';
+  const { timestamp, signature } = sign(body, String(Math.floor(Date.now() / 1000) - 3600));
+  assert.strictEqual(verify({ publicKey, signature, timestamp, body }), false);
+  assert.strictEqual(verify({ publicKey, signature, timestamp, body, maxAge: 0 }), true);
+});
+
+test('createEndpoint checks its options', () => {
+  assert.throws(() => createEndpoint({ publicKey: 'abcd', handler: () => {} }), TypeError);
+  assert.throws(() => createEndpoint({ publicKey }), TypeError);
+});
+
+test('the endpoint answers pings, hands interactions to the handler and rejects bad signatures', async (t) => {
+  const handled = [];
+  const errors = [];
+  const server = await listen({
+    port: 0,
+    host: '127.0.0.1',
+    path: '/interactions',
+    publicKey,
+    handler: async (interaction) => {
+      handled.push(interaction.id);
+      if (interaction.id === 'throws') throw new Error('boom');
+      if (interaction.id === 'replies') return { type: 4, data: { content: 'pong' } };
+      return undefined;
+    },
+    onError: (e) => errors.push(e.message),
+  });
+  t.after(() => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(resolve);
+  }));
+  const url = `http://127.0.0.1:${server.address().port}/interactions`;
+  const post = (payload, headers) => {
+    const body = JSON.stringify(payload);
+    const { timestamp, signature } = sign(body);
+    return fetch(url, {
+      method: 'POST',
+      body,
+      headers: { 'Content-Type': 'application/json', 'X-Signature-Ed25519': signature, 'X-Signature-Timestamp': timestamp, ...headers },
+    });
+  };
+
+  let res = await post({ type: 1 });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), { type: 1 });
+
+  res = await post({ type: 2, id: 'replies' });
+  assert.deepStrictEqual(await res.json(), { type: 4, data: { content: 'pong' } });
+  assert.strictEqual((await post({ type: 2, id: 'answers-itself' })).status, 202);
+  assert.strictEqual((await post({ type: 2, id: 'throws' })).status, 500);
+  assert.deepStrictEqual(errors, ['boom']);
+
+  res = await post({ type: 2, id: 'forged' }, { 'X-Signature-Ed25519': '0'.repeat(128) });
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual((await fetch(url)).status, 405);
+  assert.strictEqual((await fetch(url.replace('/interactions', '/other'), { method: 'POST' })).status, 404);
+  assert.deepStrictEqual(handled, ['replies', 'answers-itself', 'throws']);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DiscordAPIError } = require('../api/utils/errors');
+const Https = require('../api/utils/https');
+const { listen } = require('./server');
+
+const invalidForm = {
+  code: 50035,
+  message: 'Invalid Form Body',
+  errors: {
+    content: { _errors: [{ code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 2000 or fewer in length.' }] },
+    embeds: { 0: { title: { _errors: [{ code: 'BASE_TYPE_REQUIRED', message: 'This field is required' }] } } },
+  },
+};
+
+test('flatten turns the nested errors tree into dotted paths', () => {
+  assert.deepStrictEqual(DiscordAPIError.flatten(invalidForm.errors), [
+    { path: 'content', code: 'BASE_TYPE_MAX_LENGTH', message: 'Must be 2000 or fewer in length.' },
+    { path: 'embeds.0.title', code: 'BASE_TYPE_REQUIRED', message: 'This field is required' },
+  ]);
+  assert.deepStrictEqual(DiscordAPIError.flatten(undefined), []);
+});
+
+test('from builds the error out of a response', () => {
+  const e = DiscordAPIError.from({ statusCode: 400, body: JSON.stringify(invalidForm) }, 'POST', '/channels/1/messages');
+  assert.strictEqual(e.status, 400);
+  assert.strictEqual(e.code, 50035);
+  assert.strictEqual(e.rawMessage, 'Invalid Form Body');
+  assert.strictEqual(e.errors.length, 2);
+  assert.match(e.message, /^POST \/channels\/1\/messages: Invalid Form Body \(50035\)\n {2}content: Must be 2000/);
+
+  const plain = DiscordAPIError.from({ statusCode: 502, body: 'Bad Gateway' }, 'GET', '/gateway');
+  assert.strictEqual(plain.rawMessage, 'Bad Gateway');
+  assert.strictEqual(plain.code, undefined);
+  assert.deepStrictEqual(DiscordAPIError.from({ statusCode: 404, body: '' }, 'GET', '/x').rawMessage, 'HTTP 404');
+});
+
+test('client requests throw a DiscordAPIError for error responses', async (t) => {
+  const server = await listen(() => ({ status: 400, body: invalidForm }));
+  t.after(() => server.close());
+  const rest = Https.create({ baseUrl: server.baseUrl, token: 'token' });
+  await assert.rejects(rest.post({ path: '/channels/1/messages', body: { content: 'x'.repeat(2001) } }), (e) => {
+    assert.ok(e instanceof DiscordAPIError);
+    assert.strictEqual(e.method, 'POST');
+    assert.strictEqual(e.path, '/channels/1/messages');
+    assert.deepStrictEqual(e.errors.map((error) => error.path), ['content', 'embeds.0.title']);
+    return true;
+  });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('node:zlib');
+const etf = require('../api/utils/etf');
+const createGateway = require('../api/discord/gateway');
+const { gateway: fakeGateway } = require('./server');
+
+test('pack and unpack round trip gateway payloads', () => {
+  const payload = {
+    op: 0,
+    t: 'MESSAGE_CREATE',
+    s: 70000,
+    d: {
+      content: 'héllo 👋',
+      mentions: [],
+      tts: false,
+      pinned: true,
+      edited_timestamp: null,
+      position: -3,
+      ratio: 0.5,
+      big: 2 ** 40,
+      embeds: [{ title: 'a', fields: [{ name: 'n', value: 'v' }] }],
+    },
+  };
+  assert.deepStrictEqual(etf.unpack(etf.pack(payload)), payload);
+});
+
+test('unpack reads the documented example', () => {
+  assert.deepStrictEqual(etf.unpack(Buffer.from([131, 116, 0, 0, 0, 1, 109, 0, 0, 0, 2, 111, 112, 97, 10])), { op: 10 });
+});
+
+test('big integers past the safe range come back as strings, like snowflakes in JSON', () => {
+  const id = 1234567890123456789n;
+  assert.strictEqual(etf.unpack(etf.pack(id)), '1234567890123456789');
+  assert.strictEqual(etf.unpack(etf.pack(-id)), '-1234567890123456789');
+});
+
+test('undefined properties are left out, undefined list items become null', () => {
+  assert.deepStrictEqual(etf.unpack(etf.pack({ a: 1, b: undefined, c: [undefined] })), { a: 1, c: [null] });
+});
+
+test('compressed terms are inflated', () => {
+  const inner = etf.pack({ op: 11 }).subarray(1);
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(inner.length);
+  const compressed = Buffer.concat([Buffer.from([131, 80]), size, zlib.deflateSync(inner)]);
+  assert.deepStrictEqual(etf.unpack(compressed), { op: 11 });
+});
+
+test('unknown versions and tags are rejected', () => {
+  assert.throws(() => etf.unpack(Buffer.from([130, 97, 1])), TypeError);
+  assert.throws(() => etf.unpack(Buffer.from([131, 1])), TypeError);
+  assert.throws(() => etf.pack(() => {}), TypeError);
+});
+
+test('a gateway connection speaks ETF over a zlib-stream transport', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway({ token: 'token', apiVersion: 10 }).create({ url: server.url, intents: 1, encoding: 'etf', compress: true });
+  t.after(() => connection.destroy());
+
+  await connection.connect();
+  assert.strictEqual(server.sockets[0].query.get('encoding'), 'etf');
+  assert.strictEqual(server.sockets[0].query.get('compress'), 'zlib-stream');
+  assert.strictEqual(server.received[0].payload.d.token, 'token');
+
+  // several messages through one inflate context
+  const seen = [];
+  connection.on('MESSAGE_CREATE', (message) => seen.push(message.id));
+  for (const id of ['1', '2', '3']) server.sockets[0].dispatch('MESSAGE_CREATE', { id });
+  while (seen.length < 3) await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.deepStrictEqual(seen, ['1', '2', '3']);
+});
+
+test('an unknown encoding falls back to json', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway({ token: 'token', apiVersion: 10 }).create({ url: server.url, intents: 1, encoding: 'msgpack' });
+  t.after(() => connection.destroy());
+  await connection.connect();
+  assert.strictEqual(server.sockets[0].query.get('encoding'), 'json');
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('node:events');
+const createGateway = require('../api/discord/gateway');
+const { GatewayError } = require('../api/utils/errors');
+const { gateway: fakeGateway } = require('./server');
+
+const https = { token: 'token', apiVersion: 10 };
+
+test('intents turns names into a bitfield', () => {
+  const { intents } = createGateway(https);
+  assert.strictEqual(intents('GUILDS', 'GUILD_MESSAGES', 'MESSAGE_CONTENT'), 33281);
+  assert.strictEqual(intents(['GUILDS'], 2), 3);
+  assert.throws(() => intents('GUILD'), TypeError);
+});
+
+test('connect identifies and resolves on READY, dispatches go out by name', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: ['GUILDS', 'GUILD_MESSAGES'], shard: [0, 2] });
+  t.after(() => connection.destroy());
+
+  const ready = once(connection, 'ready');
+  assert.strictEqual(await connection.connect(), connection);
+  assert.strictEqual((await ready)[0].session_id, 'session-1');
+  assert.strictEqual(connection.status, 'ready');
+  assert.strictEqual(server.sockets[0].query.get('v'), '10');
+  assert.strictEqual(server.sockets[0].query.get('encoding'), 'json');
+
+  const { d: identify } = server.received.find(({ payload }) => payload.op === 2).payload;
+  assert.strictEqual(identify.token, 'token');
+  assert.strictEqual(identify.intents, 513);
+  assert.deepStrictEqual(identify.shard, [0, 2]);
+
+  const message = once(connection, 'MESSAGE_CREATE');
+  server.sockets[0].dispatch('MESSAGE_CREATE', { content: 'hi' });
+  assert.deepStrictEqual((await message)[0], { content: 'hi' });
+  assert.strictEqual(connection.sequence, 2);
+});
+
+test('a fatal close code rejects connect with a GatewayError', async (t) => {
+  const server = await fakeGateway((payload, socket) => payload.op === 2 && socket.ws.close(4004, 'Authentication failed'));
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  const errors = [];
+  connection.on('error', (e) => errors.push(e));
+  // `once()` would reject on the error event
+  const closed = new Promise((resolve) => connection.once('close', resolve));
+
+  await assert.rejects(connection.connect(), (e) => e instanceof GatewayError && e.code === 4004);
+  assert.strictEqual((await closed).code, 4004);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(connection.status, 'closed');
+});
+
+test('a dropped connection resumes where it left off', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  t.after(() => connection.destroy());
+  await connection.connect();
+  server.sockets[0].dispatch('MESSAGE_CREATE', {});
+
+  const reconnecting = once(connection, 'reconnecting');
+  const resumed = once(connection, 'resumed');
+  server.sockets[0].ws.close(4000, 'Unknown error');
+  assert.deepStrictEqual((await reconnecting)[0], { code: 4000, reason: 'Unknown error', resume: true });
+  await resumed;
+
+  const resume = server.received.find(({ payload }) => payload.op === 6);
+  assert.strictEqual(resume.socket, 1);
+  assert.deepStrictEqual(resume.payload.d, { token: 'token', session_id: 'session-1', seq: 2 });
+});
+
+test('a close that ends the session identifies again', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  t.after(() => connection.destroy());
+  await connection.connect();
+
+  const ready = once(connection, 'ready');
+  server.sockets[0].ws.close(4009, 'Session timed out');
+  assert.strictEqual((await ready)[0].session_id, 'session-2');
+  assert.deepStrictEqual(server.received.map(({ socket, payload }) => `${socket}:${payload.op}`), ['0:2', '1:2']);
+});
+
+test('the wait after an invalid session ends with its socket', async (t) => {
+  t.mock.method(Math, 'random', () => 0); // the shortest wait, 1 second
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  t.after(() => connection.destroy());
+  await connection.connect();
+
+  let reconnects = 0;
+  connection.on('reconnecting', () => reconnects++);
+  const resumed = once(connection, 'resumed');
+  server.sockets[0].send({ op: 9, d: true });
+  server.sockets[0].ws.close(4000, 'Unknown error');
+  await resumed;
+
+  await new Promise((resolve) => setTimeout(resolve, 1300));
+  assert.strictEqual(reconnects, 1);
+  assert.strictEqual(server.sockets.length, 2);
+  assert.strictEqual(server.sockets[1].ws.readyState, server.sockets[1].ws.OPEN);
+});
+
+test('a heartbeat request is answered right away with the sequence', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  t.after(() => connection.destroy());
+  await connection.connect();
+
+  server.sockets[0].send({ op: 1, d: null });
+  while (!server.received.some(({ payload }) => payload.op === 1)) await new Promise((resolve) => setTimeout(resolve, 5));
+  assert.strictEqual(server.received.find(({ payload }) => payload.op === 1).payload.d, 1);
+});
+
+test('destroy closes the connection for good', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  await connection.connect();
+  const closed = once(connection, 'close');
+  connection.destroy();
+  assert.strictEqual((await closed)[0].code, 1000);
+  assert.strictEqual(connection.status, 'closed');
+  assert.strictEqual(server.sockets.length, 1);
+});
+
+// waits for the gateway to receive a payload with `op`
+const received = async (server, op) => {
+  for (;;) {
+    const found = server.received.find(({ payload }) => payload.op === op);
+    if (found) return found.payload;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+test('presence and voice state updates are sent, the presence again with the next identify', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  t.after(() => connection.destroy());
+  await connection.connect();
+
+  connection.setPresence({ status: 'dnd', activities: [{ name: 'the logs', type: 3 }] });
+  assert.deepStrictEqual((await received(server, 3)).d, { since: null, activities: [{ name: 'the logs', type: 3 }], status: 'dnd', afk: false });
+
+  connection.updateVoiceState({ guild_id: '1', channel_id: '2', self_deaf: true });
+  assert.deepStrictEqual((await received(server, 4)).d, { guild_id: '1', channel_id: '2', self_mute: false, self_deaf: true });
+
+  const ready = once(connection, 'ready');
+  server.sockets[0].ws.close(4009, 'Session timed out');
+  await ready;
+  assert.strictEqual(server.received.filter(({ payload }) => payload.op === 2)[1].payload.d.presence.status, 'dnd');
+});
+
+test('requestGuildMembers collects every chunk', async (t) => {
+  const server = await fakeGateway((payload, socket) => {
+    if (payload.op !== 8) return undefined;
+    const { guild_id, nonce } = payload.d;
+    socket.dispatch('GUILD_MEMBERS_CHUNK', { guild_id, nonce, chunk_index: 0, chunk_count: 2, members: [{ user: { id: 'a' } }] });
+    socket.dispatch('GUILD_MEMBERS_CHUNK', { guild_id, nonce, chunk_index: 1, chunk_count: 2, members: [{ user: { id: 'b' } }], not_found: ['c'] });
+    return true;
+  });
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  t.after(() => connection.destroy());
+  await connection.connect();
+
+  const result = await connection.requestGuildMembers({ guild_id: '1', user_ids: ['a', 'b', 'c'] });
+  assert.deepStrictEqual(result, { guild_id: '1', members: [{ user: { id: 'a' } }, { user: { id: 'b' } }], presences: [], not_found: ['c'] });
+  const { d: request } = await received(server, 8);
+  assert.deepStrictEqual(request.user_ids, ['a', 'b', 'c']);
+  assert.strictEqual(request.limit, 0);
+
+  // without query or user_ids the whole member list is asked for
+  await connection.requestGuildMembers({ guild_id: '1' });
+  const everyone = server.received.filter(({ payload }) => payload.op === 8)[1].payload.d;
+  assert.strictEqual(everyone.query, '');
+});
+
+test('a member request without chunks times out, destroy rejects the pending ones', async (t) => {
+  const server = await fakeGateway((payload) => (payload.op === 8 ? true : undefined));
+  t.after(() => server.close());
+  const connection = createGateway(https).create({ url: server.url, intents: 1 });
+  await connection.connect();
+
+  await assert.rejects(connection.requestGuildMembers({ guild_id: '1', timeout: 30 }), GatewayError);
+  await assert.rejects(connection.requestGuildMembers({ guild_id: '1', nonce: 'x'.repeat(33) }), RangeError);
+  const pending = connection.requestGuildMembers({ guild_id: '1' });
+  connection.destroy();
+  await assert.rejects(pending, /Connection destroyed/);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createClient } = require('../api/client');
+const { DiscordAPIError } = require('../api/utils/errors');
+const { listen } = require('./server');
+
+test('getGuildBan asks for the ban of one user', async (t) => {
+  const ban = { reason: 'spam', user: { id: '20', username: 'spammer' } };
+  const server = await listen((req) => (req.url.endsWith('/bans/20') ? { body: ban } : { status: 404, body: { code: 10026, message: 'Unknown Ban' } }));
+  t.after(() => server.close());
+  const { Guilds } = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+
+  assert.deepStrictEqual(await Guilds.getGuildBan({ guild_id: '1', user_id: '20' }), ban);
+  await assert.rejects(Guilds.getGuildBan({ guild_id: '1', user_id: '21' }), (e) => e instanceof DiscordAPIError && e.code === 10026);
+  assert.deepStrictEqual(server.requests.map((req) => `${req.method} ${req.url}`), [
+    'GET /api/v10/guilds/1/bans/20',
+    'GET /api/v10/guilds/1/bans/21',
+  ]);
+});
@@ -0,0 +1,167 @@
+const http = require('node:http');
+const test = require('node:test');
+const assert = require('node:assert');
+const Https = require('../api/utils/https');
+const { RequestError } = require('../api/utils/errors');
+const { createRateLimiter } = require('../api/utils/ratelimit');
+const { listen } = require('./server');
+
+const target = (server) => ({ protocol: 'http:', host: '127.0.0.1', port: server.port, backoff: 1 });
+
+test('querystring leaves out empty values and repeats arrays', () => {
+  assert.strictEqual(Https.querystring({ limit: 100, before: undefined, after: null, ids: [1, 2] }), '?limit=100&ids=1&ids=2');
+  assert.strictEqual(Https.querystring({}), '');
+});
+
+test('GET is retried on a 5xx until it succeeds', async (t) => {
+  let calls = 0;
+  const server = await listen(() => (++calls < 3 ? { status: 503 } : { status: 200, body: { ok: true } }));
+  t.after(() => server.close());
+  const res = await Https.request({ ...target(server), method: 'GET', path: '/retry' });
+  assert.strictEqual(res.statusCode, 200);
+  assert.deepStrictEqual(res.data, { ok: true });
+  assert.strictEqual(calls, 3);
+});
+
+test('retries run out with a RequestError carrying the last response', async (t) => {
+  const server = await listen(() => ({ status: 502 }));
+  t.after(() => server.close());
+  await assert.rejects(Https.request({ ...target(server), method: 'GET', path: '/down', retries: 2 }), (e) => {
+    assert.ok(e instanceof RequestError);
+    assert.strictEqual(e.attempts, 3);
+    assert.strictEqual(e.statusCode, 502);
+    assert.strictEqual(e.response.statusCode, 502);
+    return true;
+  });
+  assert.strictEqual(server.requests.length, 3);
+});
+
+test('POST and PATCH are sent once unless the call opts into retries', async (t) => {
+  const server = await listen(() => ({ status: 503 }));
+  t.after(() => server.close());
+  await assert.rejects(Https.request({ ...target(server), method: 'POST', path: '/messages' }), RequestError);
+  await assert.rejects(Https.request({ ...target(server), method: 'PATCH', path: '/messages' }), RequestError);
+  assert.strictEqual(server.requests.length, 2);
+
+  await assert.rejects(Https.request({ ...target(server), method: 'POST', path: '/messages', retries: 2 }), (e) => e.attempts === 3);
+  assert.strictEqual(server.requests.length, 5);
+});
+
+test('4xx responses are returned, not retried', async (t) => {
+  const server = await listen(() => ({ status: 404, body: { message: 'Unknown Channel', code: 10003 } }));
+  t.after(() => server.close());
+  const res = await Https.request({ ...target(server), method: 'GET', path: '/channels/1' });
+  assert.strictEqual(res.statusCode, 404);
+  assert.strictEqual(server.requests.length, 1);
+});
+
+test('connection failures reject with the node error code', async () => {
+  const server = await listen(() => ({ status: 200 }));
+  const { port } = server;
+  await server.close();
+  await assert.rejects(Https.request({ protocol: 'http:', host: '127.0.0.1', port, method: 'GET', path: '/', retries: 1, backoff: 1 }), (e) => {
+    assert.ok(e instanceof RequestError);
+    assert.strictEqual(e.code, 'ECONNREFUSED');
+    assert.strictEqual(e.attempts, 2);
+    return true;
+  });
+});
+
+test('a request that takes too long times out', async (t) => {
+  const server = await listen(() => new Promise((resolve) => setTimeout(() => resolve({ status: 200 }), 500)));
+  t.after(() => server.close());
+  await assert.rejects(Https.request({ ...target(server), method: 'GET', path: '/slow', timeout: 50, retries: 0 }), (e) => e.code === 'ETIMEDOUT');
+});
+
+test('a response trickling in still times out', async (t) => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    const timer = setInterval(() => res.write('.'), 20);
+    res.on('close', () => clearInterval(timer));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  const started = Date.now();
+  await assert.rejects(Https.request({ ...target({ port: server.address().port }), method: 'GET', path: '/trickle', timeout: 150, retries: 0 }),
+    (e) => e instanceof RequestError && e.code === 'ETIMEDOUT');
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('an aborted request stops waiting on the rate limiter', async (t) => {
+  const server = await listen(() => ({
+    status: 200,
+    headers: { 'X-RateLimit-Bucket': 'b', 'X-RateLimit-Remaining': '0', 'X-RateLimit-Reset-After': '30' },
+  }));
+  t.after(() => server.close());
+  const limiter = createRateLimiter();
+  await Https.request({ ...target(server), method: 'GET', path: '/channels/1/messages' }, limiter);
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 50);
+  const started = Date.now();
+  await assert.rejects(Https.request({ ...target(server), method: 'GET', path: '/channels/1/messages', signal: controller.signal }, limiter),
+    (e) => e instanceof RequestError && e.code === 'ABORT_ERR' && e.attempts === 0);
+  assert.ok(Date.now() - started < 1000);
+  assert.strictEqual(server.requests.length, 1);
+});
+
+test('an aborted request is not retried', async (t) => {
+  const controller = new AbortController();
+  // aborted while the first attempt is in flight
+  const server = await listen(async () => {
+    controller.abort();
+    return { status: 503 };
+  });
+  t.after(() => server.close());
+  await assert.rejects(Https.request({ ...target(server), method: 'GET', path: '/abort', signal: controller.signal }),
+    (e) => e instanceof RequestError && e.code === 'ABORT_ERR');
+  assert.strictEqual(server.requests.length, 1);
+});
+
+test('setDefaults changes the defaults of later requests', async (t) => {
+  const before = { ...Https.defaults };
+  t.after(() => Https.setDefaults(before));
+  const server = await listen(() => ({ status: 500 }));
+  t.after(() => server.close());
+  Https.setDefaults({ retries: 1 });
+  await assert.rejects(Https.request({ ...target(server), method: 'GET', path: '/' }), (e) => e.attempts === 2);
+});
+
+test('the verb helpers share one request core', async (t) => {
+  const server = await listen(() => ({ status: 200, body: { ok: true } }));
+  t.after(() => server.close());
+  for (const verb of ['get', 'post', 'put', 'patch', 'del'])
+    assert.deepStrictEqual((await Https[verb]({ ...target(server), path: '/verbs' })).data, { ok: true });
+  assert.deepStrictEqual(server.requests.map((req) => req.method), ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+});
+
+test('requests encode bodies, queries and audit log reasons', async (t) => {
+  const server = await listen(() => ({ status: 200, body: {} }));
+  t.after(() => server.close());
+  await Https.post({
+    ...target(server),
+    path: '/guilds/1/bans',
+    query: { delete_message_seconds: 60 },
+    body: { reason: 'spam' },
+    reason: 'spam & scams',
+    headers: { 'X-Empty': '', 'X-Kept': 'yes' },
+  });
+  const [req] = server.requests;
+  assert.strictEqual(req.url, '/guilds/1/bans?delete_message_seconds=60');
+  assert.strictEqual(req.headers['content-type'], 'application/json');
+  assert.strictEqual(req.body.toString(), '{"reason":"spam"}');
+  assert.strictEqual(req.headers['x-audit-log-reason'], 'spam%20%26%20scams');
+  assert.strictEqual(req.headers['x-kept'], 'yes');
+  assert.strictEqual(req.headers['x-empty'], undefined);
+});
+
+test('a non-JSON response leaves data undefined', async (t) => {
+  const server = await listen(() => ({ status: 200, body: 'plain', headers: { 'Content-Type': 'text/plain' } }));
+  t.after(() => server.close());
+  const res = await Https.get({ ...target(server), path: '/text' });
+  assert.strictEqual(res.body, 'plain');
+  assert.strictEqual(res.data, undefined);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { ValidationError } = require('../api/utils/errors');
+const { createCatalog, loadCatalog } = require('../api/utils/locales');
+
+const catalog = createCatalog({
+  'en-US': { ping: { reply: 'Pong! {ms} ms', title: 'Ping' }, 'flat.key': 'Flat' },
+  fr: { ping: { reply: 'Pong ! {ms} ms' } },
+  es: { ping: { reply: '¡Pong! {ms} ms' } },
+  'pt-BR': { ping: { title: 'Latência' } },
+});
+
+test('keys fall back from the locale to its language, the guild and the fallback', () => {
+  assert.strictEqual(catalog.t('fr', 'ping.reply', { ms: 42 }), 'Pong ! 42 ms');
+  assert.strictEqual(catalog.t('es-419', 'ping.reply', { ms: 42 }), '¡Pong! 42 ms');
+  assert.strictEqual(catalog.t('de', 'ping.reply', { ms: 42 }), 'Pong! 42 ms');
+  assert.strictEqual(catalog.t({ locale: 'de', guild_locale: 'fr' }, 'ping.reply', { ms: 1 }), 'Pong ! 1 ms');
+  assert.strictEqual(catalog.t({ locale: 'fr', guild_locale: 'pt-BR' }, 'ping.title'), 'Latência');
+  assert.strictEqual(catalog.t(undefined, 'flat.key'), 'Flat');
+  assert.strictEqual(catalog.t('fr', 'missing.key'), 'missing.key');
+  assert.strictEqual(catalog.t('fr', 'ping.reply'), 'Pong ! {ms} ms');
+  assert.strictEqual(catalog.for({ locale: 'es-ES' })('ping.reply', { ms: 3 }), '¡Pong! 3 ms');
+  assert.strictEqual(createCatalog({ fr: { a: 'fr' }, de: { a: 'de' } }, { fallback: 'de' }).t('it', 'a'), 'de');
+  assert.deepStrictEqual(catalog.locales, ['en-US', 'fr', 'es', 'pt-BR']);
+});
+
+test('localizations lists a key in every Discord locale that has it', () => {
+  assert.deepStrictEqual(catalog.localizations('ping.reply'), {
+    'en-US': 'Pong! {ms} ms',
+    'es-ES': '¡Pong! {ms} ms',
+    'es-419': '¡Pong! {ms} ms',
+    fr: 'Pong ! {ms} ms',
+  });
+  assert.strictEqual(catalog.localizations('missing.key'), undefined);
+});
+
+test('loadCatalog reads a directory of locale files', async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'locales-'));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+  await fs.writeFile(path.join(dir, 'en-US.json'), JSON.stringify({ hello: 'Hello {name}' }));
+  await fs.writeFile(path.join(dir, 'de.json'), JSON.stringify({ hello: 'Hallo {name}' }));
+  await fs.writeFile(path.join(dir, 'notes.txt'), 'not a locale');
+
+  const loaded = await loadCatalog(dir);
+  assert.strictEqual(loaded.t('de', 'hello', { name: 'Ada' }), 'Hallo Ada');
+  assert.strictEqual(loaded.t('ja', 'hello', { name: 'Ada' }), 'Hello Ada');
+
+  await fs.writeFile(path.join(dir, 'fr.json'), '{ "hello": ');
+  await assert.rejects(loadCatalog(dir), (e) => e instanceof ValidationError && e.path === 'fr.json');
+  await fs.rm(path.join(dir, 'fr.json'));
+  await fs.writeFile(path.join(dir, 'klingon.json'), '{}');
+  await assert.rejects(loadCatalog(dir), (e) => e instanceof ValidationError && e.path === 'klingon.json');
+});
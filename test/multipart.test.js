@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { multipart, encode } = require('../api/utils/multipart');
+const { ValidationError } = require('../api/utils/errors');
+const { createClient } = require('../api/client');
+const { listen } = require('./server');
+
+// splits a multipart body into `{ name, filename, contentType, data }` parts
+function parse(contentType, body) {
+  const boundary = /boundary=(.+)$/.exec(contentType)[1];
+  return body.toString('latin1').split(`--${boundary}`).slice(1, -1).map((raw) => {
+    const [head, ...rest] = raw.replace(/^\r\n/, '').split('\r\n\r\n');
+    return {
+      name: /name="([^"]+)"/.exec(head)[1],
+      filename: /filename="([^"]+)"/.exec(head)?.[1],
+      contentType: /Content-Type: (.+)/.exec(head)?.[1],
+      data: Buffer.from(rest.join('\r\n\r\n').replace(/\r\n$/, ''), 'latin1'),
+    };
+  });
+}
+
+test('encode sends plain JSON when there are no files', async () => {
+  const form = await encode({ content: 'hi' });
+  assert.strictEqual(form.headers['Content-Type'], 'application/json');
+  assert.strictEqual(form.body, '{"content":"hi"}');
+});
+
+test('multipart puts the payload in payload_json and every file in files[n]', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapih-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const log = path.join(dir, 'error.log');
+  fs.writeFileSync(log, 'line 1\n');
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a]);
+
+  const payload = { content: 'logs attached' };
+  const form = await multipart(payload, [
+    log,
+    { name: 'chart.png', data: png, description: 'a chart', spoiler: true },
+    Readable.from([Buffer.from('streamed')]),
+  ]);
+  const parts = parse(form.headers['Content-Type'], form.body);
+
+  assert.deepStrictEqual(parts.map((part) => part.name), ['payload_json', 'files[0]', 'files[1]', 'files[2]']);
+  assert.deepStrictEqual(JSON.parse(parts[0].data), {
+    content: 'logs attached',
+    attachments: [
+      { id: 0, filename: 'error.log' },
+      { id: 1, filename: 'SPOILER_chart.png', description: 'a chart' },
+      { id: 2, filename: 'file2' },
+    ],
+  });
+  assert.strictEqual(parts[1].contentType, 'text/plain');
+  assert.strictEqual(parts[1].data.toString(), 'line 1\n');
+  assert.strictEqual(parts[2].filename, 'SPOILER_chart.png');
+  assert.strictEqual(parts[2].contentType, 'image/png');
+  assert.deepStrictEqual(parts[2].data, png);
+  assert.strictEqual(parts[3].contentType, 'application/octet-stream');
+  assert.strictEqual(parts[3].data.toString(), 'streamed');
+});
+
+test('attachments already listed are kept and not listed twice', async () => {
+  const payload = { attachments: [{ id: '123456' }, { id: 0, description: 'mine' }] };
+  await multipart(payload, [{ name: 'a.txt', data: 'a' }, { name: 'b.txt', data: 'b' }]);
+  assert.deepStrictEqual(payload.attachments, [
+    { id: '123456' },
+    { id: 0, description: 'mine' },
+    { id: 1, filename: 'b.txt', description: undefined },
+  ]);
+});
+
+test('a file without data is rejected', async () => {
+  await assert.rejects(multipart({}, [{ name: 'empty.txt' }]), TypeError);
+});
+
+test('messages and interaction replies upload their files', async (t) => {
+  const server = await listen(() => ({ status: 200, body: { id: '1' } }));
+  t.after(() => server.close());
+  const client = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+
+  await client.Channels.messageCreate({ channel_id: '10', content: 'report', files: [{ name: 'report.csv', data: 'a,b' }] });
+  await client.Interactions.callback.reply({ id: '20', token: 'tok' }, { content: 'here', files: [{ name: 'r.txt', data: 'r' }] });
+
+  const [message, reply] = server.requests;
+  assert.strictEqual(message.url, '/api/v10/channels/10/messages');
+  const messageParts = parse(message.headers['content-type'], message.body);
+  assert.deepStrictEqual(JSON.parse(messageParts[0].data).attachments, [{ id: 0, filename: 'report.csv' }]);
+  assert.strictEqual(messageParts[1].data.toString(), 'a,b');
+
+  // interaction callbacks list their attachments inside `data`
+  const replyPayload = JSON.parse(parse(reply.headers['content-type'], reply.body)[0].data);
+  assert.strictEqual(replyPayload.type, 4);
+  assert.deepStrictEqual(replyPayload.data.attachments, [{ id: 0, filename: 'r.txt' }]);
+  assert.strictEqual(replyPayload.attachments, undefined);
+  assert.strictEqual(reply.headers.authorization, undefined);
+});
+
+test('a payload_json string is sent as the JSON it holds', async (t) => {
+  assert.strictEqual((await encode('{"content":"hi"}')).body, '{"content":"hi"}');
+  await assert.rejects(encode('{"content":'), (e) => e instanceof ValidationError && e.path === 'payload_json');
+
+  const server = await listen(() => ({ status: 200, body: { id: '1' } }));
+  t.after(() => server.close());
+  const client = createClient({ baseUrl: server.baseUrl, token: 'token', cache: false });
+  await client.Channels.messageCreate({ channel_id: '10', payload_json: JSON.stringify({ content: 'plain' }) });
+  await client.Channels.messageCreate({ channel_id: '10', payload_json: JSON.stringify({ content: 'file' }), files: [{ name: 'a.txt', data: 'a' }] });
+
+  const [plain, file] = server.requests;
+  assert.deepStrictEqual(JSON.parse(plain.body), { content: 'plain' });
+  assert.deepStrictEqual(JSON.parse(parse(file.headers['content-type'], file.body)[0].data), {
+    content: 'file',
+    attachments: [{ id: 0, filename: 'a.txt' }],
+  });
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ValidationError } = require('../api/utils/errors');
+const { parseOptions, modalValues } = require('../api/discord/options');
+
+const invalid = (fn, path) => assert.throws(fn, (e) => e instanceof ValidationError && e.path === path);
+
+const ban = {
+  type: 2,
+  data: {
+    name: 'mod',
+    options: [{
+      type: 2,
+      name: 'members',
+      options: [{
+        type: 1,
+        name: 'ban',
+        options: [
+          { type: 6, name: 'target', value: '10' },
+          { type: 3, name: 'reason', value: 'spam' },
+          { type: 4, name: 'days', value: 7 },
+          { type: 10, name: 'ratio', value: 0.5 },
+          { type: 5, name: 'silent', value: false },
+          { type: 7, name: 'log', value: '20' },
+          { type: 8, name: 'role', value: '30' },
+          { type: 9, name: 'ping', value: '30' },
+          { type: 11, name: 'proof', value: '40' },
+          { type: 6, name: 'stranger', value: '50' },
+        ],
+      }],
+    }],
+    resolved: {
+      users: { 10: { id: '10', username: 'ada' }, 50: { id: '50', username: 'bob' } },
+      members: { 10: { nick: 'Ada', roles: [] } },
+      channels: { 20: { id: '20', name: 'log' } },
+      roles: { 30: { id: '30', name: 'mods' } },
+      attachments: { 40: { id: '40', url: 'https://cdn.example.com/proof.png' } },
+    },
+  },
+};
+
+test('options are read through subcommand groups and subcommands', () => {
+  const options = parseOptions(ban);
+  assert.strictEqual(options.getSubcommandGroup(), 'members');
+  assert.strictEqual(options.getSubcommand(true), 'ban');
+  assert.strictEqual(options.getString('reason'), 'spam');
+  assert.strictEqual(options.getInteger('days'), 7);
+  assert.strictEqual(options.getNumber('ratio'), 0.5);
+  assert.strictEqual(options.getBoolean('silent', true), false);
+  assert.strictEqual(options.values.reason, 'spam');
+  assert.deepStrictEqual(options.get('days'), { type: 4, name: 'days', value: 7 });
+});
+
+test('users, channels, roles, mentionables and attachments come from resolved', () => {
+  const options = parseOptions(ban);
+  assert.deepStrictEqual(options.getUser('target'), {
+    user: { id: '10', username: 'ada' },
+    member: { nick: 'Ada', roles: [], user: { id: '10', username: 'ada' } },
+  });
+  assert.deepStrictEqual(options.getUser('stranger'), { user: { id: '50', username: 'bob' }, member: null });
+  assert.deepStrictEqual(options.getChannel('log'), { id: '20', name: 'log' });
+  assert.deepStrictEqual(options.getRole('role'), { id: '30', name: 'mods' });
+  assert.deepStrictEqual(options.getMentionable('ping'), { role: { id: '30', name: 'mods' } });
+  assert.deepStrictEqual(options.getMentionable('target').user, { id: '10', username: 'ada' });
+  assert.strictEqual(options.getAttachment('proof').url, 'https://cdn.example.com/proof.png');
+});
+
+test('missing options are null unless required, wrong types throw', () => {
+  const options = parseOptions(ban);
+  assert.strictEqual(options.getString('note'), null);
+  assert.strictEqual(options.getUser('moderator'), null);
+  invalid(() => options.getString('note', true), 'note');
+  invalid(() => options.getString('days'), 'days');
+  assert.throws(() => options.getInteger('reason'), /has type STRING, expected INTEGER/);
+  invalid(() => options.getRole('log'), 'log');
+});
+
+test('commands without subcommands', () => {
+  const options = parseOptions({ type: 2, data: { name: 'ping' } });
+  assert.strictEqual(options.getSubcommand(), null);
+  assert.strictEqual(options.getSubcommandGroup(), null);
+  invalid(() => options.getSubcommand(true), 'ping');
+  invalid(() => options.getSubcommandGroup(true), 'ping');
+  assert.deepStrictEqual(options.values, {});
+  assert.deepStrictEqual(parseOptions({ type: 2, data: { name: 'ping', options: [{ type: 6, name: 'u', value: '1' }] } }).getUser('u'),
+    { user: { id: '1' }, member: null });
+});
+
+test('the focused option of an autocomplete interaction', () => {
+  const options = parseOptions({
+    type: 4,
+    data: { name: 'tag', options: [{ type: 3, name: 'category', value: 'a' }, { type: 3, name: 'name', value: 'he', focused: true }] },
+  });
+  assert.deepStrictEqual(options.getFocused(), { type: 3, name: 'name', value: 'he', focused: true });
+  assert.strictEqual(parseOptions(ban).getFocused(), null);
+});
+
+test('modal values from action rows and labels', () => {
+  const interaction = {
+    type: 5,
+    data: {
+      custom_id: 'report:1',
+      components: [
+        { type: 1, components: [{ type: 4, custom_id: 'reason', value: 'spam' }] },
+        { type: 1, components: [{ type: 4, custom_id: 'details', value: '' }] },
+        { type: 18, component: { type: 3, custom_id: 'severity', values: ['high'] } },
+      ],
+    },
+  };
+  assert.deepStrictEqual(modalValues(interaction), { reason: 'spam', details: '', severity: ['high'] });
+  const options = parseOptions(interaction);
+  assert.strictEqual(options.getTextInput('reason', true), 'spam');
+  assert.strictEqual(options.getTextInput('details'), '');
+  assert.deepStrictEqual(options.getTextInput('severity'), ['high']);
+  assert.strictEqual(options.getTextInput('missing'), null);
+  invalid(() => options.getTextInput('missing', true), 'missing');
+  assert.deepStrictEqual(options.fields, modalValues(interaction));
+});
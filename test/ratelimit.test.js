@@ -0,0 +1,167 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, route } = require('../api/utils/ratelimit');
+const Https = require('../api/utils/https');
+const { listen } = require('./server');
+
+const response = (statusCode, headers = {}, body = '') => ({ statusCode, headers, body });
+
+test('route keeps major parameters and collapses other ids', () => {
+  assert.deepStrictEqual(route('delete', '/api/v10/channels/123/messages/456'), { key: 'DELETE /channels/123/messages/:id', major: 'channels/123' });
+  assert.deepStrictEqual(route('GET', '/users/789?limit=1'), { key: 'GET /users/:id', major: '' });
+  assert.strictEqual(route('PUT', '/channels/1/messages/2/reactions/%F0%9F%91%8D/@me').key, 'PUT /channels/1/messages/:id/reactions');
+  assert.strictEqual(route('POST', '/webhooks/1/some-token').key, 'POST /webhooks/1/:token');
+  assert.strictEqual(route('POST', '/interactions/1/some-token/callback').key, 'POST /interactions/:id/:token/callback');
+});
+
+test('requests on one route go out one at a time, in order', async () => {
+  const limiter = createRateLimiter();
+  const order = [];
+  let inFlight = 0;
+  const send = (name) => async () => {
+    assert.strictEqual(++inFlight, 1);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    order.push(name);
+    inFlight--;
+    return response(200);
+  };
+  await Promise.all(['a', 'b', 'c'].map((name) => limiter.schedule('GET', '/channels/1/messages', send(name))));
+  assert.deepStrictEqual(order, ['a', 'b', 'c']);
+});
+
+test('an exhausted bucket is waited out before the next request', async () => {
+  const limiter = createRateLimiter();
+  await limiter.schedule('POST', '/channels/1/messages', async () => response(200, {
+    'x-ratelimit-bucket': 'abc',
+    'x-ratelimit-remaining': '0',
+    'x-ratelimit-reset-after': '0.2',
+  }));
+  const started = Date.now();
+  await limiter.schedule('POST', '/channels/1/messages', async () => response(200));
+  assert.ok(Date.now() - started >= 150, 'waited for the bucket to reset');
+
+  // another major parameter has a bucket of its own
+  const other = Date.now();
+  await limiter.schedule('POST', '/channels/2/messages', async () => response(200));
+  assert.ok(Date.now() - other < 100);
+});
+
+test('routes Discord puts in one bucket share its state', async () => {
+  const limiter = createRateLimiter();
+  const exhausted = { 'x-ratelimit-bucket': 'shared', 'x-ratelimit-remaining': '0', 'x-ratelimit-reset-after': '0.2' };
+  await limiter.schedule('GET', '/guilds/1/members', async () => response(200, { 'x-ratelimit-bucket': 'shared' }));
+  await limiter.schedule('GET', '/guilds/1/roles', async () => response(200, exhausted));
+  const started = Date.now();
+  await limiter.schedule('GET', '/guilds/1/members', async () => response(200));
+  assert.ok(Date.now() - started >= 150);
+});
+
+test('a 429 is retried after retry_after', async () => {
+  const limiter = createRateLimiter();
+  let calls = 0;
+  const res = await limiter.schedule('GET', '/channels/1', async () => (++calls === 1
+    ? response(429, { 'content-type': 'application/json' }, JSON.stringify({ retry_after: 0.05, global: false }))
+    : response(200)));
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(calls, 2);
+});
+
+test('a global 429 holds every route', async () => {
+  const limiter = createRateLimiter();
+  let calls = 0;
+  const first = limiter.schedule('GET', '/channels/1', async () => (++calls === 1
+    ? response(429, {}, JSON.stringify({ retry_after: 0.2, global: true }))
+    : response(200)));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.ok(limiter.globalRemaining > 0);
+  const started = Date.now();
+  await limiter.schedule('GET', '/users/@me', async () => response(200));
+  assert.ok(Date.now() - started >= 100);
+  await first;
+});
+
+test('a 429 that keeps coming back is handed back after the retry limit', async () => {
+  const limiter = createRateLimiter();
+  let calls = 0;
+  const res = await limiter.schedule('GET', '/channels/1', async () => {
+    calls++;
+    return response(429, {}, JSON.stringify({ retry_after: 0.001 }));
+  });
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(calls, 6);
+});
+
+test('every verb of a client, del included, is queued on its rate limiter', async (t) => {
+  const server = await listen(() => ({ status: 204 }));
+  t.after(() => server.close());
+  const rest = Https.create({ baseUrl: server.baseUrl, token: 'token' });
+  const scheduled = [];
+  const schedule = rest.limiter.schedule;
+  rest.limiter.schedule = (method, path, send) => {
+    scheduled.push(`${method} ${path}`);
+    return schedule(method, path, send);
+  };
+
+  for (const verb of ['get', 'post', 'put', 'patch', 'del']) await rest[verb]({ path: '/channels/1/messages/2' });
+  assert.deepStrictEqual(scheduled, ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'].map((method) => `${method} /api/v10/channels/1/messages/2`));
+  assert.deepStrictEqual(server.requests.map((req) => req.method), ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']);
+  assert.strictEqual(server.requests[4].headers.authorization, 'Bot token');
+});
+
+test('interactions and webhook tokens have queues of their own', async () => {
+  assert.deepStrictEqual(route('POST', '/interactions/1/token-a/callback'), { key: 'POST /interactions/:id/:token/callback', major: 'interactions/1/token-a' });
+  assert.deepStrictEqual(route('PATCH', '/webhooks/9/token-a/messages/@original'), { key: 'PATCH /webhooks/9/:token/messages/@original', major: 'webhooks/9/token-a' });
+  assert.deepStrictEqual(route('GET', '/webhooks/9'), { key: 'GET /webhooks/9', major: 'webhooks/9' });
+
+  const limiter = createRateLimiter();
+  const order = [];
+  let release;
+  const stuck = new Promise((resolve) => {
+    release = resolve;
+  });
+  const first = limiter.schedule('POST', '/interactions/1/token-a/callback', async () => {
+    await stuck;
+    order.push('a');
+    return response(200);
+  });
+  await limiter.schedule('POST', '/interactions/2/token-b/callback', async () => {
+    order.push('b');
+    return response(200);
+  });
+  await limiter.schedule('PATCH', '/webhooks/9/token-b/messages/@original', async () => {
+    order.push('followup b');
+    return response(200);
+  });
+  release();
+  await first;
+  assert.deepStrictEqual(order, ['b', 'followup b', 'a']);
+});
+
+test('an aborted request leaves the queue without holding up the rest', async () => {
+  const limiter = createRateLimiter();
+  const sent = [];
+  let release;
+  const stuck = new Promise((resolve) => {
+    release = resolve;
+  });
+  const first = limiter.schedule('GET', '/channels/1/messages', async () => {
+    await stuck;
+    sent.push('first');
+    return response(200);
+  });
+  const controller = new AbortController();
+  const aborted = limiter.schedule('GET', '/channels/1/messages', async () => {
+    sent.push('aborted');
+    return response(200);
+  }, controller.signal);
+  const last = limiter.schedule('GET', '/channels/1/messages', async () => {
+    sent.push('last');
+    return response(200);
+  });
+
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+  release();
+  await Promise.all([first, last]);
+  assert.deepStrictEqual(sent, ['first', 'last']);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { EventEmitter } = require('node:events');
+const createReactions = require('../api/discord/reactions');
+const { createClient } = require('../api/client');
+const { ValidationError } = require('../api/utils/errors');
+
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+// a Reactions module on a client stand-in that records the reactions the bot adds,
+// and a set of subscriptions kept in memory unless `options` say otherwise
+const setup = (options) => {
+  const puts = [];
+  const Reactions = createReactions({ put: async ({ path: route }) => puts.push(route) });
+  return { Reactions, puts, reactions: Reactions.create(options ?? { store: Reactions.memoryStore() }) };
+};
+
+test('emoji are keyed by id for custom emoji and by character for unicode', () => {
+  const { emojiKey, emojiRoute } = setup().Reactions;
+  assert.strictEqual(emojiKey('⬇️'), '⬇️');
+  assert.strictEqual(emojiKey('<:upvote:112233445566778899>'), '112233445566778899');
+  assert.strictEqual(emojiKey('<a:party:42>'), '42');
+  assert.strictEqual(emojiKey({ id: '42', name: 'party' }), '42');
+  assert.strictEqual(emojiKey({ id: null, name: '👍' }), '👍');
+  assert.strictEqual(emojiRoute('<:upvote:42>'), 'upvote:42');
+  assert.strictEqual(emojiRoute({ id: null, name: '👍' }), '👍');
+});
+
+test('subscribed handlers fire on added and removed reactions', async () => {
+  const { reactions, puts } = setup();
+  const seen = [];
+  reactions.handler('vote', {
+    add: (reaction, subscription) => seen.push(['add', reaction.user_id, subscription.data.poll]),
+    remove: (reaction) => seen.push(['remove', reaction.user_id]),
+  });
+  await reactions.subscribe({ channel_id: '1', message_id: '2', emoji: '<:upvote:42>', handler: 'vote', data: { poll: 7 }, react: true });
+  assert.deepStrictEqual(puts, ['/channels/1/messages/2/reactions/upvote%3A42/@me']);
+
+  const gateway = new EventEmitter();
+  const stop = reactions.listen(gateway);
+  gateway.emit('READY', { user: { id: 'bot' } });
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'bot', emoji: { id: '42', name: 'upvote' } });
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'u1', emoji: { id: '42', name: 'upvote' } });
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'u1', emoji: { id: null, name: '👍' } });
+  gateway.emit('MESSAGE_REACTION_REMOVE', { message_id: '2', user_id: 'u1', emoji: { id: '42', name: 'upvote' } });
+  await tick();
+  assert.deepStrictEqual(seen, [['add', 'u1', 7], ['remove', 'u1']]);
+
+  stop();
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'u2', emoji: { id: '42', name: 'upvote' } });
+  await tick();
+  assert.strictEqual(seen.length, 2);
+});
+
+test('unsubscribe removes one emoji or the whole message', async () => {
+  const { reactions } = setup();
+  for (const emoji of ['👍', '👎']) await reactions.subscribe({ message_id: '2', emoji, handler: 'vote' });
+  await reactions.subscribe({ message_id: '3', emoji: '👍', handler: 'vote' });
+  assert.strictEqual(await reactions.unsubscribe({ message_id: '2', emoji: '👍' }), 1);
+  assert.strictEqual(await reactions.unsubscribe({ message_id: '2' }), 1);
+  assert.deepStrictEqual((await reactions.list()).map((s) => s.message_id), ['3']);
+});
+
+test('subscriptions in a file store survive a restart', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapih-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'nested', '.evented');
+
+  await setup({ file }).reactions.subscribe({ message_id: '2', emoji: '👍', handler: 'vote', data: { n: 1 } });
+  const restarted = setup({ file }).reactions;
+  assert.deepStrictEqual(await restarted.list(), [{ message_id: '2', emoji: '👍', handler: 'vote', data: { n: 1 } }]);
+});
+
+test('every bot keeps its subscriptions in a file of its own', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapih-'));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  t.after(() => {
+    process.chdir(cwd);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const { defaultFile } = setup().Reactions;
+  const token = (id) => `${Buffer.from(id).toString('base64')}.GhIjKl.secret`;
+  assert.strictEqual(defaultFile(), path.join(dir, 'data', process.env.uuid ?? '', '.evented'));
+  assert.strictEqual(defaultFile(token('112233445566778899')), path.join(dir, 'data', process.env.uuid ?? '', '112233445566778899.evented'));
+  assert.match(path.basename(defaultFile('not a bot token')), /^[0-9a-f]{16}\.evented$/);
+
+  const first = createClient({ token: token('1'), cache: false });
+  const second = createClient({ token: token('2'), cache: false });
+  await first.Reactions.subscribe({ message_id: '10', emoji: '👍', handler: 'vote' });
+  await second.Reactions.subscribe({ message_id: '20', emoji: '👍', handler: 'vote' });
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(defaultFile(token('1')), 'utf8')).map((s) => s.message_id), ['10']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(defaultFile(token('2')), 'utf8')).map((s) => s.message_id), ['20']);
+
+  const store = createReactions({}).memoryStore();
+  const own = createClient({ token: token('1'), cache: false, reactions: { store } });
+  await own.Reactions.subscribe({ message_id: '30', emoji: '👍', handler: 'vote' });
+  assert.deepStrictEqual((await store.load()).map((s) => s.message_id), ['30']);
+});
+
+test('subscriptions without a handler name are refused', async () => {
+  const { reactions } = setup();
+  const invalid = (path) => (e) => e instanceof ValidationError && e.path === path;
+  await assert.rejects(reactions.subscribe({ message_id: '2', emoji: '👍' }), invalid('handler'));
+  await assert.rejects(reactions.subscribe({ message_id: '2', emoji: '👍', handler: () => {} }), invalid('handler'));
+  await assert.rejects(reactions.subscribe({ emoji: '👍', handler: 'vote' }), invalid('message_id'));
+  await assert.rejects(reactions.subscribe({ message_id: '2', handler: 'vote' }), invalid('emoji'));
+  await assert.rejects(reactions.subscribe({ message_id: '2', emoji: '👍', handler: 'vote', react: true }), invalid('channel_id'));
+  assert.deepStrictEqual(await reactions.list(), []);
+
+  const { Channels } = createClient({ token: 'token', cache: false, reactions: { store: createReactions({}).memoryStore() } });
+  await assert.rejects(Channels.onReactionAdd({ channel_id: '1', message_id: '2', emoji: '⬇️' }), invalid('handler'));
+});
+
+test('handler errors are emitted, not thrown', async () => {
+  const { reactions } = setup();
+  reactions.handler('broken', () => {
+    throw new Error('boom');
+  });
+  await reactions.subscribe({ message_id: '2', emoji: '👍', handler: 'broken' });
+  const errors = [];
+  reactions.on('error', (e, reaction, subscription) => errors.push([e.message, reaction.user_id, subscription.handler]));
+  const gateway = new EventEmitter();
+  reactions.listen(gateway);
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'u', emoji: { name: '👍' } });
+  await tick();
+  assert.deepStrictEqual(errors, [['boom', 'u', 'broken']]);
+});
+
+test('a failed store load is reported and tried again on the next event', async () => {
+  let loads = 0;
+  const store = {
+    load: async () => {
+      if (++loads === 1) throw new Error('corrupt');
+      return [{ message_id: '2', emoji: '👍', handler: 'vote' }];
+    },
+    save: async () => {},
+  };
+  const { reactions } = setup({ store });
+  const seen = [];
+  const errors = [];
+  reactions.handler('vote', (reaction) => seen.push(reaction.user_id));
+  reactions.on('error', (e) => errors.push(e.message));
+
+  const gateway = new EventEmitter();
+  reactions.listen(gateway);
+  await tick();
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'u', emoji: { name: '👍' } });
+  await tick();
+  assert.deepStrictEqual(errors, ['corrupt']);
+  assert.deepStrictEqual(seen, ['u']);
+  assert.strictEqual(loads, 2);
+});
+
+test('a store that keeps failing does not leave unhandled rejections', async (t) => {
+  const { reactions } = setup({ store: { load: async () => { throw new Error('down'); }, save: async () => {} } });
+  const unhandled = [];
+  const onUnhandled = (e) => unhandled.push(e);
+  process.on('unhandledRejection', onUnhandled);
+  t.after(() => process.off('unhandledRejection', onUnhandled));
+
+  const gateway = new EventEmitter();
+  reactions.listen(gateway);
+  gateway.emit('MESSAGE_REACTION_ADD', { message_id: '2', user_id: 'u', emoji: { name: '👍' } });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepStrictEqual(unhandled, []);
+});
@@ -0,0 +1,172 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const { createRouter, pattern, commandPath } = require('../api/discord/router');
+
+// interaction callbacks that only record what was sent
+const recorder = () => {
+  const sent = [];
+  const record = (name) => async (interaction, input) => {
+    sent.push([name, input]);
+    return { statusCode: 204 };
+  };
+  return {
+    sent,
+    interactions: {
+      callback: {
+        reply: record('reply'),
+        defer: record('defer'),
+        component_defer: record('component_defer'),
+        component_update: record('component_update'),
+        autocomplete_reply: record('autocomplete_reply'),
+        modal_reply: record('modal_reply'),
+        edit_original: record('edit_original'),
+        delete_original: record('delete_original'),
+      },
+      followup: { create: record('followup') },
+    },
+  };
+};
+
+const command = (name, options) => ({ id: 'i', type: 2, data: { name, options } });
+const subcommand = (name, sub, options = []) => command(name, [{ type: 1, name: sub, options }]);
+
+test('pattern captures custom_id parameters', () => {
+  assert.deepStrictEqual(pattern('vote:{id}:{choice}')('vote:42:yes'), { id: '42', choice: 'yes' });
+  assert.strictEqual(pattern('vote:{id}:{choice}')('poll:42'), null);
+  assert.strictEqual(pattern('a.b')('axb'), null);
+  assert.deepStrictEqual(pattern(/^page:(?<n>\d+)$/)('page:3'), { n: '3' });
+});
+
+test('commandPath follows subcommand groups and subcommands', () => {
+  const { path, options } = commandPath({
+    name: 'config',
+    options: [{ type: 2, name: 'role', options: [{ type: 1, name: 'set', options: [{ type: 8, name: 'role', value: '1' }] }] }],
+  });
+  assert.strictEqual(path, 'config role set');
+  assert.deepStrictEqual(options, [{ type: 8, name: 'role', value: '1' }]);
+});
+
+test('commands go to the most specific route, parents catch the rest', async () => {
+  const { interactions } = recorder();
+  const router = createRouter(interactions, { autoDefer: false });
+  router.command('config', (interaction, ctx) => `config:${ctx.path}`);
+  router.command('config set', (interaction, ctx) => `set:${ctx.args.getString('key')}`);
+
+  assert.strictEqual(await router.handle(subcommand('config', 'set', [{ type: 3, name: 'key', value: 'prefix' }])), 'set:prefix');
+  assert.strictEqual(await router.handle(subcommand('config', 'reset')), 'config:config reset');
+  assert.strictEqual(await router.handle(command('unknown')), undefined);
+  assert.deepStrictEqual(await router.handle({ type: 1 }), { type: 1 });
+});
+
+test('components, modals and autocomplete are matched with their parameters', async () => {
+  const { interactions } = recorder();
+  const router = createRouter(interactions, { autoDefer: false });
+  router.component('vote:{id}:{choice}', (interaction, ctx) => ctx.params);
+  router.modal('report:{message_id}', (interaction, ctx) => [ctx.params.message_id, ctx.args.getTextInput('reason')]);
+  router.autocomplete('tag', 'name', () => 'by option');
+  router.autocomplete('search', () => 'by command');
+
+  assert.deepStrictEqual(await router.handle({ type: 3, data: { custom_id: 'vote:42:yes' } }), { id: '42', choice: 'yes' });
+  assert.strictEqual(await router.handle({ type: 3, data: { custom_id: 'nothing' } }), undefined);
+  assert.deepStrictEqual(await router.handle({
+    type: 5,
+    data: { custom_id: 'report:9', components: [{ type: 1, components: [{ type: 4, custom_id: 'reason', value: 'spam' }] }] },
+  }), ['9', 'spam']);
+  assert.strictEqual(await router.handle({ type: 4, data: { name: 'tag', options: [{ type: 3, name: 'name', value: 'a', focused: true }] } }), 'by option');
+  assert.strictEqual(await router.handle({ type: 4, data: { name: 'search', options: [{ type: 3, name: 'q', value: 'a', focused: true }] } }), 'by command');
+});
+
+test('middleware runs first and can stop the chain', async () => {
+  const { interactions, sent } = recorder();
+  const router = createRouter(interactions, { autoDefer: false });
+  const order = [];
+  router.use(async (interaction, ctx, next) => {
+    order.push('middleware');
+    if (interaction.data.name === 'blocked') return ctx.reply({ content: 'Slow down' });
+    return next();
+  });
+  const requireAdmin = (interaction, ctx, next) => {
+    order.push('route middleware');
+    return next();
+  };
+  router.command('ping', requireAdmin, (interaction, ctx) => {
+    order.push('handler');
+    return ctx.reply({ content: 'pong' });
+  });
+  router.command('blocked', () => order.push('never'));
+
+  await router.handle(command('ping'));
+  await router.handle(command('blocked'));
+  assert.deepStrictEqual(order, ['middleware', 'route middleware', 'handler', 'middleware']);
+  assert.deepStrictEqual(sent.map(([name, input]) => `${name}:${input.content}`), ['reply:pong', 'reply:Slow down']);
+});
+
+test('the fallback takes interactions without a route, returned responses pass through', async () => {
+  const { interactions } = recorder();
+  const router = createRouter(interactions, { autoDefer: false });
+  router.fallback(() => ({ type: 4, data: { content: 'Unknown interaction', flags: 64 } }));
+  assert.deepStrictEqual(await router.handle(command('nope')), { type: 4, data: { content: 'Unknown interaction', flags: 64 } });
+});
+
+test('handler errors go to onError and handle() resolves', async () => {
+  const failing = () => {
+    throw new Error('boom');
+  };
+  const errors = [];
+  const guarded = createRouter(recorder().interactions, { autoDefer: false, onError: (e, interaction) => errors.push([e.message, interaction.id]) });
+  guarded.command('boom', failing);
+  assert.strictEqual(await guarded.handle(command('boom')), undefined);
+  assert.deepStrictEqual(errors, [['boom', 'i']]);
+
+  const strict = createRouter(recorder().interactions, { autoDefer: false, onError: false });
+  strict.command('boom', failing);
+  await assert.rejects(strict.handle(command('boom')), /boom/);
+});
+
+test('without onError, errors are logged instead of rejecting an event listener', async (t) => {
+  const logged = t.mock.method(console, 'error', () => {});
+  const rejections = [];
+  const onRejection = (e) => rejections.push(e);
+  process.on('unhandledRejection', onRejection);
+  t.after(() => process.off('unhandledRejection', onRejection));
+
+  const router = createRouter(recorder().interactions, { autoDefer: false });
+  router.command('boom', () => {
+    throw new Error('boom');
+  });
+  const gateway = new EventEmitter();
+  gateway.on('INTERACTION_CREATE', router.handle);
+  gateway.emit('INTERACTION_CREATE', command('boom'));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepStrictEqual(rejections, []);
+  assert.strictEqual(logged.mock.callCount(), 1);
+  assert.match(logged.mock.calls[0].arguments[0], /Interaction i failed/);
+  assert.strictEqual(logged.mock.calls[0].arguments[1].message, 'boom');
+});
+
+test('a handler failing after the automatic defer resolves the deferred response', async () => {
+  const { interactions, sent } = recorder();
+  const errors = [];
+  const router = createRouter(interactions, { autoDefer: 10, onError: (e) => errors.push(e.message) });
+  router.command('slow', async () => {
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    throw new Error('boom');
+  });
+  assert.strictEqual(await router.handle(command('slow')), undefined);
+  assert.deepStrictEqual(sent.map(([name]) => name), ['defer', 'edit_original']);
+  assert.deepStrictEqual(errors, ['boom']);
+
+  interactions.callback.edit_original = async () => {
+    throw new Error('Unknown Webhook');
+  };
+  assert.strictEqual(await router.handle(command('slow')), undefined);
+  assert.deepStrictEqual(errors, ['boom', 'Unknown Webhook', 'boom']);
+});
+
+test('routes need handlers', () => {
+  const router = createRouter(recorder().interactions);
+  assert.throws(() => router.command('ping'), TypeError);
+  assert.throws(() => router.component('x', 'not a function'), TypeError);
+});
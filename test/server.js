@@ -0,0 +1,128 @@
+const http = require('node:http');
+const zlib = require('node:zlib');
+const { WebSocketServer } = require('ws');
+const etf = require('../api/utils/etf');
+
+/**
+ * Starts a local stand-in for the Discord API on a free port.
+ *
+ * `handler(req, body)` answers every request with `{ status, headers, body }`, object bodies are sent as JSON.
+ * Every request is recorded as `{ method, url, headers, body }`.
+ *
+ * example:
+ * ```js
+ * const server = await listen(() => ({ status: 200, body: { id: '1' } }));
+ * const rest = Https.create({ baseUrl: server.baseUrl, token: 'token' });
+ * await server.close();
+ * ```
+ *
+ * @param {Function} handler `(req, body) => response`, may be async
+ * @returns {Promise<object>} `{ port, baseUrl, requests, close }`
+ */
+function listen(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', async () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const response = (await handler(req, body)) ?? { status: 204 };
+      const json = response.body !== undefined && typeof response.body !== 'string' && !Buffer.isBuffer(response.body);
+      res.writeHead(response.status ?? 200, {
+        ...(json ? { 'Content-Type': 'application/json' } : {}),
+        ...response.headers,
+      });
+      res.end(json ? JSON.stringify(response.body) : response.body);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        port,
+        baseUrl: `http://127.0.0.1:${port}/api`,
+        requests,
+        close: () => new Promise((done) => {
+          server.closeAllConnections();
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * Starts a local stand-in for the Discord gateway on a free port.
+ *
+ * Every socket gets HELLO, IDENTIFY is answered with READY and RESUME with RESUMED, unless `onPayload`
+ * answers itself by returning something other than `undefined`. Sockets speak the `encoding` and
+ * `compress` of their url, like Discord does. Every payload received is recorded as `{ socket, payload }`.
+ *
+ * @param {Function} [onPayload] `(payload, socket) => any`, `socket.send(payload)` writes to that socket
+ * @returns {Promise<object>} `{ url, received, sockets, close }`
+ */
+function gateway(onPayload = () => undefined) {
+  const wss = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  const received = [];
+  const sockets = [];
+  let sessions = 0;
+
+  wss.on('connection', (ws, req) => {
+    const query = new URL(req.url, 'ws://localhost').searchParams;
+    const binary = query.get('encoding') === 'etf';
+    const deflate = query.get('compress') === 'zlib-stream' && zlib.createDeflate();
+    let frames = Promise.resolve(); // one message per frame, flushed one after another
+    const socket = {
+      ws,
+      query,
+      seq: 0,
+      send(payload) {
+        const data = binary ? etf.pack(payload) : JSON.stringify(payload);
+        if (!deflate) return ws.send(data);
+        frames = frames.then(() => new Promise((resolve) => {
+          deflate.write(data);
+          deflate.flush(zlib.constants.Z_SYNC_FLUSH, () => {
+            ws.send(deflate.read());
+            resolve();
+          });
+        }));
+      },
+      dispatch(t, d) {
+        socket.send({ op: 0, t, d, s: ++socket.seq });
+      },
+    };
+    sockets.push(socket);
+
+    ws.on('message', async (data) => {
+      const payload = binary ? etf.unpack(data) : JSON.parse(data.toString());
+      received.push({ socket: sockets.indexOf(socket), payload });
+      if ((await onPayload(payload, socket)) !== undefined) return;
+      if (payload.op === 2) socket.dispatch('READY', { session_id: `session-${++sessions}`, resume_gateway_url: url, user: { id: '1' } });
+      if (payload.op === 6) socket.dispatch('RESUMED', {});
+    });
+    socket.send({ op: 10, d: { heartbeat_interval: 45000 } });
+  });
+
+  let url;
+  return new Promise((resolve) => {
+    wss.on('listening', () => {
+      url = `ws://127.0.0.1:${wss.address().port}`;
+      resolve({
+        url,
+        received,
+        sockets,
+        close: () => new Promise((done) => {
+          for (const client of wss.clients) client.terminate();
+          wss.close(done);
+        }),
+      });
+    });
+  });
+}
+
+module.exports = {
+  listen,
+  gateway,
+};
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const createGateway = require('../api/discord/gateway');
+const { GatewayError } = require('../api/utils/errors');
+const { gateway: fakeGateway } = require('./server');
+
+// a client whose /gateway/bot points at the local gateway
+const client = (server, shards = 2) => {
+  const calls = [];
+  const https = {
+    token: 'token',
+    apiVersion: 10,
+    get: async ({ path }) => {
+      calls.push(path);
+      return { data: { url: server.url, shards, session_start_limit: { total: 1000, remaining: 1000, reset_after: 0, max_concurrency: 16 } } };
+    },
+  };
+  return { Gateway: createGateway(https), calls };
+};
+
+test('spawn starts the recommended number of shards and resolves once all are READY', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const { Gateway, calls } = client(server);
+  const manager = Gateway.shards({ intents: ['GUILDS'] });
+  t.after(() => manager.destroy());
+
+  let ready = false;
+  manager.on('ready', () => {
+    ready = true;
+  });
+  assert.strictEqual(await manager.spawn(), manager);
+  assert.ok(ready);
+  assert.deepStrictEqual(calls, ['/gateway/bot']);
+  assert.strictEqual(manager.totalShards, 2);
+  assert.deepStrictEqual(server.received.filter(({ payload }) => payload.op === 2).map(({ payload }) => payload.d.shard).sort(), [[0, 2], [1, 2]]);
+  assert.deepStrictEqual(manager.status.map(({ id, status }) => `${id}:${status}`).sort(), ['0:ready', '1:ready']);
+});
+
+test('dispatches carry the shard they came in on', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const manager = client(server).Gateway.shards({ intents: 1 });
+  t.after(() => manager.destroy());
+  await manager.spawn();
+
+  const seen = [];
+  manager.on('MESSAGE_CREATE', (message, shardId) => seen.push([message.id, shardId]));
+  const { socket } = server.received.find(({ payload }) => payload.op === 2 && payload.d.shard[0] === 1);
+  const delivered = new Promise((resolve) => manager.once('dispatch', resolve));
+  server.sockets[socket].dispatch('MESSAGE_CREATE', { id: 'm' });
+  await delivered;
+  assert.deepStrictEqual(seen, [['m', 1]]);
+});
+
+test('shardFor maps a guild to its shard, shardIds limits what runs here', async (t) => {
+  const server = await fakeGateway();
+  t.after(() => server.close());
+  const manager = client(server, 4).Gateway.shards({ intents: 1, shardIds: [2] });
+  t.after(() => manager.destroy());
+  await manager.spawn();
+
+  assert.deepStrictEqual(manager.status.map(({ id }) => id), [2]);
+  assert.strictEqual(manager.shardFor(String(6n << 22n)), 2);
+  assert.strictEqual(manager.shardFor(String(5n << 22n)), 1);
+  assert.ok(manager.shard(2));
+  assert.throws(() => manager.updateVoiceState({ guild_id: String(5n << 22n), channel_id: null }), GatewayError);
+});
+
+test('spawn gives up on close codes no restart fixes', async (t) => {
+  const server = await fakeGateway((payload, socket) => payload.op === 2 && socket.ws.close(4014, 'Disallowed intents'));
+  t.after(() => server.close());
+  const manager = client(server, 1).Gateway.shards({ intents: ['GUILD_PRESENCES'] });
+  t.after(() => manager.destroy());
+  const errors = [];
+  manager.on('shardError', (error, shardId) => errors.push([error.code, shardId]));
+
+  await assert.rejects(manager.spawn(), (e) => e instanceof GatewayError && e.code === 4014);
+  assert.deepStrictEqual(errors, [[4014, 0]]);
+});